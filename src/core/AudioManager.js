@@ -0,0 +1,506 @@
+/**
+ * Synthesized game audio: per-stage ambience, pickup cues, stingers and flood music
+ *
+ * Everything is generated with Web Audio oscillators and noise, so there is nothing
+ * to download. One AudioContext is shared by the whole game; browsers only let it start
+ * from a user gesture, so it is created (or resumed) on the first touch, click or key.
+ */
+
+// Gestures that may unlock audio (mobile Safari only accepts some of them, so try all)
+const UNLOCK_EVENTS = ['touchstart', 'touchend', 'pointerdown', 'mousedown', 'keydown'];
+
+// How long ambience beds take to fade in and out when the stage changes
+const AMBIENCE_FADE = 2; // seconds
+
+// Continuous bed for each stage: low drones plus filtered noise that swells slowly
+const STAGE_AMBIENCE = {
+  primordial: { // Bubbling soup and a deep hum
+    drones: [55, 82.4],
+    droneType: 'sine',
+    droneGain: 0.05,
+    noise: { type: 'lowpass', frequency: 400, Q: 1, gain: 0.04 },
+    swell: { rate: 0.15, depth: 0.5 }
+  },
+  prehistoric: { // Surf on the shore
+    drones: [73.4],
+    droneType: 'triangle',
+    droneGain: 0.03,
+    noise: { type: 'lowpass', frequency: 900, Q: 0.7, gain: 0.08 },
+    swell: { rate: 0.1, depth: 0.8 }
+  },
+  ordered: { // Breeze and a warm open chord
+    drones: [110, 164.8, 220],
+    droneType: 'sine',
+    droneGain: 0.02,
+    noise: { type: 'bandpass', frequency: 1200, Q: 0.5, gain: 0.02 },
+    swell: { rate: 0.05, depth: 0.4 }
+  }
+};
+
+// Pickup sound for each resource type: a short run of notes and/or a filtered noise tick
+const RESOURCE_CUES = {
+  energy: { notes: [660, 880, 1320], type: 'sine', step: 0.05, duration: 0.25, gain: 0.12 }, // Shimmer
+  material: { notes: [140], type: 'triangle', step: 0, duration: 0.12, gain: 0.2, // Knock
+    noise: { type: 'bandpass', frequency: 1800, Q: 2, duration: 0.05, gain: 0.15 } },
+  supply: { notes: [523.3, 784], type: 'triangle', step: 0.08, duration: 0.2, gain: 0.12 } // Two-note bell
+};
+
+// Short phrases for story moments
+const STINGERS = {
+  event: { notes: [220, 261.6, 329.6, 440], type: 'triangle', step: 0.12, duration: 1.2, gain: 0.08 }, // Event opens
+  outcome: { notes: [392, 523.3], type: 'sine', step: 0.15, duration: 0.8, gain: 0.08 }, // Choice resolved
+  awakening: { notes: [196, 293.7, 392, 493.9], type: 'sine', step: 0.2, duration: 4, gain: 0.1, // Open G chord
+    sweep: { from: 600, to: 100, duration: 3, gain: 0.03 } }
+};
+
+// Flood music: a pulse that speeds up, brightens and grows louder as the countdown runs out
+const MUSIC_ROOTS = { primordial: 110, prehistoric: 98, ordered: 130.8 }; // Hz
+const MUSIC_SCALE = [0, 3, 5, 7, 10]; // Minor pentatonic, semitones above the root
+const MUSIC_TEMPO = { calm: 70, tense: 150 }; // Pulses per minute
+const MUSIC_LOOKAHEAD = 0.15; // Seconds of notes scheduled ahead of playback
+
+export default class AudioManager {
+  /**
+   * Initialize audio (the context itself waits for the first user gesture)
+   * @param {Settings} settings - Player preferences (volume and mute)
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.context = null;
+    this.noiseBuffer = null;
+    this.stage = null;
+    this.ambience = null; // Current bed: {output, sources}
+    this.tension = 0;
+    this.nextPulseTime = 0;
+    this.pulseIndex = 0;
+    this.suspended = false; // Hidden page; don't unlock until it's visible again
+    
+    this._onGesture = () => this.unlock();
+    this._listenForUnlock();
+  }
+  
+  /**
+   * Whether sounds can play right now
+   * @returns {boolean} Whether the context is running
+   */
+  isRunning() {
+    return !!this.context && this.context.state === 'running';
+  }
+  
+  /**
+   * Create or resume the context from inside a user gesture
+   */
+  unlock() {
+    if (this.suspended) return;
+    
+    if (!this.context) {
+      this._createContext();
+      if (!this.context) {
+        this._stopListening(); // No Web Audio support
+        return;
+      }
+    }
+    
+    // Mobile Safari only starts output once something plays inside the gesture itself
+    const silence = this.context.createBufferSource();
+    silence.buffer = this.context.createBuffer(1, 1, 22050);
+    silence.connect(this.context.destination);
+    silence.start(0);
+    
+    Promise.resolve(this.context.resume()).then(() => {
+      if (this.isRunning()) {
+        this._stopListening();
+      }
+    }).catch(e => {
+      console.warn('Could not start audio:', e);
+    });
+  }
+  
+  /**
+   * Create the context and the mixing buses
+   * @private
+   */
+  _createContext() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    
+    try {
+      this.context = new AudioContext();
+    } catch (e) {
+      console.warn('Could not create audio context:', e);
+      return;
+    }
+    
+    const context = this.context;
+    
+    // Effects, ambience and music each have a bus into the master volume
+    this.master = context.createGain();
+    this.master.connect(context.destination);
+    
+    this.effectsBus = context.createGain();
+    this.effectsBus.connect(this.master);
+    
+    this.ambienceBus = context.createGain();
+    this.ambienceBus.connect(this.master);
+    
+    this.musicFilter = context.createBiquadFilter();
+    this.musicFilter.type = 'lowpass';
+    this.musicBus = context.createGain();
+    this.musicFilter.connect(this.musicBus);
+    this.musicBus.connect(this.master);
+    
+    // Two seconds of white noise, looped by ambience and sliced by cues
+    const length = context.sampleRate * 2;
+    this.noiseBuffer = context.createBuffer(1, length, context.sampleRate);
+    const data = this.noiseBuffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    
+    // iOS interrupts audio for calls and other apps; the next gesture brings it back
+    context.onstatechange = () => {
+      if (!this.isRunning() && !this.suspended) {
+        this._listenForUnlock();
+      }
+    };
+    
+    this.applySettings();
+    this._setMusicLevel(0);
+    
+    // A stage may have started before the first gesture
+    if (this.stage) {
+      this._startAmbience(this.stage);
+    }
+  }
+  
+  /**
+   * Wait for a gesture to unlock (or re-unlock) audio
+   * @private
+   */
+  _listenForUnlock() {
+    UNLOCK_EVENTS.forEach(type => document.addEventListener(type, this._onGesture, true));
+  }
+  
+  /**
+   * Stop waiting for gestures
+   * @private
+   */
+  _stopListening() {
+    UNLOCK_EVENTS.forEach(type => document.removeEventListener(type, this._onGesture, true));
+  }
+  
+  /**
+   * Apply the volume and mute settings
+   */
+  applySettings() {
+    if (!this.context) return;
+    
+    const master = this.settings.get('muted') ? 0 : this.settings.get('masterVolume');
+    this.master.gain.setTargetAtTime(master, this.context.currentTime, 0.05);
+    this.effectsBus.gain.setTargetAtTime(this.settings.get('effectsVolume'), this.context.currentTime, 0.05);
+  }
+  
+  /**
+   * Silence everything while the page is hidden
+   */
+  suspend() {
+    this.suspended = true;
+    if (this.context) {
+      this.context.suspend();
+    }
+  }
+  
+  /**
+   * Pick up where suspend() left off
+   */
+  resume() {
+    this.suspended = false;
+    if (!this.context) return;
+    
+    // Without a gesture mobile browsers may refuse; then the next touch resumes it
+    Promise.resolve(this.context.resume()).catch(() => {}).then(() => {
+      if (!this.isRunning()) {
+        this._listenForUnlock();
+      }
+    });
+  }
+  
+  /**
+   * Switch the ambience and music to a stage (null stops them)
+   * @param {string|null} stage - Stage name
+   */
+  setStage(stage) {
+    if (stage === this.stage) return;
+    
+    this.stage = stage;
+    this.tension = 0;
+    if (!this.context) return; // Starts once audio is unlocked
+    
+    this._stopAmbience();
+    this._setMusicLevel(0);
+    if (stage) {
+      this._startAmbience(stage);
+    }
+  }
+  
+  /**
+   * Build and fade in a stage's ambience bed
+   * @private
+   * @param {string} stage - Stage name
+   */
+  _startAmbience(stage) {
+    const bed = STAGE_AMBIENCE[stage];
+    if (!bed) return;
+    
+    const context = this.context;
+    const now = context.currentTime;
+    const output = context.createGain();
+    output.gain.setValueAtTime(0, now);
+    output.gain.linearRampToValueAtTime(1, now + AMBIENCE_FADE);
+    output.connect(this.ambienceBus);
+    
+    const sources = [];
+    
+    bed.drones.forEach(frequency => {
+      const drone = context.createOscillator();
+      drone.type = bed.droneType;
+      drone.frequency.value = frequency;
+      
+      const droneGain = context.createGain();
+      droneGain.gain.value = bed.droneGain;
+      drone.connect(droneGain);
+      droneGain.connect(output);
+      sources.push(drone);
+    });
+    
+    // Looped noise through a filter, its level rocked by a slow LFO
+    const noise = context.createBufferSource();
+    noise.buffer = this.noiseBuffer;
+    noise.loop = true;
+    
+    const filter = context.createBiquadFilter();
+    filter.type = bed.noise.type;
+    filter.frequency.value = bed.noise.frequency;
+    filter.Q.value = bed.noise.Q;
+    
+    const noiseGain = context.createGain();
+    noiseGain.gain.value = bed.noise.gain;
+    
+    const swell = context.createOscillator();
+    swell.frequency.value = bed.swell.rate;
+    const swellDepth = context.createGain();
+    swellDepth.gain.value = bed.noise.gain * bed.swell.depth;
+    swell.connect(swellDepth);
+    swellDepth.connect(noiseGain.gain);
+    
+    noise.connect(filter);
+    filter.connect(noiseGain);
+    noiseGain.connect(output);
+    sources.push(noise, swell);
+    
+    sources.forEach(source => source.start(now));
+    this.ambience = { output, sources };
+  }
+  
+  /**
+   * Fade out and stop the current ambience bed
+   * @private
+   */
+  _stopAmbience() {
+    if (!this.ambience) return;
+    
+    const { output, sources } = this.ambience;
+    const now = this.context.currentTime;
+    output.gain.cancelScheduledValues(now);
+    output.gain.setValueAtTime(output.gain.value, now);
+    output.gain.linearRampToValueAtTime(0, now + AMBIENCE_FADE);
+    
+    sources.forEach(source => source.stop(now + AMBIENCE_FADE + 0.1));
+    sources[0].onended = () => output.disconnect();
+    this.ambience = null;
+  }
+  
+  /**
+   * Advance the flood music (call once per rendered frame)
+   * @param {number} tension - 0 when a stage starts, 1 when the flood arrives
+   */
+  update(tension) {
+    if (!this.isRunning() || !this.stage) return;
+    
+    this.tension = Math.min(Math.max(tension, 0), 1);
+    this._setMusicLevel(this.tension);
+    
+    const now = this.context.currentTime;
+    
+    // Coming back from a pause: start fresh instead of catching up on missed pulses
+    if (this.nextPulseTime < now) {
+      this.nextPulseTime = now + 0.05;
+    }
+    
+    const interval = 60 / (MUSIC_TEMPO.calm + (MUSIC_TEMPO.tense - MUSIC_TEMPO.calm) * this.tension);
+    while (this.nextPulseTime < now + MUSIC_LOOKAHEAD) {
+      this._playPulse(this.nextPulseTime);
+      this.nextPulseTime += interval;
+      this.pulseIndex++;
+    }
+  }
+  
+  /**
+   * Set the music's loudness and brightness for a tension level
+   * @private
+   * @param {number} tension - 0-1
+   */
+  _setMusicLevel(tension) {
+    const now = this.context.currentTime;
+    this.musicBus.gain.setTargetAtTime(0.02 + tension * tension * 0.1, now, 0.5);
+    this.musicFilter.frequency.setTargetAtTime(400 + tension * 3000, now, 0.5);
+  }
+  
+  /**
+   * Schedule one music pulse: a bass note on the beat and a scale note that gets
+   * busier and higher as tension rises
+   * @private
+   * @param {number} time - Context time to play at
+   */
+  _playPulse(time) {
+    const root = MUSIC_ROOTS[this.stage] || MUSIC_ROOTS.primordial;
+    
+    if (this.pulseIndex % 4 === 0) {
+      this._playNote({ frequency: root / 2, type: 'triangle', time, duration: 0.4, gain: 0.6, output: this.musicFilter });
+    }
+    
+    // Cosmetic variation, so Math.random rather than a seeded stream
+    if (Math.random() < 0.25 + this.tension * 0.6) {
+      const degree = MUSIC_SCALE[Math.floor(Math.random() * MUSIC_SCALE.length)];
+      const octave = this.tension > 0.6 && Math.random() < 0.5 ? 2 : 1;
+      const frequency = root * octave * Math.pow(2, degree / 12);
+      this._playNote({ frequency, type: 'square', time, duration: 0.15, gain: 0.2, output: this.musicFilter });
+    }
+  }
+  
+  /**
+   * Play the pickup cue for a resource type
+   * @param {string} type - Resource type ('energy', 'material' or 'supply')
+   */
+  playPickup(type) {
+    const cue = RESOURCE_CUES[type];
+    if (cue) {
+      this._playPhrase(cue);
+    }
+  }
+  
+  /**
+   * Play a story stinger
+   * @param {string} name - 'event', 'outcome' or 'awakening'
+   */
+  playStinger(name) {
+    const stinger = STINGERS[name];
+    if (stinger) {
+      this._playPhrase(stinger);
+    }
+  }
+  
+  /**
+   * Play a cue or stinger definition on the effects bus
+   * @private
+   * @param {Object} phrase - {notes, type, step, duration, gain, noise, sweep}
+   */
+  _playPhrase(phrase) {
+    if (!this.isRunning()) return;
+    
+    const now = this.context.currentTime;
+    
+    phrase.notes.forEach((frequency, i) => {
+      this._playNote({
+        frequency,
+        type: phrase.type,
+        time: now + i * phrase.step,
+        duration: phrase.duration,
+        gain: phrase.gain,
+        output: this.effectsBus
+      });
+    });
+    
+    if (phrase.noise) {
+      this._playNoise({ ...phrase.noise, time: now, output: this.effectsBus });
+    }
+    
+    if (phrase.sweep) {
+      this._playNote({
+        frequency: phrase.sweep.from,
+        endFrequency: phrase.sweep.to,
+        type: 'sine',
+        time: now,
+        duration: phrase.sweep.duration,
+        gain: phrase.sweep.gain,
+        output: this.effectsBus
+      });
+    }
+  }
+  
+  /**
+   * Schedule a single enveloped oscillator note
+   * @private
+   * @param {Object} note - {frequency, endFrequency, type, time, duration, gain, output}
+   */
+  _playNote({ frequency, endFrequency = null, type, time, duration, gain, output }) {
+    const oscillator = this.context.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, time);
+    if (endFrequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+    }
+    
+    // Quick attack, exponential decay (ramps can't reach exactly zero)
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(0.0001, time);
+    envelope.gain.linearRampToValueAtTime(gain, time + Math.min(0.02, duration / 4));
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+    
+    oscillator.connect(envelope);
+    envelope.connect(output);
+    oscillator.start(time);
+    oscillator.stop(time + duration + 0.05);
+    oscillator.onended = () => envelope.disconnect();
+  }
+  
+  /**
+   * Schedule a filtered burst of noise
+   * @private
+   * @param {Object} burst - {type, frequency, Q, time, duration, gain, output}
+   */
+  _playNoise({ type, frequency, Q, time, duration, gain, output }) {
+    const noise = this.context.createBufferSource();
+    noise.buffer = this.noiseBuffer;
+    
+    const filter = this.context.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = Q;
+    
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(gain, time);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+    
+    noise.connect(filter);
+    filter.connect(envelope);
+    envelope.connect(output);
+    noise.start(time);
+    noise.stop(time + duration + 0.05);
+    noise.onended = () => envelope.disconnect();
+  }
+  
+  /**
+   * Stop all sound and release the context
+   */
+  dispose() {
+    this._stopListening();
+    
+    if (this.context) {
+      this.context.onstatechange = null;
+      this.context.close();
+      this.context = null;
+    }
+    this.ambience = null;
+  }
+}
@@ -0,0 +1,335 @@
+import * as THREE from 'three';
+import SpatialHash from '../utils/SpatialHash.js';
+
+// Push-out passes per resolve, so corners between two obstacles settle
+const RESOLVE_ITERATIONS = 3;
+
+/**
+ * Collision layer for a scene
+ *
+ * Solid colliders (circles and axis-aligned boxes on the ground plane) block movement and
+ * push the player out along the contact normal, which lets them slide along obstacles.
+ * Non-solid colliders and zones mark water that slows movement instead of blocking it.
+ * Colliders attached to an object are ignored while that object is hidden.
+ * Colliders with a top (world height) also block the camera's view, see getSightBlock().
+ */
+export default class Collision {
+  /**
+   * Initialize collision layer
+   * @param {number} cellSize - Spatial hash cell size in world units
+   */
+  constructor(cellSize = 4) {
+    this.hash = new SpatialHash(cellSize);
+    this.zones = []; // Unbounded slow areas, e.g. the sea around an island
+  }
+  
+  /**
+   * Register a circular collider
+   * @param {number} x - Center x
+   * @param {number} z - Center z
+   * @param {number} radius - Radius
+   * @param {Object} options - {solid = true, speed = 1, object = null, top = null}
+   * @returns {Object} Collider (pass to remove())
+   */
+  addCircle(x, z, radius, options = {}) {
+    const collider = { shape: 'circle', x, z, radius, ...this._getOptions(options) };
+    this.hash.insertCircle(collider, x, z, radius);
+    return collider;
+  }
+  
+  /**
+   * Register an axis-aligned box collider
+   * @param {number} minX - Minimum x
+   * @param {number} minZ - Minimum z
+   * @param {number} maxX - Maximum x
+   * @param {number} maxZ - Maximum z
+   * @param {Object} options - {solid = true, speed = 1, object = null, top = null}
+   * @returns {Object} Collider (pass to remove())
+   */
+  addBox(minX, minZ, maxX, maxZ, options = {}) {
+    const collider = { shape: 'box', minX, minZ, maxX, maxZ, ...this._getOptions(options) };
+    this.hash.insert(collider, minX, minZ, maxX, maxZ);
+    return collider;
+  }
+  
+  /**
+   * Register a box collider from an object's world bounds
+   * @param {THREE.Object3D} object - Object to wrap
+   * @param {Object} options - Collider options (object defaults to the wrapped object)
+   * @returns {Object} Collider
+   */
+  addBoxFromObject(object, options = {}) {
+    const bounds = new THREE.Box3().setFromObject(object);
+    return this.addBox(bounds.min.x, bounds.min.z, bounds.max.x, bounds.max.z, { object, ...options });
+  }
+  
+  /**
+   * Register an area that slows movement without a fixed size
+   * @param {Function} contains - (x, z) => whether the point is in the zone
+   * @param {number} speed - Speed multiplier inside the zone
+   */
+  addZone(contains, speed) {
+    this.zones.push({ contains, speed });
+  }
+  
+  /**
+   * Fill in collider defaults
+   * @private
+   * @param {Object} options - Collider options
+   * @returns {Object} Options with defaults
+   */
+  _getOptions(options) {
+    return {
+      solid: options.solid !== false,
+      speed: options.speed !== undefined ? options.speed : 1,
+      object: options.object || null,
+      top: options.top !== undefined ? options.top : null
+    };
+  }
+  
+  /**
+   * Unregister a collider
+   * @param {Object} collider - Collider from addCircle() or addBox()
+   */
+  remove(collider) {
+    this.hash.remove(collider);
+  }
+  
+  /**
+   * Whether a collider currently takes part in collisions
+   * @private
+   * @param {Object} collider - Collider to check
+   * @returns {boolean} Whether it's active
+   */
+  _isActive(collider) {
+    return !collider.object || collider.object.visible;
+  }
+  
+  /**
+   * Push a circle out of any solid colliders it overlaps (modifies position in place)
+   * @param {THREE.Vector3} position - Circle center; only x and z are used
+   * @param {number} radius - Circle radius
+   * @returns {boolean} Whether anything was hit
+   */
+  resolve(position, radius) {
+    let hit = false;
+    
+    for (let i = 0; i < RESOLVE_ITERATIONS; i++) {
+      let moved = false;
+      
+      this.hash.queryCircle(position.x, position.z, radius).forEach(collider => {
+        if (!collider.solid || !this._isActive(collider)) return;
+        
+        const push = collider.shape === 'circle' ?
+          this._pushFromCircle(collider, position, radius) :
+          this._pushFromBox(collider, position, radius);
+        
+        if (push) {
+          position.x += push.x;
+          position.z += push.z;
+          moved = true;
+        }
+      });
+      
+      if (!moved) break;
+      hit = true;
+    }
+    
+    return hit;
+  }
+  
+  /**
+   * Separation needed to clear a circular collider
+   * @private
+   * @param {Object} collider - Circle collider
+   * @param {THREE.Vector3} position - Circle center
+   * @param {number} radius - Circle radius
+   * @returns {Object|null} Push {x, z} or null if not overlapping
+   */
+  _pushFromCircle(collider, position, radius) {
+    const dx = position.x - collider.x;
+    const dz = position.z - collider.z;
+    const distance = Math.hypot(dx, dz);
+    const overlap = collider.radius + radius - distance;
+    if (overlap <= 0) return null;
+    
+    // Dead center: pick any direction
+    if (distance < 0.0001) return { x: overlap, z: 0 };
+    return { x: (dx / distance) * overlap, z: (dz / distance) * overlap };
+  }
+  
+  /**
+   * Separation needed to clear a box collider
+   * @private
+   * @param {Object} collider - Box collider
+   * @param {THREE.Vector3} position - Circle center
+   * @param {number} radius - Circle radius
+   * @returns {Object|null} Push {x, z} or null if not overlapping
+   */
+  _pushFromBox(collider, position, radius) {
+    const closestX = THREE.MathUtils.clamp(position.x, collider.minX, collider.maxX);
+    const closestZ = THREE.MathUtils.clamp(position.z, collider.minZ, collider.maxZ);
+    const dx = position.x - closestX;
+    const dz = position.z - closestZ;
+    const distance = Math.hypot(dx, dz);
+    
+    if (distance > 0.0001) {
+      const overlap = radius - distance;
+      if (overlap <= 0) return null;
+      return { x: (dx / distance) * overlap, z: (dz / distance) * overlap };
+    }
+    
+    // Center is inside the box: leave through the nearest side
+    const exits = [
+      { x: collider.minX - radius - position.x, z: 0 },
+      { x: collider.maxX + radius - position.x, z: 0 },
+      { x: 0, z: collider.minZ - radius - position.z },
+      { x: 0, z: collider.maxZ + radius - position.z }
+    ];
+    return exits.reduce((best, exit) => {
+      return Math.abs(exit.x + exit.z) < Math.abs(best.x + best.z) ? exit : best;
+    });
+  }
+  
+  /**
+   * How far along a line of sight the first collider with a top blocks it
+   * @param {THREE.Vector3} from - Start of the line (what the camera looks at)
+   * @param {THREE.Vector3} to - End of the line (the camera)
+   * @param {number} margin - Clearance to keep around each collider
+   * @returns {number|null} Fraction of the way from start to end, or null if the view is clear
+   */
+  getSightBlock(from, to, margin = 0) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    let nearest = null;
+    
+    const candidates = this.hash.query(
+      Math.min(from.x, to.x) - margin,
+      Math.min(from.z, to.z) - margin,
+      Math.max(from.x, to.x) + margin,
+      Math.max(from.z, to.z) + margin
+    );
+    
+    candidates.forEach(collider => {
+      if (collider.top === null || !this._isActive(collider)) return;
+      
+      const t = collider.shape === 'circle' ?
+        this._enterCircle(collider, from, dx, dz, margin) :
+        this._enterBox(collider, from, dx, dz, margin);
+      if (t === null || (nearest !== null && t >= nearest)) return;
+      
+      // The line rises toward the camera, so it's lowest where it enters the collider
+      if (from.y + (to.y - from.y) * t < collider.top) {
+        nearest = t;
+      }
+    });
+    
+    return nearest;
+  }
+  
+  /**
+   * Where a line on the ground plane enters a circular collider
+   * @private
+   * @param {Object} collider - Circle collider
+   * @param {THREE.Vector3} from - Line start
+   * @param {number} dx - Line length along x
+   * @param {number} dz - Line length along z
+   * @param {number} margin - Added to the radius
+   * @returns {number|null} Fraction along the line, or null if it misses (or starts inside)
+   */
+  _enterCircle(collider, from, dx, dz, margin) {
+    const fx = from.x - collider.x;
+    const fz = from.z - collider.z;
+    const radius = collider.radius + margin;
+    
+    const a = dx * dx + dz * dz;
+    const b = 2 * (fx * dx + fz * dz);
+    const c = fx * fx + fz * fz - radius * radius;
+    if (a === 0 || c <= 0) return null;
+    
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+    
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+  }
+  
+  /**
+   * Where a line on the ground plane enters a box collider
+   * @private
+   * @param {Object} collider - Box collider
+   * @param {THREE.Vector3} from - Line start
+   * @param {number} dx - Line length along x
+   * @param {number} dz - Line length along z
+   * @param {number} margin - Added to each side
+   * @returns {number|null} Fraction along the line, or null if it misses (or starts inside)
+   */
+  _enterBox(collider, from, dx, dz, margin) {
+    const axes = [
+      { start: from.x, length: dx, min: collider.minX - margin, max: collider.maxX + margin },
+      { start: from.z, length: dz, min: collider.minZ - margin, max: collider.maxZ + margin }
+    ];
+    let enter = 0;
+    let exit = 1;
+    
+    for (const axis of axes) {
+      if (axis.length === 0) {
+        if (axis.start < axis.min || axis.start > axis.max) return null;
+        continue;
+      }
+      
+      const t1 = (axis.min - axis.start) / axis.length;
+      const t2 = (axis.max - axis.start) / axis.length;
+      enter = Math.max(enter, Math.min(t1, t2));
+      exit = Math.min(exit, Math.max(t1, t2));
+    }
+    
+    return enter > 0 && enter <= exit ? enter : null;
+  }
+  
+  /**
+   * How much water slows movement at a point
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @returns {number} Speed multiplier (1 = unaffected)
+   */
+  getSpeedMultiplier(x, z) {
+    let speed = 1;
+    
+    this.hash.queryCircle(x, z, 0).forEach(collider => {
+      if (collider.solid || !this._isActive(collider) || !this._contains(collider, x, z)) return;
+      speed = Math.min(speed, collider.speed);
+    });
+    
+    this.zones.forEach(zone => {
+      if (zone.contains(x, z)) {
+        speed = Math.min(speed, zone.speed);
+      }
+    });
+    
+    return speed;
+  }
+  
+  /**
+   * Whether a point lies inside a collider
+   * @private
+   * @param {Object} collider - Collider to test
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @returns {boolean} Whether the point is inside
+   */
+  _contains(collider, x, z) {
+    if (collider.shape === 'circle') {
+      return Math.hypot(x - collider.x, z - collider.z) <= collider.radius;
+    }
+    return x >= collider.minX && x <= collider.maxX && z >= collider.minZ && z <= collider.maxZ;
+  }
+  
+  /**
+   * Remove all colliders and zones
+   */
+  clear() {
+    this.hash.clear();
+    this.zones = [];
+  }
+}
@@ -0,0 +1,409 @@
+import * as THREE from 'three';
+import Structure, { structureTypes } from '../entities/Structure.js';
+import showDebugMessage from '../utils/DebugHelper.js';
+
+// World units per build grid cell
+export const GRID_SIZE = 2;
+
+// How far ahead of the player the placement preview sits
+const PLACE_DISTANCE = 3;
+
+// Structures can't go past this distance from the center (boundary is at 44)
+const BUILD_LIMIT = 42;
+
+// Structures within this distance of a village's edge defend it
+const DEFEND_MARGIN = 6;
+
+// Player within this distance speeds construction up
+const HELP_RADIUS = 5;
+
+/**
+ * Build mode for the ordered world: grid placement, validation and construction progress
+ */
+export default class Construction {
+  /**
+   * Initialize construction for a scene
+   * @param {Object} scene - Ordered scene (trees, riverCurve, villageData, scene)
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.game = scene.game;
+    this.structures = [];
+    this.occupied = new Set(); // "cellX,cellZ" keys taken by structures
+    
+    this.active = false;
+    this.selectedType = 'wall';
+    this.rotated = false;
+    this.placement = null; // Latest preview placement from _computePlacement()
+    
+    // Sampled river centerline for placement checks
+    this.riverPoints = scene.riverCurve ? scene.riverCurve.getSpacedPoints(100) : [];
+    
+    this._createPreview();
+  }
+  
+  /**
+   * Create the translucent placement preview
+   * @private
+   */
+  _createPreview() {
+    const material = new THREE.MeshBasicMaterial({
+      color: 0x00ff88,
+      transparent: true,
+      opacity: 0.35,
+      depthWrite: false
+    });
+    
+    // Unit box scaled to the footprint each update
+    this.preview = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), material);
+    this.preview.visible = false;
+    this.scene.scene.add(this.preview);
+  }
+  
+  /**
+   * Enter or leave build mode
+   * @param {boolean} active - Whether build mode should be on
+   */
+  setActive(active) {
+    this.active = active;
+    this.preview.visible = active;
+    
+    if (active) {
+      this._updatePreview();
+    }
+  }
+  
+  /**
+   * Toggle build mode
+   */
+  toggle() {
+    this.setActive(!this.active);
+  }
+  
+  /**
+   * Choose which structure to place
+   * @param {string} type - Key into structureTypes
+   */
+  selectType(type) {
+    if (!structureTypes[type]) return;
+    
+    this.selectedType = type;
+    if (this.active) this._updatePreview();
+  }
+  
+  /**
+   * Turn the footprint a quarter turn
+   */
+  rotate() {
+    this.rotated = !this.rotated;
+    if (this.active) this._updatePreview();
+  }
+  
+  /**
+   * Get footprint size in cells after rotation
+   * @private
+   * @param {string} type - Structure type
+   * @param {boolean} rotated - Whether the footprint is turned
+   * @returns {Object} Footprint {width, depth} in cells
+   */
+  _getFootprint(type, rotated) {
+    const { width, depth } = structureTypes[type].footprint;
+    return rotated ? { width: depth, depth: width } : { width, depth };
+  }
+  
+  /**
+   * Work out the grid cells for a structure anchored at a cell
+   * @private
+   * @param {string} type - Structure type
+   * @param {number} cellX - Grid x of the footprint's min corner
+   * @param {number} cellZ - Grid z of the footprint's min corner
+   * @param {boolean} rotated - Whether the footprint is turned
+   * @returns {Object} Placement {type, cellX, cellZ, rotated, cells, center}
+   */
+  _getPlacement(type, cellX, cellZ, rotated) {
+    const footprint = this._getFootprint(type, rotated);
+    const cells = [];
+    
+    for (let i = 0; i < footprint.width; i++) {
+      for (let j = 0; j < footprint.depth; j++) {
+        cells.push({ x: cellX + i, z: cellZ + j });
+      }
+    }
+    
+    const centerX = (cellX + footprint.width / 2) * GRID_SIZE;
+    const centerZ = (cellZ + footprint.depth / 2) * GRID_SIZE;
+    const center = new THREE.Vector3(centerX, this.scene.getGroundHeight(centerX, centerZ), centerZ);
+    
+    return { type, cellX, cellZ, rotated, cells, center };
+  }
+  
+  /**
+   * Snap the selected structure to the grid in front of the player
+   * @private
+   * @returns {Object|null} Placement with validation result, or null without a player
+   */
+  _computePlacement() {
+    const player = this.game.state.player;
+    if (!player || !player.mesh) return null;
+    
+    const footprint = this._getFootprint(this.selectedType, this.rotated);
+    const facing = player.mesh.rotation.y;
+    
+    // Push the footprint out so its near edge stays clear of the player
+    const reach = PLACE_DISTANCE + Math.max(footprint.width, footprint.depth) * GRID_SIZE / 2;
+    const targetX = player.mesh.position.x + Math.sin(facing) * reach;
+    const targetZ = player.mesh.position.z + Math.cos(facing) * reach;
+    
+    const cellX = Math.round(targetX / GRID_SIZE - footprint.width / 2);
+    const cellZ = Math.round(targetZ / GRID_SIZE - footprint.depth / 2);
+    
+    const placement = this._getPlacement(this.selectedType, cellX, cellZ, this.rotated);
+    placement.reason = this.validate(placement);
+    placement.valid = placement.reason === null;
+    return placement;
+  }
+  
+  /**
+   * Check whether a structure can be placed
+   * @param {Object} placement - Placement from _getPlacement()
+   * @param {boolean} checkCost - Whether the player must afford it
+   * @param {boolean} checkScenery - Whether trees, the river and houses block it
+   * @returns {string|null} Why the placement is blocked, or null if it's valid
+   */
+  validate(placement, checkCost = true, checkScenery = true) {
+    const config = structureTypes[placement.type];
+    
+    if (config.unique && this.structures.some(structure => structure.type === placement.type)) {
+      return `Only one ${config.name.toLowerCase()} can be built`;
+    }
+    
+    for (const cell of placement.cells) {
+      const x = (cell.x + 0.5) * GRID_SIZE;
+      const z = (cell.z + 0.5) * GRID_SIZE;
+      
+      if (Math.abs(x) > BUILD_LIMIT || Math.abs(z) > BUILD_LIMIT) {
+        return 'Too close to the edge of the land';
+      }
+      
+      if (this.occupied.has(`${cell.x},${cell.z}`)) {
+        return 'Something is already built here';
+      }
+      
+      if (!checkScenery) continue;
+      
+      if (this.scene.treeIndex.findNearest({ x, z }, GRID_SIZE)) {
+        return 'Trees are in the way';
+      }
+      
+      if (this.riverPoints.some(point => Math.hypot(point.x - x, point.z - z) < this.scene.riverWidth + 1)) {
+        return 'Can\'t build in the river';
+      }
+      
+      if (this.scene.villageData.some(village => Math.hypot(village.x - x, village.z - z) < village.radius)) {
+        return 'Too close to the houses';
+      }
+    }
+    
+    if (checkCost && this.game.state.resources < config.cost) {
+      return `Need ${config.cost} supplies`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Move and recolor the preview to match the current placement
+   * @private
+   */
+  _updatePreview() {
+    this.placement = this._computePlacement();
+    if (!this.placement) return;
+    
+    const config = structureTypes[this.placement.type];
+    const footprint = this._getFootprint(this.placement.type, this.placement.rotated);
+    
+    this.preview.scale.set(footprint.width * GRID_SIZE, config.height, footprint.depth * GRID_SIZE);
+    this.preview.position.copy(this.placement.center);
+    this.preview.position.y += config.height / 2;
+    this.preview.material.color.set(this.placement.valid ? 0x00ff88 : 0xff4444);
+  }
+  
+  /**
+   * Place the selected structure at the preview position and spend its cost
+   * @returns {boolean} Whether a structure was placed
+   */
+  placeStructure() {
+    this._updatePreview();
+    
+    if (!this.placement) return false;
+    if (!this.placement.valid) {
+      showDebugMessage.info(this.placement.reason);
+      return false;
+    }
+    
+    const config = structureTypes[this.placement.type];
+    this.game.state.resources -= config.cost;
+    
+    const structure = this._addStructure(this.placement);
+    
+    if (structure.village) {
+      showDebugMessage.interaction(`${config.name} started for Village ${structure.village.id + 1}`);
+    } else if (structure.type !== 'ark') {
+      showDebugMessage.info(`${config.name} started, but it's too far out to shield any village`);
+    } else {
+      showDebugMessage.interaction(`${config.name} started`);
+    }
+    
+    this._updatePreview();
+    return true;
+  }
+  
+  /**
+   * Create a structure, claim its cells and link it to the village it defends
+   * @private
+   * @param {Object} placement - Placement from _getPlacement()
+   * @returns {Structure} The new structure
+   */
+  _addStructure(placement) {
+    const { width, depth } = structureTypes[placement.type].footprint;
+    const structure = new Structure(
+      placement.type,
+      placement,
+      placement.center,
+      { width: width * GRID_SIZE, depth: depth * GRID_SIZE }
+    );
+    
+    placement.cells.forEach(cell => this.occupied.add(`${cell.x},${cell.z}`));
+    
+    // Block the footprint so the player walks around it and the camera stays in front of it
+    const footprint = this._getFootprint(placement.type, placement.rotated);
+    this.scene.collision.addBox(
+      placement.cellX * GRID_SIZE,
+      placement.cellZ * GRID_SIZE,
+      (placement.cellX + footprint.width) * GRID_SIZE,
+      (placement.cellZ + footprint.depth) * GRID_SIZE,
+      { top: placement.center.y + structureTypes[placement.type].height }
+    );
+    
+    // The ark shelters people rather than walling off a village
+    if (placement.type !== 'ark') {
+      structure.village = this._findDefendedVillage(placement.center);
+    }
+    
+    this.structures.push(structure);
+    this.scene.scene.add(structure.mesh);
+    return structure;
+  }
+  
+  /**
+   * Find the nearest village a structure at a position would shield
+   * @private
+   * @param {THREE.Vector3} position - Structure center
+   * @returns {Object|null} Village or null if none is close enough
+   */
+  _findDefendedVillage(position) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    
+    this.scene.villageData.forEach(village => {
+      const distance = Math.hypot(village.x - position.x, village.z - position.z);
+      if (distance <= village.radius + DEFEND_MARGIN && distance < nearestDistance) {
+        nearest = village;
+        nearestDistance = distance;
+      }
+    });
+    
+    return nearest;
+  }
+  
+  /**
+   * Total flood defense for a village: its own defense plus finished structures around it
+   * @param {Object} village - Village to check
+   * @returns {number} Defense value
+   */
+  getVillageDefense(village) {
+    return this.structures.reduce((total, structure) => {
+      if (structure.village !== village || !structure.isComplete()) return total;
+      return total + structure.config.defense;
+    }, village.defense);
+  }
+  
+  /**
+   * Get the ark if it has been finished
+   * @returns {Structure|null} Completed ark or null
+   */
+  getCompletedArk() {
+    return this.structures.find(structure => structure.type === 'ark' && structure.isComplete()) || null;
+  }
+  
+  /**
+   * Advance construction and keep the preview in front of the player
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   */
+  update(deltaTime) {
+    if (this.active) {
+      this._updatePreview();
+    }
+    
+    const player = this.game.state.player;
+    const playerPos = player && player.mesh ? player.mesh.position : null;
+    
+    this.structures.forEach(structure => {
+      if (structure.isComplete()) return;
+      
+      // Villagers pitch in on their own defenses, and the player helps when close by
+      let rate = 1;
+      if (structure.village) {
+        rate += structure.village.cooperation * structure.village.trust;
+      }
+      if (playerPos && playerPos.distanceTo(structure.mesh.position) < HELP_RADIUS) {
+        rate += 0.5;
+      }
+      
+      if (structure.update(deltaTime, rate)) {
+        showDebugMessage.achievement(`${structure.config.name} completed!`);
+      }
+    });
+  }
+  
+  /**
+   * Get serializable structure state for saving
+   * @returns {Array} Structure save data
+   */
+  getSaveData() {
+    return this.structures.map(structure => structure.getSaveData());
+  }
+  
+  /**
+   * Rebuild structures from save data (cost was paid when they were placed)
+   * @param {Array} data - Structure save data from getSaveData()
+   */
+  applySaveData(data) {
+    if (!Array.isArray(data)) return;
+    
+    data.forEach(saved => {
+      if (!structureTypes[saved.type]) return;
+      
+      const placement = this._getPlacement(saved.type, saved.cellX, saved.cellZ, saved.rotated);
+      
+      // Scenery was clear when it was placed, so only check against other structures
+      if (this.validate(placement, false, false) !== null) return;
+      
+      const structure = this._addStructure(placement);
+      structure.update(saved.progress * structure.config.buildTime);
+    });
+  }
+  
+  /**
+   * Clean up structures and the preview
+   */
+  dispose() {
+    this.structures.forEach(structure => structure.dispose());
+    this.structures = [];
+    this.occupied.clear();
+    
+    this.scene.scene.remove(this.preview);
+    this.preview.geometry.dispose();
+    this.preview.material.dispose();
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * Interpreter for the declarative event format in src/assets/data/events/*.json
+ *
+ * Events list `conditions` that must all pass before they can appear, and each
+ * choice lists `effects` that are applied in order when it is picked.
+ * Every entry is a plain object with a `type` field, so definitions stay JSON.
+ */
+
+// Upper bounds for village fields (lower bound is always 0)
+const VILLAGE_FIELD_LIMITS = {
+  cooperation: 1,
+  consciousness: 1,
+  trust: 1
+};
+
+/**
+ * Compare a value against the gt/gte/lt/lte/eq fields of a condition
+ * @param {number} value - Value to test
+ * @param {Object} condition - Condition holding comparison fields
+ * @returns {boolean} Whether every comparison present passes
+ */
+function compare(value, condition) {
+  if (typeof value !== 'number') return false;
+  if (condition.gt !== undefined && !(value > condition.gt)) return false;
+  if (condition.gte !== undefined && !(value >= condition.gte)) return false;
+  if (condition.lt !== undefined && !(value < condition.lt)) return false;
+  if (condition.lte !== undefined && !(value <= condition.lte)) return false;
+  if (condition.eq !== undefined && value !== condition.eq) return false;
+  return true;
+}
+
+/**
+ * Read a philosophical or gameplay trait from the player
+ * @param {Object} game - Main game instance
+ * @param {string} trait - Trait name
+ * @returns {number|undefined} Trait value
+ */
+function getTraitValue(game, trait) {
+  const player = game.state.player;
+  if (!player) return undefined;
+  
+  if (player.philosophicalTraits && trait in player.philosophicalTraits) {
+    return player.philosophicalTraits[trait];
+  }
+  return player.traits ? player.traits[trait] : undefined;
+}
+
+/**
+ * How strongly the player's actions land with villages
+ * @param {Object} game - Main game instance
+ * @returns {number} Multiplier (1 for a neutral player)
+ */
+function getInfluence(game) {
+  const player = game.state.player;
+  if (!player) return 1;
+  
+  const influence = player.traits.villageInfluence ?? 1;
+  const compassion = player.philosophicalTraits ? player.philosophicalTraits.compassion : 0.5;
+  return Math.max(0.25, influence + (compassion - 0.5));
+}
+
+/**
+ * Resolve the villages a condition or effect refers to
+ * @param {Object} game - Main game instance
+ * @param {string|number} target - "nearest", "others" (all but nearest), "all"/"any", or a village id
+ * @returns {Array} Matching village data objects
+ */
+function getVillages(game, target = 'nearest') {
+  const scene = game.stageManager && game.stageManager.currentScene;
+  const villages = scene && scene.villageData ? scene.villageData : [];
+  if (villages.length === 0) return [];
+  
+  if (target === 'all' || target === 'any') {
+    return villages;
+  }
+  
+  if (target === 'nearest' || target === 'others') {
+    const player = game.state.player;
+    if (!player || !player.mesh) return [];
+    
+    const { x, z } = player.mesh.position;
+    let nearest = null;
+    let nearestDistance = Infinity;
+    
+    villages.forEach(village => {
+      const distance = Math.hypot(village.x - x, village.z - z);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = village;
+      }
+    });
+    
+    if (target === 'others') {
+      return villages.filter(village => village !== nearest);
+    }
+    return nearest ? [nearest] : [];
+  }
+  
+  return villages.filter(village => village.id === target);
+}
+
+/**
+ * Condition handlers by type
+ * Each receives the condition and the evaluation context ({ game, events, history })
+ */
+const CONDITIONS = {
+  stage: (condition, { game }) => {
+    const stages = Array.isArray(condition.is) ? condition.is : [condition.is];
+    return stages.includes(game.state.stage);
+  },
+  
+  trait: (condition, { game }) => compare(getTraitValue(game, condition.trait), condition),
+  
+  resources: (condition, { game }) => compare(game.state.resources, condition),
+  
+  timer: (condition, { game }) => compare(game.state.timer, condition),
+  
+  willToLive: (condition, { game }) => {
+    const player = game.state.player;
+    return !!(player && player.willToLive) === (condition.is !== false);
+  },
+  
+  // A previous event was resolved, optionally with a specific choice id
+  choice: (condition, { history }) => history.some(entry =>
+    entry.id === condition.event &&
+    entry.choiceId !== undefined &&
+    (condition.choice === undefined || entry.choiceId === condition.choice)
+  ),
+  
+  village: (condition, { game }) => {
+    const villages = getVillages(game, condition.target);
+    if (villages.length === 0) return false;
+    
+    const test = village => compare(village[condition.field], condition);
+    return condition.target === 'all' ? villages.every(test) : villages.some(test);
+  },
+  
+  // Run flag set by a flag effect; compares numerically when gt/gte/lt/lte/eq are given
+  flag: (condition, { events }) => {
+    const value = events.flags[condition.flag];
+    if (['gt', 'gte', 'lt', 'lte', 'eq'].some(key => condition[key] !== undefined)) {
+      return compare(value ?? 0, condition);
+    }
+    if (condition.is === undefined || typeof condition.is === 'boolean') {
+      return !!value === (condition.is !== false);
+    }
+    return value === condition.is;
+  },
+  
+  not: (condition, context) => !checkCondition(condition.condition, context),
+  
+  any: (condition, context) => (condition.conditions || []).some(c => checkCondition(c, context))
+};
+
+/**
+ * Effect handlers by type
+ * Each receives the effect and the resolution context ({ game, events, random, messages })
+ */
+const EFFECTS = {
+  resources: (effect, { game }) => {
+    game.state.resources += effect.amount;
+  },
+  
+  timer: (effect, { game }) => {
+    game.state.timer += effect.amount;
+  },
+  
+  trait: (effect, { game }) => {
+    if (game.state.player) {
+      game.state.player.modifyTrait(effect.trait, effect.amount);
+    }
+  },
+  
+  // `scale: "influence"` multiplies the amount by the player's sway over villages
+  village: (effect, { game }) => {
+    const limit = VILLAGE_FIELD_LIMITS[effect.field];
+    const amount = effect.scale === 'influence' ? effect.amount * getInfluence(game) : effect.amount;
+    
+    getVillages(game, effect.target).forEach(village => {
+      const value = (village[effect.field] || 0) + amount;
+      village[effect.field] = Math.max(0, limit !== undefined ? Math.min(limit, value) : value);
+    });
+  },
+  
+  // Set a run flag (value defaults to true), or add `amount` to a numeric flag
+  flag: (effect, { events }) => {
+    if (effect.amount !== undefined) {
+      events.flags[effect.flag] = (events.flags[effect.flag] || 0) + effect.amount;
+    } else {
+      events.flags[effect.flag] = effect.value ?? true;
+    }
+  },
+  
+  // Queue a follow-up event (see EventSystem.scheduleEvent for timing options)
+  schedule: (effect, { events }) => {
+    events.scheduleEvent(effect);
+  },
+  
+  message: (effect, { messages }) => {
+    messages.push(effect.text);
+  },
+  
+  // Weighted pick of one branch; weights don't need to sum to 1
+  random: (effect, context) => {
+    const branches = effect.branches || [];
+    const total = branches.reduce((sum, branch) => sum + (branch.weight ?? 1), 0);
+    if (total <= 0) return;
+    
+    let roll = context.random.next() * total;
+    const picked = branches.find(branch => {
+      roll -= branch.weight ?? 1;
+      return roll < 0;
+    }) || branches[branches.length - 1];
+    
+    runEffects(picked.effects, context);
+  },
+  
+  if: (effect, context) => {
+    const passed = checkConditions(effect.conditions, context.events);
+    runEffects(passed ? effect.then : effect.else, context);
+  }
+};
+
+/**
+ * Evaluate a single condition
+ * @param {Object} condition - Condition definition
+ * @param {Object} context - Evaluation context
+ * @returns {boolean} Whether the condition passes
+ */
+function checkCondition(condition, context) {
+  const handler = CONDITIONS[condition.type];
+  if (!handler) {
+    console.warn(`Unknown event condition type: ${condition.type}`);
+    return false;
+  }
+  return handler(condition, context);
+}
+
+/**
+ * Apply a list of effects in order
+ * @param {Array} effects - Effect definitions
+ * @param {Object} context - Resolution context
+ */
+function runEffects(effects, context) {
+  (effects || []).forEach(effect => {
+    const handler = EFFECTS[effect.type];
+    if (!handler) {
+      console.warn(`Unknown event effect type: ${effect.type}`);
+      return;
+    }
+    handler(effect, context);
+  });
+}
+
+/**
+ * Check whether all conditions pass
+ * @param {Array} conditions - Condition definitions (missing or empty passes)
+ * @param {EventSystem} events - Event system holding history and run flags
+ * @returns {boolean} Whether every condition passes
+ */
+export function checkConditions(conditions, events) {
+  if (!conditions || conditions.length === 0) return true;
+  
+  const context = { game: events.game, events, history: events.eventHistory };
+  return conditions.every(condition => checkCondition(condition, context));
+}
+
+/**
+ * Apply a choice's effects to the game
+ * @param {Array} effects - Effect definitions
+ * @param {EventSystem} events - Event system (random stream, flags, scheduling)
+ * @returns {Array<string>} Messages produced by message effects, in order
+ */
+export function applyEffects(effects, events) {
+  const context = {
+    game: events.game,
+    events,
+    random: events.random,
+    history: events.eventHistory,
+    messages: []
+  };
+  runEffects(effects, context);
+  return context.messages;
+}
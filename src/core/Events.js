@@ -2,6 +2,12 @@
  * Event system for philosophical choices and events
  */
 import * as THREE from 'three';
+import { checkConditions, applyEffects } from './EventRules.js';
+import SpatialIndex from '../utils/SpatialIndex.js';
+import { createGlowSprite, setGlowStrength } from '../utils/Glow.js';
+
+// Event definitions, one JSON file per stage
+const eventFiles = import.meta.glob('../assets/data/events/*.json', { eager: true, import: 'default' });
 
 export default class EventSystem {
   /**
@@ -13,8 +19,15 @@ export default class EventSystem {
     this.activeEvent = null;
     this.eventHistory = [];
     this.eventCooldown = 0;
+    
+    // Event chain state: flags set by choices and follow-ups waiting to fire
+    this.flags = {};
+    this.pendingEvents = [];
     this.stageEvents = this.loadEvents();
     
+    // Event rolls and trigger placement draw from the run seed
+    this.seedRandom();
+    
     // Minimum exploration time before events can trigger (in milliseconds)
     this.explorationTime = 60000; // 60 seconds of gameplay before events can occur
     this.gameStartTime = Date.now();
@@ -24,197 +37,166 @@ export default class EventSystem {
     
     // Track interactive objects that can trigger events
     this.interactiveObjects = [];
+    this.triggerIndex = new SpatialIndex(); // Same objects, for proximity checks
     
     // Track the current active event trigger for removal after event completion
     this.activeEventTrigger = null;
   }
   
   /**
-   * Define all possible events by stage
+   * (Re)create the event random stream from the game's current seed
+   */
+  seedRandom() {
+    this.random = this.game.random.fork(`events:${this.game.state.restarts}`);
+  }
+  
+  /**
+   * Load event definitions by stage from the JSON data files
    * @returns {Object} Events organized by stage
    */
   loadEvents() {
-    return {
-      primordial: [
-        {
-          id: 'struggling_entity',
-          title: 'Struggling Entity',
-          description: 'You encounter a smaller entity struggling to survive. Consuming it would provide immediate energy.',
-          choices: [
-            {
-              text: 'Consume it for energy',
-              outcome: 'You gained energy but lost something less tangible.',
-              effect: (game) => {
-                game.state.resources += 3;
-                game.state.player.modifyTrait('compassion', -0.2);
-                return 'You gained 3 energy but your capacity for compassion decreased.';
-              }
-            },
-            {
-              text: 'Leave it alone',
-              outcome: 'You passed up easy energy, but feel a strange sense of connection.',
-              effect: (game) => {
-                game.state.player.modifyTrait('compassion', 0.3);
-                return 'Your capacity for compassion increased.';
-              }
-            }
-          ]
-        },
-        {
-          id: 'glowing_substance',
-          title: 'Glowing Substance',
-          description: 'A strange glowing substance pulses nearby. It seems potentially valuable but unpredictable.',
-          choices: [
-            {
-              text: 'Absorb it directly',
-              outcome: 'The substance merges with you, creating an unusual reaction.',
-              effect: (game) => {
-                const random = Math.random();
-                if (random > 0.7) {
-                  game.state.player.modifyTrait('speed', 0.2);
-                  return 'You feel faster and more agile!';
-                } else if (random > 0.4) {
-                  game.state.resources += 5;
-                  return 'The substance converts to 5 energy!';
-                } else {
-                  game.state.timer -= 10;
-                  return 'You feel disoriented, losing precious time before the flood.';
-                }
-              }
-            },
-            {
-              text: 'Study it carefully first',
-              outcome: 'Patient observation reveals the substance\'s nature.',
-              effect: (game) => {
-                game.state.player.modifyTrait('curiosity', 0.2);
-                game.state.resources += 2;
-                return 'You gained insights and 2 energy from careful study.';
-              }
-            }
-          ]
-        }
-      ],
-      
-      prehistoric: [
-        {
-          id: 'trapped_creature',
-          title: 'Trapped Creature',
-          description: 'You find a creature trapped under fallen debris. Helping would cost time and energy.',
-          choices: [
-            {
-              text: 'Help free the creature',
-              outcome: 'The creature is grateful and follows you briefly.',
-              effect: (game) => {
-                game.state.timer -= 5;
-                game.state.resources -= 1;
-                if (game.state.player.traits.compassion > 0.5) {
-                  game.state.resources += 4;
-                  return 'The grateful creature leads you to a hidden cache of materials, yielding 4 resources!';
-                } else {
-                  game.state.resources += 2;
-                  return 'The creature shares 2 resources with you before departing.';
-                }
-              }
-            },
-            {
-              text: 'Continue on your path',
-              outcome: 'You leave the creature to its fate, focusing on your own survival.',
-              effect: (game) => {
-                game.state.player.modifyTrait('compassion', -0.2);
-                game.state.player.modifyTrait('efficiency', 0.1);
-                return 'Your efficiency increased, but your capacity for compassion decreased.';
-              }
-            }
-          ]
-        },
-        {
-          id: 'ancient_knowledge',
-          title: 'Ancient Markings',
-          description: 'Strange patterns are carved into a rock face. They seem to contain knowledge.',
-          choices: [
-            {
-              text: 'Take time to decipher them',
-              outcome: 'The patterns reveal insights about the coming meteor.',
-              effect: (game) => {
-                game.state.timer -= 8;
-                game.state.player.modifyTrait('adaptability', 0.3);
-                game.state.floodTimer = game.state.floodTimer + 20;
-                return 'You gained advance warning about the meteor, adding 20 seconds to prepare!';
-              }
-            },
-            {
-              text: 'Make a quick sketch and move on',
-              outcome: 'You capture the basic pattern but miss deeper meaning.',
-              effect: (game) => {
-                game.state.player.modifyTrait('curiosity', 0.1);
-                return 'Your curiosity increased slightly. Perhaps the patterns will make sense later.';
-              }
-            }
-          ]
-        }
-      ],
+    const events = {};
+    
+    // File name is the stage, e.g. events/primordial.json
+    Object.entries(eventFiles).forEach(([path, definitions]) => {
+      const stage = path.split('/').pop().replace('.json', '');
+      events[stage] = definitions;
+    });
+    
+    return events;
+  }
+  
+  /**
+   * Get events for a stage whose prerequisites are currently met
+   * @param {string} stage - Stage to get events for
+   * @returns {Array} Eligible event definitions
+   */
+  getAvailableEvents(stage) {
+    const events = this.stageEvents[stage] || [];
+    
+    // Follow-ups only appear when a chain schedules them
+    return events.filter(event => !event.followUp && checkConditions(event.conditions, this));
+  }
+  
+  /**
+   * Find an event definition by id in any stage
+   * @param {string} eventId - Event id
+   * @returns {Object|null} Event definition
+   */
+  findEvent(eventId) {
+    for (const events of Object.values(this.stageEvents)) {
+      const event = events.find(e => e.id === eventId);
+      if (event) return event;
+    }
+    return null;
+  }
+  
+  /**
+   * Queue a follow-up event
+   * @param {Object} options - Schedule options (a schedule effect)
+   * @param {string} options.event - Id of the event to fire
+   * @param {string} options.stage - Stage it fires in ("next" for the stage after the current one); defaults to any stage
+   * @param {number} options.delay - Seconds of play in that stage before it can fire
+   * @param {Object} options.at - Location trigger: { x, z, radius } or { village: "any" | id }
+   */
+  scheduleEvent({ event, stage = null, delay = 0, at = null }) {
+    if (!this.findEvent(event)) {
+      console.warn(`Cannot schedule unknown event: ${event}`);
+      return;
+    }
+    
+    if (stage === 'next') {
+      const stages = Object.keys(this.game.stageManager.stageConfig);
+      stage = stages[stages.indexOf(this.game.state.stage) + 1];
+      if (!stage) return; // No stage left for the follow-up to happen in
+    }
+    
+    this.pendingEvents.push({
+      event,
+      stage,
+      remaining: delay * 1000,
+      at
+    });
+  }
+  
+  /**
+   * Called from Player.evolve() when the player moves on to a new stage
+   * @param {string} nextStage - Stage the player evolved into
+   */
+  onPlayerEvolved(nextStage) {
+    const stages = Object.keys(this.game.stageManager.stageConfig);
+    const nextIndex = stages.indexOf(nextStage);
+    
+    // Follow-ups tied to a stage that was skipped past can never fire
+    this.pendingEvents = this.pendingEvents.filter(pending =>
+      !pending.stage || stages.indexOf(pending.stage) >= nextIndex
+    );
+    
+    this.flags[`evolved_${nextStage}`] = true;
+  }
+  
+  /**
+   * Count down follow-ups and fire the first one that is due
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   * @private
+   */
+  _updatePendingEvents(deltaTime) {
+    if (this.pendingEvents.length === 0) return;
+    
+    const stageManager = this.game.stageManager;
+    const player = this.game.state.player;
+    if (!stageManager.currentScene || !player || !player.mesh) return;
+    
+    // Hold follow-ups during flood outcomes and stage transitions
+    if (!stageManager.floodTimerActive) return;
+    
+    const stage = this.game.state.stage;
+    
+    // Count every follow-up down before picking one, so queue order doesn't delay any
+    this.pendingEvents.forEach(pending => {
+      if (pending.stage && pending.stage !== stage) return;
+      if (pending.remaining > 0) {
+        pending.remaining -= deltaTime;
+      }
+    });
+    
+    const due = this.pendingEvents.find(pending => {
+      if (pending.stage && pending.stage !== stage) return false;
+      if (pending.remaining > 0) return false;
       
-      ordered: [
-        {
-          id: 'village_dispute',
-          title: 'Village Dispute',
-          description: 'Two villages argue over limited building materials as flood warnings intensify.',
-          choices: [
-            {
-              text: 'Help them cooperate on a shared defense',
-              outcome: 'Cooperation proves challenging but rewarding.',
-              effect: (game) => {
-                if (game.state.player.traits.villageInfluence > 1.2) {
-                  game.state.resources += 8;
-                  game.state.player.modifyTrait('cooperation', 0.3);
-                  return 'Your exceptional influence helps forge an alliance! You gain 8 supplies and increased cooperative ability.';
-                } else {
-                  game.state.timer -= 10;
-                  game.state.resources += 3;
-                  game.state.player.modifyTrait('cooperation', 0.1);
-                  return 'After some time, you convince them to work together. You gain 3 supplies.';
-                }
-              }
-            },
-            {
-              text: 'Choose one village to support',
-              outcome: 'Strategic alliance focuses resources but creates division.',
-              effect: (game) => {
-                game.state.resources += 5;
-                game.state.player.modifyTrait('influence', 0.2);
-                game.state.player.modifyTrait('cooperation', -0.2);
-                return 'The chosen village provides 5 supplies, but others view you with suspicion.';
-              }
-            }
-          ]
-        },
-        {
-          id: 'philosophy_stone',
-          title: 'The Consciousness Stone',
-          description: 'A peculiar stone emanates awareness. It seems to offer profound knowledge at a price.',
-          choices: [
-            {
-              text: 'Bond with the stone completely',
-              outcome: 'The stone\'s consciousness merges with yours.',
-              effect: (game) => {
-                game.state.player.modifyTrait('consciousness', 0.5);
-                game.state.timer -= 15;
-                return 'Your consciousness expands dramatically, but the deep connection cost valuable time.';
-              }
-            },
-            {
-              text: 'Learn from it but maintain separation',
-              outcome: 'You gain insights while preserving your identity.',
-              effect: (game) => {
-                game.state.player.modifyTrait('consciousness', 0.2);
-                game.state.resources += 3;
-                return 'Your consciousness expands moderately, and you convert some insights into 3 supplies.';
-              }
-            }
-          ]
-        }
-      ]
-    };
+      return this._isAtTriggerLocation(pending.at, player.mesh.position);
+    });
+    
+    if (!due) return;
+    
+    this.pendingEvents.splice(this.pendingEvents.indexOf(due), 1);
+    
+    // Chains can be cut short by later choices, so re-check the follow-up's conditions
+    const event = this.findEvent(due.event);
+    if (event && checkConditions(event.conditions, this)) {
+      this.startEvent({ ...event });
+    }
+  }
+  
+  /**
+   * Check whether the player is at a follow-up's trigger location
+   * @param {Object|null} at - Location trigger from scheduleEvent()
+   * @param {THREE.Vector3} position - Player position
+   * @returns {boolean} Whether the location is satisfied
+   * @private
+   */
+  _isAtTriggerLocation(at, position) {
+    if (!at) return true;
+    
+    if (at.village !== undefined) {
+      const scene = this.game.stageManager.currentScene;
+      const nearby = scene.getNearbyVillage ? scene.getNearbyVillage(position) : null;
+      return !!nearby && (at.village === 'any' || nearby.data.id === at.village);
+    }
+    
+    const dx = position.x - at.x;
+    const dz = position.z - at.z;
+    return Math.sqrt(dx * dx + dz * dz) < (at.radius || 3);
   }
   
   /**
@@ -246,7 +228,7 @@ export default class EventSystem {
     const scene = this.game.stageManager.currentScene;
     
     // Limit insights to a consistent number based on available events
-    const availableEvents = this.stageEvents[stage];
+    const availableEvents = this.getAvailableEvents(stage);
     if (!availableEvents || availableEvents.length === 0) {
       return;
     }
@@ -280,13 +262,14 @@ export default class EventSystem {
     }
     
     // Don't create if we don't have events for this stage
-    const availableEvents = this.stageEvents[stage];
+    const availableEvents = this.getAvailableEvents(stage);
     if (!availableEvents || availableEvents.length === 0) {
       return;
     }
     
     // Create different objects based on stage
     let mesh;
+    let glow;
     
     if (stage === 'primordial') {
       // Create a pulsing, unusual formation
@@ -310,9 +293,8 @@ export default class EventSystem {
       
       mesh = new THREE.Mesh(geometry, material);
       
-      // Add subtle point light
-      const light = new THREE.PointLight(0x00aaff, 0.8, 3);
-      mesh.add(light);
+      // Subtle glow (halo plus a light lent by the scene's light budget)
+      glow = { color: 0x00aaff, intensity: 0.8, distance: 3 };
       
     } else if (stage === 'prehistoric') {
       // Create a mysterious artifact or fossil
@@ -327,9 +309,8 @@ export default class EventSystem {
       
       mesh = new THREE.Mesh(geometry, material);
       
-      // Add subtle point light
-      const light = new THREE.PointLight(0xffaa44, 0.6, 2);
-      mesh.add(light);
+      // Subtle glow (halo plus a light lent by the scene's light budget)
+      glow = { color: 0xffaa44, intensity: 0.6, distance: 2 };
       
     } else {
       // Ordered world - create a floating crystal or monument
@@ -344,9 +325,8 @@ export default class EventSystem {
       
       mesh = new THREE.Mesh(geometry, material);
       
-      // Add subtle point light
-      const light = new THREE.PointLight(0x88aaff, 0.7, 3);
-      mesh.add(light);
+      // Subtle glow (halo plus a light lent by the scene's light budget)
+      glow = { color: 0x88aaff, intensity: 0.7, distance: 3 };
     }
     
     // Position the object somewhere in the scene but not too close to start
@@ -374,13 +354,13 @@ export default class EventSystem {
     
     // Keep trying until we find a suitable position or reach max attempts
     do {
-      angle = Math.random() * Math.PI * 2;
-      distance = effectiveMinDistance + (Math.random() * (effectiveMaxDistance - effectiveMinDistance));
+      angle = this.random.next() * Math.PI * 2;
+      distance = effectiveMinDistance + (this.random.next() * (effectiveMaxDistance - effectiveMinDistance));
       
       // Calculate potential position
       position = new THREE.Vector3(
         Math.cos(angle) * distance,
-        0.5 + (Math.random() * 0.5),
+        0.5 + (this.random.next() * 0.5),
         Math.sin(angle) * distance
       );
       
@@ -425,6 +405,7 @@ export default class EventSystem {
     mesh.userData.eventTriggerId = `trigger_${Date.now()}_${index}`;
     mesh.userData.stage = stage;
     mesh.userData.isActive = true; // Flag to track if this trigger is still active/available
+    mesh.userData.hover = position.y; // Height above the ground
     
     // Store a subset of events this trigger can activate
     if (availableEvents.length > 0) {
@@ -434,11 +415,15 @@ export default class EventSystem {
       mesh.userData.eventPool = [availableEvents[eventIndex]];
     }
     
-    // Add the mesh to the scene
+    // Add the mesh to the scene; the halo keeps it glowing when a nearer effect has the light
+    mesh.userData.halo = createGlowSprite(glow.color, glow.distance * 0.5, 0.5);
+    mesh.add(mesh.userData.halo);
     scene.scene.add(mesh);
+    mesh.userData.light = scene.lightBudget.request({ position: mesh.position, priority: 1, ...glow });
     
     // Store reference
     this.interactiveObjects.push(mesh);
+    this.triggerIndex.add(mesh, mesh.position);
     
     // Track position
     usedPositions.push(position);
@@ -454,6 +439,10 @@ export default class EventSystem {
     // If there's an active event, don't process further
     if (this.activeEvent) return;
     
+    // Follow-ups run on their own delays rather than the random event cooldown
+    this._updatePendingEvents(deltaTime);
+    if (this.activeEvent) return;
+    
     // Reduce cooldown
     if (this.eventCooldown > 0) {
       this.eventCooldown -= deltaTime;
@@ -483,7 +472,7 @@ export default class EventSystem {
     }
     
     // Less frequent random events than before - mostly relying on interaction
-    const eventChance = Math.random();
+    const eventChance = this.random.next();
     const currentStage = this.game.state.stage;
     
     // Higher chance of events as flood approaches, but much lower base chance
@@ -501,23 +490,25 @@ export default class EventSystem {
    * @param {number} deltaTime - Time since last update
    */
   updateInteractiveObjects(deltaTime) {
+    const scene = this.game.stageManager.currentScene;
+    
     this.interactiveObjects.forEach(obj => {
       if (!obj) return;
       
-      // Gentle floating motion
-      obj.position.y = obj.userData.baseY || obj.position.y;
-      obj.position.y += Math.sin(Date.now() * 0.001) * 0.05;
-      
-      if (!obj.userData.baseY) {
-        obj.userData.baseY = obj.position.y;
-      }
+      // Gentle floating motion above the ground
+      const ground = scene ? scene.getGroundHeight(obj.position.x, obj.position.z) : 0;
+      obj.position.y = ground + obj.userData.hover + Math.sin(Date.now() * 0.001) * 0.05;
       
       // Slow rotation
-      obj.rotation.y += 0.001 * deltaTime;
+      obj.rotation.y += 0.0005 * deltaTime;
       
-      // Pulsing light if present
-      if (obj.children[0] && obj.children[0].isLight) {
-        obj.children[0].intensity = 0.6 + (Math.sin(Date.now() * 0.002) * 0.2);
+      // Pulsing glow if present
+      const pulse = Math.sin(Date.now() * 0.002);
+      if (obj.userData.light) {
+        obj.userData.light.intensity = 0.6 + (pulse * 0.2);
+      }
+      if (obj.userData.halo) {
+        setGlowStrength(obj.userData.halo, 1 + (pulse / 3));
       }
     });
   }
@@ -529,13 +520,10 @@ export default class EventSystem {
    * @returns {Object|null} Interactive object if in range, null otherwise
    */
   getNearbyEventTrigger(playerPosition, interactionRadius) {
-    // Filter to find only active objects with valid event pools that are within range
-    return this.interactiveObjects.find(obj => {
-      if (!obj || !obj.userData || !obj.userData.isActive) return false;
-      if (!obj.userData.eventPool || obj.userData.eventPool.length === 0) return false;
-      
-      const distance = playerPosition.distanceTo(obj.position);
-      return distance < interactionRadius;
+    // Closest active object with a valid event pool within range
+    return this.triggerIndex.findNearest(playerPosition, interactionRadius, obj => {
+      if (!obj.userData || !obj.userData.isActive) return false;
+      return obj.userData.eventPool && obj.userData.eventPool.length > 0;
     });
   }
   
@@ -556,7 +544,7 @@ export default class EventSystem {
     }
     
     // Get a random event from this trigger's pool
-    const eventIndex = Math.floor(Math.random() * triggerObject.userData.eventPool.length);
+    const eventIndex = Math.floor(this.random.next() * triggerObject.userData.eventPool.length);
     const selectedEvent = { ...triggerObject.userData.eventPool[eventIndex] };
     
     // Remove the event from the pool so it doesn't trigger again from this object
@@ -567,24 +555,18 @@ export default class EventSystem {
       triggerObject.userData.isActive = false;
     }
     
-    // Set as active event
-    this.activeEvent = selectedEvent;
+    // None of the event's choices are open to the player: skip it, and let the
+    // trigger go once it has nothing left to offer
+    if (!this.startEvent(selectedEvent)) {
+      if (!triggerObject.userData.isActive) {
+        this.removeEventTrigger(triggerObject, this.game.stageManager.currentScene.scene);
+      }
+      return false;
+    }
     
     // Add some particles/effects at the trigger location
     this.showTriggerEffect(triggerObject);
     
-    // Pause game (stop flood timer)
-    this.game.pause();
-    
-    // Display event UI
-    this.displayEventUI(selectedEvent);
-    
-    // Set cooldown
-    this.eventCooldown = 20000; // 20 seconds before another event can trigger
-    
-    // Add to history
-    this.eventHistory.push(selectedEvent);
-    
     // Store reference to the trigger object and current scene for removal after event resolution
     this.activeEventTrigger = {
       object: triggerObject,
@@ -599,28 +581,9 @@ export default class EventSystem {
    * @param {Object} triggerObject - The object that triggered the event
    */
   showTriggerEffect(triggerObject) {
-    // Create a flash of light
-    const position = triggerObject.position.clone();
-    const scene = this.game.stageManager.currentScene.scene;
-    
-    // Add a bright flash
-    const flash = new THREE.PointLight(0xffffff, 3, 10);
-    flash.position.copy(position);
-    scene.add(flash);
-    
-    // Fade out the flash
-    const startTime = Date.now();
-    const fadeFlash = () => {
-      const elapsed = Date.now() - startTime;
-      if (elapsed < 1000) {
-        flash.intensity = 3 * (1 - elapsed / 1000);
-        requestAnimationFrame(fadeFlash);
-      } else {
-        scene.remove(flash);
-      }
-    };
-    
-    fadeFlash();
+    // A bright flash that fades out over a second
+    const lightBudget = this.game.stageManager.currentScene.lightBudget;
+    lightBudget.flash(triggerObject.position, 0xffffff, 3, 10, 1000);
   }
   
   /**
@@ -651,7 +614,7 @@ export default class EventSystem {
    */
   triggerRandomEvent() {
     const currentStage = this.game.state.stage;
-    const availableEvents = this.stageEvents[currentStage];
+    const availableEvents = this.getAvailableEvents(currentStage);
     
     if (!availableEvents || availableEvents.length === 0) return;
     
@@ -672,23 +635,48 @@ export default class EventSystem {
     }
     
     // Select random event
-    const randomIndex = Math.floor(Math.random() * eligibleEvents.length);
+    const randomIndex = Math.floor(this.random.next() * eligibleEvents.length);
     const selectedEvent = { ...eligibleEvents[randomIndex] };
     
+    this.startEvent(selectedEvent);
+  }
+  
+  /**
+   * Open an event: pause the game and show its choices
+   * Events whose choices all fail their conditions are skipped, since the modal can
+   * only be closed by picking a choice.
+   * @param {Object} event - Event to start
+   * @returns {boolean} Whether the event opened
+   */
+  startEvent(event) {
+    if (this._getAvailableChoices(event).length === 0) return false;
+    
     // Set as active event
-    this.activeEvent = selectedEvent;
+    this.activeEvent = event;
     
     // Pause game (stop flood timer)
     this.game.pause();
     
     // Display event UI
-    this.displayEventUI(selectedEvent);
-    
-    // Add to history
-    this.eventHistory.push(selectedEvent);
+    this.displayEventUI(event);
+    this.game.audio.playStinger('event');
     
     // Set cooldown
-    this.eventCooldown = 20000; // 20 seconds before another event
+    this.eventCooldown = 20000; // 20 seconds before another event can trigger
+    
+    // Add to history
+    this.eventHistory.push(event);
+    return true;
+  }
+  
+  /**
+   * Choices whose conditions the player currently meets
+   * @private
+   * @param {Object} event - Event definition
+   * @returns {Array} Available choices
+   */
+  _getAvailableChoices(event) {
+    return event.choices.filter(choice => checkConditions(choice.conditions, this));
   }
   
   /**
@@ -742,8 +730,10 @@ export default class EventSystem {
     choicesContainer.style.marginTop = '20px';
     eventCard.appendChild(choicesContainer);
     
-    // Add choice buttons
-    event.choices.forEach((choice, index) => {
+    // Add choice buttons, hiding choices whose conditions aren't met
+    const choices = this._getAvailableChoices(event);
+    
+    choices.forEach((choice, index) => {
       const choiceButton = document.createElement('button');
       choiceButton.textContent = choice.text;
       choiceButton.style.display = 'block';
@@ -782,23 +772,15 @@ export default class EventSystem {
     // Verify object still exists in the scene
     if (!triggerObject) return;
     
-    // Store the event trigger ID for finding it in our array later
-    const triggerID = triggerObject.userData?.eventTriggerId;
-    
-    // Remove light children first if they exist
-    if (triggerObject.children && triggerObject.children.length > 0) {
-      const children = [...triggerObject.children];
-      children.forEach(child => {
-        triggerObject.remove(child);
-        if (child.isLight) {
-          // Dispose of any light resources
-          child.dispose();
-        }
-      });
+    // Give its glow back to the scene's light budget
+    const lightBudget = this.game.stageManager?.currentScene?.lightBudget;
+    if (triggerObject.userData?.light && lightBudget) {
+      lightBudget.release(triggerObject.userData.light);
     }
     
     // Remove from scene
     scene.remove(triggerObject);
+    this.triggerIndex.remove(triggerObject);
     
     // Dispose of materials and geometries
     if (triggerObject.geometry) triggerObject.geometry.dispose();
@@ -813,16 +795,11 @@ export default class EventSystem {
     // Clear reference to prevent memory leaks
     triggerObject.userData = null;
     
-    // Remove from our internal tracking array
-    if (triggerID) {
-      const index = this.interactiveObjects.findIndex(obj => 
-        obj && obj.userData && obj.userData.eventTriggerId === triggerID
-      );
-      
-      if (index !== -1) {
-        // Replace with null instead of splicing to avoid shifting indices
-        this.interactiveObjects[index] = null;
-      }
+    // Remove from our internal tracking array (by reference, since its userData is gone)
+    const index = this.interactiveObjects.indexOf(triggerObject);
+    if (index !== -1) {
+      // Replace with null instead of splicing to avoid shifting indices
+      this.interactiveObjects[index] = null;
     }
     
     // Periodically clean up null entries in the array to prevent buildup
@@ -837,13 +814,14 @@ export default class EventSystem {
    * @param {Object} choice - Player's chosen option
    */
   resolveEvent(event, choice) {
-    // Get outcome message from effect
-    const outcomeMessage = choice.effect(this.game);
+    // Apply the choice's effects and collect their messages
+    const outcomeMessage = applyEffects(choice.effects, this).join(' ');
     
     // Add to event history
     this.eventHistory.push({
       id: event.id,
       choice: choice.text,
+      choiceId: choice.id,
       timestamp: Date.now()
     });
     
@@ -880,6 +858,8 @@ export default class EventSystem {
     const modalContainer = document.getElementById('event-modal');
     if (!modalContainer) return;
     
+    this.game.audio.playStinger('outcome');
+    
     // Clear previous content
     modalContainer.innerHTML = '';
     
@@ -953,6 +933,9 @@ export default class EventSystem {
     };
     
     this.eventHistory.forEach(event => {
+      // Skip entries recorded when an event opened, before a choice was made
+      if (!event.choice) return;
+      
       if (event.choice.includes('Help') || event.choice.includes('leave it alone')) {
         summary.compassion++;
       }
@@ -988,6 +971,38 @@ export default class EventSystem {
     };
   }
   
+  /**
+   * Get serializable event state for saving
+   * @returns {Object} Event save data
+   */
+  getSaveData() {
+    // Only keep identifying fields; definitions are reloaded from JSON
+    return {
+      history: this.eventHistory.map(entry => ({
+        id: entry.id,
+        choice: entry.choice,
+        choiceId: entry.choiceId,
+        timestamp: entry.timestamp
+      })),
+      flags: { ...this.flags },
+      pending: this.pendingEvents.map(pending => ({ ...pending }))
+    };
+  }
+  
+  /**
+   * Restore event state from save data
+   * @param {Object} data - Event save data from getSaveData()
+   */
+  applySaveData(data) {
+    if (!data || !Array.isArray(data.history)) return;
+    
+    this.eventHistory = data.history.map(entry => ({ ...entry }));
+    this.flags = { ...(data.flags || {}) };
+    this.pendingEvents = Array.isArray(data.pending)
+      ? data.pending.filter(pending => this.findEvent(pending.event))
+      : [];
+  }
+  
   /**
    * Clean up all event triggers from the scene for a specific stage
    * @param {string} stage - Stage to clean up triggers for
@@ -1013,4 +1028,27 @@ export default class EventSystem {
     // Clean up the array
     this.interactiveObjects = this.interactiveObjects.filter(obj => obj !== null);
   }
-} 
\ No newline at end of file
+  
+  /**
+   * Remove every event trigger and any open event dialog
+   */
+  dispose() {
+    const currentScene = this.game.stageManager && this.game.stageManager.currentScene;
+    if (currentScene) {
+      this.interactiveObjects.forEach(obj => {
+        if (obj) {
+          this.removeEventTrigger(obj, currentScene.scene);
+        }
+      });
+    }
+    
+    this.interactiveObjects = [];
+    this.triggerIndex.clear();
+    this.activeEvent = null;
+    
+    const modalContainer = document.getElementById('event-modal');
+    if (modalContainer) {
+      modalContainer.remove();
+    }
+  }
+}
@@ -11,6 +11,13 @@ export const evolutionTypes = {
       resourceGain: 1.0,
       size: 1.2
     },
+    // Big reserve that burns fast and recovers slowly
+    stamina: {
+      max: 120,
+      restRecovery: 3,
+      collectRestore: 15,
+      exhaustedSpeed: 0.5
+    },
     color: 0xff5500 // Orange-red
   },
   
@@ -24,6 +31,13 @@ export const evolutionTypes = {
       coopBonus: 2.0,
       size: 0.8
     },
+    // Small reserve, but gathering and resting refill it quickly
+    stamina: {
+      max: 80,
+      restRecovery: 5,
+      collectRestore: 22,
+      exhaustedSpeed: 0.35
+    },
     color: 0x22cc88 // Teal
   },
   
@@ -37,10 +51,26 @@ export const evolutionTypes = {
       adaptability: 1.5,
       size: 1.0
     },
+    stamina: {
+      max: 100,
+      restRecovery: 4,
+      collectRestore: 18,
+      exhaustedSpeed: 0.4
+    },
     color: 0x3388ff // Blue
   }
 };
 
+/**
+ * Stamina drained per second of full-intensity movement, before traits.energyCost
+ */
+export const STAMINA_DRAIN_PER_SECOND = 6;
+
+/**
+ * Stamina fraction that must be recovered before an exhausted entity moves at full speed again
+ */
+export const STAMINA_RECOVERY_THRESHOLD = 0.25;
+
 /**
  * Trait modifications for each stage
  */
@@ -108,6 +138,15 @@ export const achievements = {
     requirement: (state) => state.restarts === 0
   },
   
+  // Survive every flood without losing anything
+  unscathed: {
+    name: 'Unscathed',
+    description: 'Come through all three floods without losses',
+    requirement: (floodResults) => ['primordial', 'prehistoric', 'ordered'].every(
+      stage => floodResults[stage] && floodResults[stage].result === 'survived'
+    )
+  },
+  
   // Evolution-based
   perfectEvolution: {
     name: 'Perfect Evolution',
@@ -209,9 +248,10 @@ export function getEntityVisuals(type, traits) {
  * @param {string} type - Evolution type
  * @param {number} restarts - Number of game restarts
  * @param {string} previousStage - Stage player reached before restart
+ * @param {Object} lastFloodOutcome - Outcome of the flood that ended the last attempt ({score} 0-1)
  * @returns {Object} - Bonus traits and amounts
  */
-export function getRestartBonuses(type, restarts, previousStage) {
+export function getRestartBonuses(type, restarts, previousStage, lastFloodOutcome = null) {
   const bonuses = {};
   
   // Base restart bonus (small)
@@ -244,5 +284,10 @@ export function getRestartBonuses(type, restarts, previousStage) {
     bonuses.floodWarning = true; // More time to prepare for flood
   }
   
+  // Near misses carry over a few extra resources
+  if (lastFloodOutcome && lastFloodOutcome.score > 0) {
+    bonuses.startingResources = (bonuses.startingResources || 0) + Math.round(lastFloodOutcome.score * 5);
+  }
+  
   return bonuses;
 } 
\ No newline at end of file
@@ -0,0 +1,146 @@
+/**
+ * Grades how the player fared when a stage's flood (or meteor) hits
+ *
+ * Each stage has an evaluator that reads the world state from the current scene
+ * and returns a graded result instead of a pass/fail resource check.
+ */
+
+export const FLOOD_RESULTS = {
+  SURVIVED: 'survived',
+  SURVIVED_WITH_LOSSES: 'survivedWithLosses',
+  FAILED: 'failed'
+};
+
+// Display names for each result
+export const FLOOD_RESULT_LABELS = {
+  survived: 'Survived',
+  survivedWithLosses: 'Survived with losses',
+  failed: 'Failed'
+};
+
+// Share of collected resources lost when surviving with losses
+const LOSS_FRACTION = 0.3;
+
+// Prehistoric: distance from impact that is fatal / fully safe
+const IMPACT_KILL_RADIUS = 5;
+const IMPACT_SAFE_RADIUS = 20;
+
+/**
+ * Clamp a value to 0-1
+ * @param {number} value - Value to clamp
+ * @returns {number} Clamped value
+ */
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Grade a stage where the player must be both prepared (resources) and safe (position)
+ * @param {number} safety - How safe the player's position is (0-1)
+ * @param {number} preparedness - Resources collected relative to the goal (0-1)
+ * @returns {Object} {result, score}
+ */
+function gradeSafetyAndPreparedness(safety, preparedness) {
+  const score = (safety + preparedness) / 2;
+  
+  let result = FLOOD_RESULTS.FAILED;
+  if (safety >= 0.75 && preparedness >= 1) {
+    result = FLOOD_RESULTS.SURVIVED;
+  } else if (score >= 0.6) {
+    result = FLOOD_RESULTS.SURVIVED_WITH_LOSSES;
+  }
+  
+  return { result, score };
+}
+
+/**
+ * Resources collected relative to the stage goal
+ * @param {Object} state - Game state
+ * @returns {number} Preparedness (0-1)
+ */
+function getPreparedness(state) {
+  return state.resourceGoal > 0 ? clamp01(state.resources / state.resourceGoal) : 1;
+}
+
+/**
+ * Stage evaluators
+ * Each receives (game, scene, position) and returns {result, score, summary}
+ */
+const EVALUATORS = {
+  // Rising water: the player needs to be up on one of the rises, clear of the flood
+  primordial: (game, scene, position) => {
+    const safety = 1 - scene.getFloodExposure(position);
+    const grade = gradeSafetyAndPreparedness(safety, getPreparedness(game.state));
+    
+    const where = safety >= 0.75 ? 'on high ground' : safety > 0 ? 'wading in the shallows' : 'under water';
+    return { ...grade, summary: `The water rose while you were ${where}.` };
+  },
+  
+  // Meteor: distance from the impact point, unless the player is in a shelter
+  prehistoric: (game, scene, position) => {
+    const impact = scene.getImpactPoint();
+    const distance = impact ? Math.hypot(position.x - impact.x, position.z - impact.z) : Infinity;
+    const sheltered = scene.isSheltered(position);
+    
+    const exposure = clamp01((distance - IMPACT_KILL_RADIUS) / (IMPACT_SAFE_RADIUS - IMPACT_KILL_RADIUS));
+    const safety = sheltered ? 1 : exposure;
+    const grade = gradeSafetyAndPreparedness(safety, getPreparedness(game.state));
+    
+    const summary = sheltered ?
+      'You rode out the impact inside a shelter.' :
+      `The meteor struck ${Math.round(distance)} units away.`;
+    return { ...grade, summary };
+  },
+  
+  // Flood: which villages' defenses held (the ark counts as half a rescue)
+  ordered: (game, scene) => {
+    const outcomes = scene.getVillageFloodOutcomes();
+    const held = outcomes.filter(outcome => outcome.held).length;
+    const evacuated = outcomes.find(outcome => outcome.evacuated);
+    const score = (held + (evacuated ? 0.5 : 0)) / outcomes.length;
+    
+    let result = FLOOD_RESULTS.FAILED;
+    if (held === outcomes.length) {
+      result = FLOOD_RESULTS.SURVIVED;
+    } else if (score > 0) {
+      result = FLOOD_RESULTS.SURVIVED_WITH_LOSSES;
+    }
+    
+    let summary = `${held} of ${outcomes.length} villages held back the water.`;
+    if (evacuated) {
+      summary += ` The ark carried Village ${evacuated.village.id + 1} to safety.`;
+    }
+    return { result, score, summary };
+  }
+};
+
+/**
+ * Evaluate the flood for the current stage
+ * @param {Object} game - Main game instance
+ * @returns {Object} Outcome {stage, result, score, summary}
+ */
+export function evaluateFlood(game) {
+  const stage = game.state.stage;
+  const scene = game.stageManager.currentScene;
+  const player = game.state.player;
+  const evaluator = EVALUATORS[stage];
+  
+  if (!evaluator || !scene || !player || !player.mesh) {
+    console.warn(`No flood evaluator available for stage: ${stage}`);
+    return { stage, result: FLOOD_RESULTS.FAILED, score: 0, summary: '' };
+  }
+  
+  return { stage, ...evaluator(game, scene, player.mesh.position) };
+}
+
+/**
+ * Apply the cost of surviving with losses
+ * @param {Object} game - Main game instance
+ * @param {Object} outcome - Outcome from evaluateFlood(); `lost` is filled in
+ */
+export function applyFloodLosses(game, outcome) {
+  if (outcome.result !== FLOOD_RESULTS.SURVIVED_WITH_LOSSES) return;
+  
+  outcome.lost = Math.ceil(game.state.resources * LOSS_FRACTION);
+  game.state.resources -= outcome.lost;
+}
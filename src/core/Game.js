@@ -1,11 +1,22 @@
 import * as THREE from 'three';
 import StageManager from './StageManager.js';
 import EventSystem from './Events.js';
+import SaveSystem from './SaveSystem.js';
 import Player from '../entities/Player.js';
+import { disposeResourceAssets } from '../entities/Resource.js';
+import { disposeGlowAssets } from '../utils/Glow.js';
+import InputManager from './InputManager.js';
 import Controls from '../ui/Controls.js';
+import Gestures from '../ui/Gestures.js';
 import Hud from '../ui/Hud.js';
+import SettingsMenu from '../ui/SettingsMenu.js';
+import GamepadControls from '../ui/GamepadControls.js';
+import AudioManager from './AudioManager.js';
 import CameraController from '../utils/Camera.js';
 import { createCamera } from '../utils/Renderer.js';
+import SeededRandom, { createRandomSeed, createDailySeed } from '../utils/Random.js';
+import { FLOOD_RESULTS, FLOOD_RESULT_LABELS } from './FloodOutcome.js';
+import showDebugMessage, { configureMessages } from '../utils/DebugHelper.js';
 
 /**
  * Main game class that manages game state and coordinates components
@@ -14,12 +25,47 @@ export default class Game {
   /**
    * Initialize game
    * @param {THREE.WebGLRenderer} renderer - ThreeJS renderer
+   * @param {QualityManager} quality - Graphics quality tiers (scenes read quality.getSettings())
+   * @param {Settings} settings - Player preferences
    */
-  constructor(renderer) {
+  constructor(renderer, quality, settings) {
     this.renderer = renderer;
+    this.quality = quality;
+    this.settings = settings;
+    
+    // Renderer settings follow a new tier at once; scenes pick it up when the next stage is built
+    this.quality.onChange = tier => {
+      const scene = this.stageManager && this.stageManager.currentScene;
+      this.quality.applyToRenderer(this.renderer, scene ? scene.scene : null);
+      
+      // Resizing the canvas clears it, so redraw the frame behind the pause menu
+      if (this.paused && scene) {
+        this.renderer.render(scene.scene, this.camera);
+      }
+      showDebugMessage.info(`Graphics quality: ${tier}`);
+    };
+    
+    // Preferences changed in the pause menu apply straight away
+    this.settings.onChange = key => this.applySetting(key);
+    this.settingsMenu = new SettingsMenu(this);
+    this._applyMessageSettings();
+    
+    // Every input source reports to the InputManager, the player's only source of input
+    this.input = new InputManager(this);
+    this.gamepad = new GamepadControls(this);
+    
+    // One audio context for the whole session (starts on the first gesture)
+    this.audio = new AudioManager(settings);
     this.clock = new THREE.Clock();
     this.paused = false;
     
+    // Fixed-step simulation clock (drives movement, scenes, events and the flood timer)
+    this.fixedTimeStep = 1000 / 60; // 60 Hz simulation
+    this.maxFrameTime = 250; // Longest frame we try to catch up on (ms)
+    this.maxStepsPerFrame = 5;
+    this.accumulator = 0;
+    this.timeScale = 1.0; // Global time scale (lower = slower)
+    
     // Game state - single source of truth
     this.state = {
       stage: 'primordial',  // Always start at primordial stage
@@ -31,25 +77,68 @@ export default class Game {
       restarts: 0,
       highestResources: 0,
       achievements: [],
-      newGame: true
+      floodResults: {}, // Graded flood outcome per stage for this run
+      lastFloodOutcome: null, // Outcome of the flood that ended the previous attempt
+      newGame: true,
+      seed: null
     };
     
+    // Seed from the URL (?seed=abc or ?daily) stays fixed across new evolutions
+    this.fixedSeed = this._getSeedFromUrl();
+    this.setSeed(this.fixedSeed || createRandomSeed());
+    
     // Core systems
     this.stageManager = null;
     this.eventSystem = null;
     this.controls = null;
+    this.gestures = null;
     this.hud = null;
     this.camera = null;
     this.cameraController = null;
     
-    // Clear any saved stage data to ensure we always start at primordial
-    try {
-      localStorage.removeItem('floodGameProgress');
-    } catch (e) {
-      console.warn('Could not clear localStorage', e);
+    // Persists runs across reloads and tab kills
+    this.saveSystem = new SaveSystem(this);
+  }
+  
+  /**
+   * Read a requested seed from the page URL
+   * @returns {string|null} Seed string or null if none requested
+   * @private
+   */
+  _getSeedFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    
+    if (params.has('daily')) {
+      return createDailySeed();
+    }
+    
+    return params.get('seed') || null;
+  }
+  
+  /**
+   * Set the run seed and reset the root random stream
+   * @param {string} seed - Seed string
+   */
+  setSeed(seed) {
+    this.state.seed = String(seed);
+    this.random = new SeededRandom(this.state.seed);
+    
+    // Systems that already forked a stream need to follow the new seed
+    if (this.eventSystem) {
+      this.eventSystem.seedRandom();
     }
   }
   
+  /**
+   * Create the random stream used to generate a stage
+   * @param {string} stageName - Stage being generated
+   * @returns {SeededRandom} Stage random stream
+   */
+  createStageRandom(stageName) {
+    // Each restart attempt gets a fresh but still reproducible layout
+    return this.random.fork(`stage:${stageName}:${this.state.restarts}`);
+  }
+  
   /**
    * Initialize the game and start it
    * @param {boolean} isRestart - Whether this is a restart after failure
@@ -63,8 +152,13 @@ export default class Game {
     // Set up systems
     this.setupSystems();
     
-    // Start entity creation if it's a new game
-    if (this.state.newGame || isRestart) {
+    // Offer to continue an interrupted run
+    const resumableSave = isRestart ? null : this.saveSystem.getResumableSave();
+    
+    if (resumableSave) {
+      this.showContinuePrompt(resumableSave);
+    } else if (this.state.newGame || isRestart) {
+      // Start entity creation if it's a new game
       this.showEvolutionTypeSelection();
     } else {
       // Resume existing game
@@ -76,6 +170,9 @@ export default class Game {
    * Set up core game systems
    */
   setupSystems() {
+    // Restarts after a failed flood come straight here, so clear out the old run first
+    this.disposeSystems();
+    
     // Create camera
     this.camera = createCamera();
     this.camera.position.set(0, 3, 5);
@@ -84,9 +181,137 @@ export default class Game {
     this.stageManager = new StageManager(this);
     this.eventSystem = new EventSystem(this);
     this.controls = new Controls(this);
+    this.gestures = new Gestures(this);
     this.hud = new Hud(this);
   }
   
+  /**
+   * Dispose the current run's scene, entities and UI (safe to call more than once)
+   */
+  disposeSystems() {
+    // Triggers live in the current scene, so remove them before the scene goes
+    if (this.eventSystem) {
+      this.eventSystem.dispose();
+      this.eventSystem = null;
+    }
+    
+    if (this.stageManager) {
+      this.stageManager.dispose();
+      this.stageManager = null;
+    }
+    
+    if (this.controls) {
+      this.controls.dispose();
+      this.controls = null;
+    }
+    
+    if (this.gestures) {
+      this.gestures.dispose();
+      this.gestures = null;
+    }
+    
+    if (this.hud) {
+      this.hud.dispose();
+      this.hud = null;
+    }
+    
+    if (this.state.player) {
+      this.state.player.dispose();
+      this.state.player = null;
+    }
+    
+    this.cameraController = null;
+    this.audio.setStage(null);
+    
+    // Pooled resource meshes, their shared geometries/materials and the glow halos
+    disposeResourceAssets();
+    disposeGlowAssets();
+    
+    // Cached render lists still reference the old scene
+    this.renderer.renderLists.dispose();
+  }
+  
+  /**
+   * Show prompt to continue a saved run or start a new one
+   * @param {Object} saveData - Resumable save data
+   */
+  showContinuePrompt(saveData) {
+    const promptContainer = document.createElement('div');
+    promptContainer.id = 'continue-prompt';
+    promptContainer.style.position = 'absolute';
+    promptContainer.style.top = '0';
+    promptContainer.style.left = '0';
+    promptContainer.style.width = '100%';
+    promptContainer.style.height = '100%';
+    promptContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+    promptContainer.style.display = 'flex';
+    promptContainer.style.flexDirection = 'column';
+    promptContainer.style.justifyContent = 'center';
+    promptContainer.style.alignItems = 'center';
+    promptContainer.style.color = 'white';
+    promptContainer.style.fontFamily = 'Arial, sans-serif';
+    promptContainer.style.zIndex = '1000';
+    document.body.appendChild(promptContainer);
+    
+    // Title
+    const title = document.createElement('h1');
+    title.textContent = 'Your Evolution Awaits';
+    title.style.marginBottom = '20px';
+    title.style.color = '#88ccff';
+    title.style.textAlign = 'center';
+    promptContainer.appendChild(title);
+    
+    // Summary of the saved run
+    const stageNames = {
+      primordial: 'Primordial Soup',
+      prehistoric: 'Coastal Emergence',
+      ordered: 'Ordered World'
+    };
+    const minutes = Math.floor(saveData.run.timer / 60);
+    const seconds = saveData.run.timer % 60;
+    
+    const summary = document.createElement('p');
+    summary.textContent = `${stageNames[saveData.run.stage]} - ${saveData.run.resources} resources - ` +
+      `flood in ${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+    summary.style.fontSize = '16px';
+    summary.style.marginBottom = '40px';
+    summary.style.color = '#aaccff';
+    promptContainer.appendChild(summary);
+    
+    // Button factory to keep both options consistent
+    const createButton = (text, color, onClick) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.style.width = '260px';
+      button.style.margin = '10px 0';
+      button.style.padding = '15px 30px';
+      button.style.fontSize = '18px';
+      button.style.backgroundColor = color;
+      button.style.color = 'white';
+      button.style.border = 'none';
+      button.style.borderRadius = '5px';
+      button.style.cursor = 'pointer';
+      button.addEventListener('click', () => {
+        document.body.removeChild(promptContainer);
+        onClick();
+      });
+      promptContainer.appendChild(button);
+      return button;
+    };
+    
+    createButton('Continue', '#3366cc', () => {
+      this.startGame(saveData);
+    });
+    
+    createButton('Begin New Evolution', '#334455', () => {
+      this.saveSystem.clearRun();
+      this.state.stage = 'primordial';
+      this.state.floodResults = {};
+      this.state.newGame = true;
+      this.showEvolutionTypeSelection();
+    });
+  }
+  
   /**
    * Show evolution type selection screen
    */
@@ -117,6 +342,34 @@ export default class Game {
     title.style.textAlign = 'center';
     selectionContainer.appendChild(title);
     
+    // Seed info so a world can be shared and replayed
+    const seedInfo = document.createElement('p');
+    seedInfo.style.margin = '-20px 0 30px 0';
+    seedInfo.style.fontSize = '14px';
+    seedInfo.style.color = '#88aacc';
+    seedInfo.textContent = `Seed: ${this.state.seed}`;
+    selectionContainer.appendChild(seedInfo);
+    
+    const dailySeed = createDailySeed();
+    if (this.state.seed !== dailySeed) {
+      const dailyButton = document.createElement('button');
+      dailyButton.textContent = 'Play Daily Seed';
+      dailyButton.style.margin = '-15px 0 30px 0';
+      dailyButton.style.padding = '8px 16px';
+      dailyButton.style.fontSize = '14px';
+      dailyButton.style.backgroundColor = '#334455';
+      dailyButton.style.color = 'white';
+      dailyButton.style.border = 'none';
+      dailyButton.style.borderRadius = '5px';
+      dailyButton.style.cursor = 'pointer';
+      dailyButton.addEventListener('click', () => {
+        this.setSeed(dailySeed);
+        seedInfo.textContent = `Seed: ${this.state.seed}`;
+        selectionContainer.removeChild(dailyButton);
+      });
+      selectionContainer.appendChild(dailyButton);
+    }
+    
     // Options container
     const optionsContainer = document.createElement('div');
     optionsContainer.style.display = 'flex';
@@ -163,6 +416,7 @@ export default class Game {
       card.style.alignItems = 'center';
       card.style.cursor = 'pointer';
       card.style.transition = 'transform 0.2s, box-shadow 0.2s';
+      card.dataset.nav = 'true'; // Selectable with a gamepad
       
       // Hover effect
       card.addEventListener('mouseover', () => {
@@ -212,32 +466,59 @@ export default class Game {
   }
   
   /**
-   * Start the game after evolution type selection
+   * Create the player entity for the selected evolution type, and the camera that follows it
    */
-  async startGame() {
-    // Create player with selected evolution type
+  createPlayer() {
     this.state.player = new Player(
       this.state.evolutionType, 
       this,
       this.state.restarts > 0 ? { 
         restarts: this.state.restarts,
-        previousStage: this.state.stage
+        previousStage: this.state.stage,
+        lastFloodOutcome: this.state.lastFloodOutcome
       } : null
     );
     
-    // Set up camera controller to follow player
+    // Ready before the stage loads, so its opening shot can play
     this.cameraController = new CameraController(this.camera, this.state.player.mesh);
-    
-    // Load starting stage
-    await this.stageManager.loadStage(this.state.stage);
+    this._applyCameraSettings();
+  }
+  
+  /**
+   * Start the game after evolution type selection
+   * @param {Object} saveData - Optional saved run to resume instead of starting fresh
+   */
+  async startGame(saveData = null) {
+    if (saveData) {
+      // Rebuild player, stage and systems from the saved run
+      await this.saveSystem.restoreRun(saveData);
+    } else {
+      // Create player with selected evolution type
+      this.createPlayer();
+      
+      // Load starting stage
+      await this.stageManager.loadStage(this.state.stage);
+    }
     
     // Start animation loop
     this.state.newGame = false;
+    this.startLoop();
+  }
+  
+  /**
+   * Start the animation loop if it isn't already running
+   */
+  startLoop() {
+    if (this.loopRunning) return;
+    
+    this.loopRunning = true;
+    this.clock.getDelta(); // Discard time spent before the loop started
     this.animate();
   }
   
   /**
    * Main animation loop
+   * Runs the simulation in fixed steps and renders once per frame
    */
   animate() {
     if (this.disposed) return;
@@ -246,21 +527,35 @@ export default class Game {
     
     if (this.paused) return;
     
-    // Calculate delta time in milliseconds
+    // Calculate frame time in milliseconds
     const rawDeltaTime = this.clock.getDelta() * 1000; // ms
+    this.quality.sampleFrame(rawDeltaTime);
     
-    // Global time scale to easily adjust game speed (lower = slower)
-    const timeScale = 0.5; // Half speed
+    // Cap frame time so a lag spike or backgrounded tab doesn't trigger a burst of steps
+    const frameTime = Math.min(rawDeltaTime, this.maxFrameTime);
     
-    // Cap deltaTime to prevent the game from running too fast on high refresh rate screens
-    // or if there's a lag spike - now capped at ~20fps equivalent for slower gameplay
-    const maxDeltaTime = 50; // Cap at ~20fps equivalent (50ms)
+    // Accumulate scaled simulation time and consume it in fixed steps
+    this.accumulator += frameTime * this.timeScale;
+    
+    let steps = 0;
+    while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+      this.update(this.fixedTimeStep);
+      this.accumulator -= this.fixedTimeStep;
+      steps++;
+    }
+    
+    // Drop leftover time if we hit the step limit (device can't keep up)
+    if (steps >= this.maxStepsPerFrame) {
+      this.accumulator = 0;
+    }
     
-    // Apply both the cap and the time scale
-    const deltaTime = Math.min(rawDeltaTime, maxDeltaTime) * timeScale;
+    // Per-frame presentation (not part of the simulation)
+    if (this.cameraController) {
+      this.cameraController.update(frameTime);
+    }
     
-    // Update game components
-    this.update(deltaTime);
+    this.hud.update();
+    this.audio.update(this._getFloodTension());
     
     // Render scene
     if (this.stageManager.currentScene) {
@@ -269,12 +564,24 @@ export default class Game {
   }
   
   /**
-   * Update game state and components
-   * @param {number} deltaTime - Time since last update
+   * How close the current stage's flood is (drives the music)
+   * @private
+   * @returns {number} 0 when the stage starts, 1 when the flood arrives
+   */
+  _getFloodTension() {
+    const config = this.stageManager && this.stageManager.stageConfig[this.state.stage];
+    if (!config) return 0;
+    
+    return 1 - this.state.timer / config.timerDuration;
+  }
+  
+  /**
+   * Advance the simulation by one fixed step
+   * @param {number} deltaTime - Simulation time step in milliseconds
    */
   update(deltaTime) {
     // Update systems
-    this.controls.update();
+    this.input.update(deltaTime);
     this.stageManager.update(deltaTime);
     this.eventSystem.update(deltaTime);
     
@@ -282,14 +589,84 @@ export default class Game {
     if (this.state.player) {
       this.state.player.update(deltaTime);
     }
-    
-    // Update camera
-    if (this.cameraController) {
-      this.cameraController.update();
+  }
+  
+  /**
+   * Apply a changed player preference to the running systems
+   * @param {string} key - Setting that changed (see DEFAULT_SETTINGS)
+   */
+  applySetting(key) {
+    switch (key) {
+      case 'quality':
+        this.quality.setMode(this.settings.get('quality'));
+        break;
+        
+      case 'masterVolume':
+      case 'effectsVolume':
+      case 'muted':
+        this.audio.applySettings();
+        break;
+        
+      case 'joystickSide':
+      case 'joystickSize':
+      case 'actionButtonSide':
+        if (this.controls) {
+          this.controls.applyLayout();
+        }
+        break;
+        
+      case 'cameraDistance':
+      case 'cameraHeight':
+        this._applyCameraSettings();
+        break;
+        
+      case 'reducedMotion':
+        this._applyCameraSettings();
+        this._applyMessageSettings();
+        break;
+        
+      case 'messages':
+        this._applyMessageSettings();
+        break;
+        
+      case 'keyBindings':
+      case 'buttonBindings':
+        this.input.refreshBindings();
+        break;
     }
+  }
+  
+  /**
+   * Pass camera preferences to the camera controller
+   * @private
+   */
+  _applyCameraSettings() {
+    if (!this.cameraController) return;
     
-    // Update HUD
-    this.hud.update();
+    this.cameraController.setPreferences({
+      distanceScale: this.settings.get('cameraDistance'),
+      heightScale: this.settings.get('cameraHeight'),
+      reducedMotion: this.settings.get('reducedMotion')
+    });
+  }
+  
+  /**
+   * Pass message preferences to the feedback message system
+   * @private
+   */
+  _applyMessageSettings() {
+    configureMessages({
+      verbosity: this.settings.get('messages'),
+      reducedMotion: this.settings.get('reducedMotion')
+    });
+  }
+  
+  /**
+   * Set simulation speed (1 = normal, lower = slow motion)
+   * @param {number} scale - Time scale multiplier
+   */
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale);
   }
   
   /**
@@ -304,6 +681,9 @@ export default class Game {
    */
   resume() {
     this.paused = false;
+    
+    // Don't count paused time as simulation time
+    this.clock.getDelta();
   }
   
   /**
@@ -365,9 +745,26 @@ export default class Game {
       <p>Resources Gathered: ${this.state.resources}</p>
       <p>Restarts: ${this.state.restarts}</p>
       <p>Events Experienced: ${philosophy.eventCount}</p>
+      <p>Seed: ${this.state.seed}</p>
     `;
     completionContainer.appendChild(stats);
     
+    // How each flood went
+    const floodResults = document.createElement('div');
+    floodResults.style.marginBottom = '30px';
+    floodResults.style.textAlign = 'center';
+    Object.keys(this.stageManager.stageConfig).forEach(stage => {
+      const outcome = this.state.floodResults[stage];
+      if (!outcome) return;
+      
+      const line = document.createElement('p');
+      const stageName = stage.charAt(0).toUpperCase() + stage.slice(1);
+      line.textContent = `${stageName}: ${FLOOD_RESULT_LABELS[outcome.result]}`;
+      line.style.color = outcome.result === FLOOD_RESULTS.SURVIVED ? '#88ffaa' : '#ffcc66';
+      floodResults.appendChild(line);
+    });
+    completionContainer.appendChild(floodResults);
+    
     // Achievements
     if (achievements.length > 0) {
       const achievementsTitle = document.createElement('h2');
@@ -417,9 +814,10 @@ export default class Game {
    */
   restartGame(newEvolution = false) {
     // Clean up old objects
-    if (this.stageManager.currentScene) {
-      // Clean up scene
-    }
+    this.disposeSystems();
+    
+    // The completion screen leaves the game paused
+    this.resume();
     
     if (newEvolution) {
       // Complete reset
@@ -433,12 +831,22 @@ export default class Game {
         restarts: 0,
         highestResources: this.state.highestResources, // Keep this record
         achievements: [],
-        newGame: true
+        floodResults: {},
+        lastFloodOutcome: null,
+        newGame: true,
+        seed: null
       };
+      
+      // New evolutions get a new world unless a seed was requested
+      this.setSeed(this.fixedSeed || createRandomSeed());
+      
+      // A fresh evolution can no longer continue the old run
+      this.saveSystem.clearRun();
     } else {
       // Keep restart count and other progress
       this.state.resources = 0;
       this.state.stage = 'primordial';
+      this.state.floodResults = {};
       this.state.timer = 0;
       this.state.player = null;
       this.state.newGame = false;
@@ -452,23 +860,32 @@ export default class Game {
    * Load saved game data from localStorage
    */
   loadSavedData() {
-    try {
-      const savedProgress = localStorage.getItem('floodGameProgress');
-      if (savedProgress) {
-        const progress = JSON.parse(savedProgress);
-        
-        // Apply saved values but always ensure stage is primordial
-        this.state.stage = 'primordial'; // Force primordial stage
-        this.state.evolutionType = progress.evolutionType;
-        this.state.restarts = progress.restarts || 0;
-        this.state.highestResources = progress.highestResources || 0;
-        this.state.newGame = !progress.evolutionType;
-      }
-    } catch (e) {
-      console.warn('Could not load saved data:', e);
+    const progress = this.saveSystem.load();
+    if (progress) {
+      // Apply saved meta progress but always start fresh at primordial
+      // (an interrupted run is only restored through the Continue prompt)
+      this.state.stage = 'primordial'; // Force primordial stage
+      this.state.evolutionType = progress.evolutionType;
+      this.state.restarts = progress.restarts || 0;
+      this.state.highestResources = progress.highestResources || 0;
+      this.state.lastFloodOutcome = progress.lastFloodOutcome || null;
+      this.state.newGame = true;
     }
   }
   
+  /**
+   * Save the current run (used when the page is hidden or about to close)
+   */
+  saveGame() {
+    // Only persist once a run is actually underway
+    if (!this.state.player || !this.stageManager || !this.stageManager.currentScene) return;
+    
+    // Stage transitions are checkpointed by the stage manager itself
+    if (this.state.timer <= 0) return;
+    
+    this.saveSystem.save();
+  }
+  
   /**
    * Handle window resize
    */
@@ -493,8 +910,9 @@ export default class Game {
     window.removeEventListener('resize', this.handleResize);
     
     // Clean up scenes and objects
-    if (this.stageManager && this.stageManager.currentScene) {
-      // Scene cleanup
-    }
+    this.disposeSystems();
+    this.audio.dispose();
+    this.gamepad.dispose();
+    this.input.dispose();
   }
 } 
\ No newline at end of file
@@ -0,0 +1,644 @@
+import MenuNavigator, { getOpenMenu } from '../ui/MenuNavigator.js';
+import showDebugMessage from '../utils/DebugHelper.js';
+
+// Named actions every input source feeds
+export const ACTIONS = ['move', 'interact', 'pause', 'zoom', 'orbit', 'build', 'confirm', 'cancel'];
+
+// Rebindable inputs, the action each drives, and whether it applies in play, in menus or both
+// (an input can only drive one binding per context, see rebind())
+export const BINDINGS = {
+  moveUp: { action: 'move', context: 'both', label: 'Move up' },
+  moveDown: { action: 'move', context: 'both', label: 'Move down' },
+  moveLeft: { action: 'move', context: 'both', label: 'Move left' },
+  moveRight: { action: 'move', context: 'both', label: 'Move right' },
+  interact: { action: 'interact', context: 'play', label: 'Interact' },
+  confirm: { action: 'confirm', context: 'menu', label: 'Confirm' },
+  cancel: { action: 'cancel', context: 'both', label: 'Cancel' },
+  pause: { action: 'pause', context: 'both', label: 'Pause' },
+  zoomIn: { action: 'zoom', context: 'play', label: 'Zoom in' },
+  zoomOut: { action: 'zoom', context: 'play', label: 'Zoom out' },
+  orbitLeft: { action: 'orbit', context: 'play', label: 'Orbit camera left' },
+  orbitRight: { action: 'orbit', context: 'play', label: 'Orbit camera right' },
+  build: { action: 'build', context: 'play', label: 'Build mode' },
+  rotate: { action: 'build', context: 'play', label: 'Rotate structure' }
+};
+
+// Default keys (KeyboardEvent.key, letters lowercase)
+export const DEFAULT_KEY_BINDINGS = {
+  moveUp: ['w', 'ArrowUp'],
+  moveDown: ['s', 'ArrowDown'],
+  moveLeft: ['a', 'ArrowLeft'],
+  moveRight: ['d', 'ArrowRight'],
+  interact: [' ', 'Enter'],
+  confirm: ['Enter', ' '],
+  cancel: ['Escape'],
+  pause: ['Escape'], // Only when there's nothing to cancel
+  zoomIn: ['=', '+'],
+  zoomOut: ['-'],
+  orbitLeft: ['q'],
+  orbitRight: ['e'],
+  build: ['b'],
+  rotate: ['r']
+};
+
+// Default gamepad buttons (standard mapping indices)
+export const DEFAULT_BUTTON_BINDINGS = {
+  moveUp: [12],
+  moveDown: [13],
+  moveLeft: [14],
+  moveRight: [15],
+  interact: [0], // A
+  confirm: [0],
+  cancel: [1], // B
+  pause: [9], // Start
+  zoomIn: [5], // Right bumper
+  zoomOut: [4], // Left bumper
+  orbitLeft: [6], // Left trigger
+  orbitRight: [7], // Right trigger
+  build: [3], // Y
+  rotate: [2] // X
+};
+
+// Settings that store each device's changes to the defaults
+const BINDING_SETTINGS = {
+  keyboard: 'keyBindings',
+  gamepad: 'buttonBindings'
+};
+
+const DEFAULT_BINDINGS = {
+  keyboard: DEFAULT_KEY_BINDINGS,
+  gamepad: DEFAULT_BUTTON_BINDINGS
+};
+
+// Direction of each movement binding, and the menu direction it navigates
+const MOVE_DIRECTIONS = {
+  moveUp: { x: 0, y: -1, menu: 'up' },
+  moveDown: { x: 0, y: 1, menu: 'down' },
+  moveLeft: { x: -1, y: 0, menu: 'left' },
+  moveRight: { x: 1, y: 0, menu: 'right' }
+};
+
+// Number keys pick a structure in build mode, in build panel order
+const STRUCTURE_KEYS = { '1': 'wall', '2': 'levee', '3': 'ark' };
+
+// Camera distance change per zoom press or wheel notch
+const ZOOM_STEP = 0.5;
+
+// Camera orbit speed with an orbit binding held or the look stick pushed all the way
+const ORBIT_SPEED = 0.0025; // Radians per ms
+
+// Standard-mapping button names for the settings menu
+const BUTTON_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'];
+
+/**
+ * Match keys regardless of Shift and Caps Lock
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string} Key as stored in bindings
+ */
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Readable name for a bound key
+ * @param {string} key - Key as stored in bindings
+ * @returns {string} Label
+ */
+export function formatKey(key) {
+  if (key === ' ') return 'Space';
+  if (key.startsWith('Arrow')) return key.slice(5);
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Readable name for a bound gamepad button
+ * @param {number} index - Standard-mapping button index
+ * @returns {string} Label
+ */
+export function formatButton(index) {
+  return BUTTON_LABELS[index] || `Button ${index}`;
+}
+
+/**
+ * Single path from every input source (keyboard, mouse, touch, gamepad) to the game
+ *
+ * Sources report bindings they hold (press/release), analog movement (setMove), analog
+ * camera look (setLook), camera drags (orbit) and objects picked on screen (interactWith).
+ * The player only receives input through update(), once per simulation step, so an
+ * action fires once per press however many sources report it. While a menu is open,
+ * movement navigates it and confirm/cancel pick and back out.
+ */
+export default class InputManager {
+  /**
+   * Initialize input handling and listen to the keyboard and mouse wheel
+   * @param {Object} game - Reference to main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.menus = new MenuNavigator();
+    this.held = {}; // Source name -> Set of binding names it holds
+    this.moves = {}; // Source name -> analog movement {x, y, intensity}
+    this.looks = {}; // Source name -> analog camera look {x, y}
+    this.keysDown = new Set();
+    this.pendingInteract = false; // Interact pressed since the last simulation step
+    this.pendingTarget = null; // Object picked for that interaction (e.g. tapped), if any
+    this.capture = null; // {device, name, onDone} while waiting for a new binding
+    
+    this.refreshBindings();
+    
+    this._onKeyDown = e => this._handleKeyDown(e);
+    this._onKeyUp = e => this._handleKeyUp(e);
+    this._onWheel = e => this._handleWheel(e);
+    this._onBlur = () => this._releaseKeyboard();
+    document.addEventListener('keydown', this._onKeyDown);
+    document.addEventListener('keyup', this._onKeyUp);
+    window.addEventListener('wheel', this._onWheel, { passive: true });
+    window.addEventListener('blur', this._onBlur);
+  }
+  
+  /**
+   * Bindings for a device: the defaults with the player's changes on top
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @returns {Object} Binding name -> keys or button indices
+   */
+  getBindings(device) {
+    const bindings = { ...DEFAULT_BINDINGS[device] };
+    const changes = this.game.settings.get(BINDING_SETTINGS[device]);
+    
+    // Stored bindings that no longer exist are ignored
+    Object.keys(bindings).forEach(name => {
+      if (Array.isArray(changes[name])) {
+        bindings[name] = changes[name];
+      }
+    });
+    
+    return bindings;
+  }
+  
+  /**
+   * Re-read bindings after they change in settings
+   */
+  refreshBindings() {
+    this.bindings = {
+      keyboard: this.getBindings('keyboard'),
+      gamepad: this.getBindings('gamepad')
+    };
+    
+    // Key -> binding names, for looking up key events
+    this.keyMap = {};
+    Object.entries(this.bindings.keyboard).forEach(([name, keys]) => {
+      keys.forEach(key => {
+        this.keyMap[key] = this.keyMap[key] || [];
+        this.keyMap[key].push(name);
+      });
+    });
+    
+    this._releaseKeyboard();
+  }
+  
+  /**
+   * Bind a key or button to a binding, replacing what it had
+   * The input is taken off other bindings that apply at the same time.
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @param {string} name - Binding name (see BINDINGS)
+   * @param {string|number} input - Key or button index
+   */
+  rebind(device, name, input) {
+    const current = this.getBindings(device);
+    const changes = { ...this.game.settings.get(BINDING_SETTINGS[device]) };
+    const context = BINDINGS[name].context;
+    
+    Object.keys(current).forEach(other => {
+      const otherContext = BINDINGS[other].context;
+      const overlaps = context === 'both' || otherContext === 'both' || context === otherContext;
+      if (other !== name && overlaps && current[other].includes(input)) {
+        changes[other] = current[other].filter(bound => bound !== input);
+      }
+    });
+    changes[name] = [input];
+    
+    this.game.settings.set(BINDING_SETTINGS[device], changes);
+  }
+  
+  /**
+   * Wait for the next key or button and bind it
+   * Escape cancels instead of binding.
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @param {string} name - Binding name (see BINDINGS)
+   * @param {Function} onDone - Called once the binding is set or cancelled
+   */
+  captureBinding(device, name, onDone) {
+    this.capture = { device, name, onDone };
+  }
+  
+  /**
+   * Finish waiting for a binding
+   * @param {string|number|null} input - Key or button index, or null to cancel
+   */
+  finishCapture(input) {
+    const capture = this.capture;
+    if (!capture) return;
+    
+    this.capture = null;
+    if (input !== null) {
+      this.rebind(capture.device, capture.name, input);
+    }
+    capture.onDone();
+  }
+  
+  /**
+   * A source started holding bindings
+   * @param {string} source - Input source ('keyboard', 'mouse', 'touch', 'gamepad')
+   * @param {string[]} names - Binding names (see BINDINGS)
+   */
+  press(source, names) {
+    const held = this._getHeld(source);
+    
+    // Bindings another source already holds (e.g. Space and the action button) don't fire again
+    const pressed = names.filter(name => !held.has(name) && !this._isHeld(name));
+    names.forEach(name => held.add(name));
+    
+    // An input bound to cancel and pause (Escape) only pauses when there's nothing to back out of
+    if (pressed.includes('cancel') && this._cancel()) return;
+    
+    pressed.forEach(name => this._trigger(name));
+  }
+  
+  /**
+   * A source let go of bindings
+   * @param {string} source - Input source
+   * @param {string[]} names - Binding names
+   */
+  release(source, names) {
+    const held = this._getHeld(source);
+    names.forEach(name => held.delete(name));
+  }
+  
+  /**
+   * Report analog movement (joystick or stick)
+   * @param {string} source - Input source
+   * @param {number} x - Direction x (-1 to 1, negative is left)
+   * @param {number} y - Direction y (-1 to 1, negative is away from the camera)
+   * @param {number} intensity - How far it's pushed (0-1)
+   */
+  setMove(source, x, y, intensity) {
+    this.moves[source] = { x, y, intensity };
+  }
+  
+  /**
+   * Report analog camera look (right stick)
+   * @param {string} source - Input source
+   * @param {number} x - Turn (-1 to 1, positive looks right)
+   * @param {number} y - Tilt (-1 to 1, positive looks down from higher up)
+   */
+  setLook(source, x, y) {
+    this.looks[source] = { x, y };
+  }
+  
+  /**
+   * Drop everything a source holds (when it's removed or disconnected)
+   * @param {string} source - Input source
+   */
+  releaseSource(source) {
+    delete this.held[source];
+    delete this.moves[source];
+    delete this.looks[source];
+  }
+  
+  /**
+   * Interact with a specific object the player picked (e.g. tapped), on the next step
+   * @param {THREE.Object3D} target - Object with userData.type
+   */
+  interactWith(target) {
+    if (getOpenMenu()) return;
+    
+    this.pendingInteract = true;
+    this.pendingTarget = target;
+  }
+  
+  /**
+   * Step through the open menu (sources with their own repeat timing call this directly)
+   * @param {string} direction - 'up', 'down', 'left' or 'right'
+   */
+  navigate(direction) {
+    this.menus.step(direction);
+  }
+  
+  /**
+   * Combined movement from every source
+   * Held directions (keys, d-pad) win; otherwise the analog source pushed furthest.
+   * @returns {Object} {direction: {x, y}, intensity}
+   */
+  getMove() {
+    const direction = { x: 0, y: 0 };
+    Object.keys(MOVE_DIRECTIONS).forEach(name => {
+      if (this._isHeld(name)) {
+        direction.x += MOVE_DIRECTIONS[name].x;
+        direction.y += MOVE_DIRECTIONS[name].y;
+      }
+    });
+    
+    // Normalize for diagonal movement (maintain consistent speed)
+    const length = Math.hypot(direction.x, direction.y);
+    if (length > 0) {
+      return { direction: { x: direction.x / length, y: direction.y / length }, intensity: 1 };
+    }
+    
+    let strongest = { direction, intensity: 0 };
+    Object.values(this.moves).forEach(move => {
+      if (move.intensity > strongest.intensity) {
+        strongest = { direction: { x: move.x, y: move.y }, intensity: move.intensity };
+      }
+    });
+    
+    return strongest;
+  }
+  
+  /**
+   * Combined camera look from the orbit bindings and every analog source
+   * @returns {Object} {x, y}, each from -1 to 1
+   */
+  getLook() {
+    let x = 0;
+    let y = 0;
+    if (this._isHeld('orbitLeft')) x--;
+    if (this._isHeld('orbitRight')) x++;
+    
+    Object.values(this.looks).forEach(look => {
+      x += look.x;
+      y += look.y;
+    });
+    
+    return {
+      x: Math.max(-1, Math.min(1, x)),
+      y: Math.max(-1, Math.min(1, y))
+    };
+  }
+  
+  /**
+   * Hand this step's input to the player
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   */
+  update(deltaTime) {
+    const interact = this.pendingInteract;
+    const target = this.pendingTarget;
+    this.pendingInteract = false;
+    this.pendingTarget = null;
+    
+    const player = this.game.state.player;
+    if (!player) return;
+    
+    // Turn the camera first, since movement follows it
+    const look = this.getLook();
+    if (look.x !== 0 || look.y !== 0) {
+      this.orbit(-look.x * ORBIT_SPEED * deltaTime, look.y * ORBIT_SPEED * deltaTime);
+    }
+    
+    const move = this.getMove();
+    player.updateMovement(move.direction, move.intensity, deltaTime);
+    
+    if (interact) {
+      try {
+        player.performAction(target);
+      } catch (err) {
+        console.error("Error performing action:", err);
+        showDebugMessage("Action failed", "#ff5555");
+      }
+    }
+  }
+  
+  /**
+   * Held bindings for a source
+   * @private
+   * @param {string} source - Input source
+   * @returns {Set} Binding names
+   */
+  _getHeld(source) {
+    if (!this.held[source]) {
+      this.held[source] = new Set();
+    }
+    return this.held[source];
+  }
+  
+  /**
+   * Whether any source holds a binding
+   * @private
+   * @param {string} name - Binding name
+   * @returns {boolean} Whether it's held
+   */
+  _isHeld(name) {
+    return Object.values(this.held).some(held => held.has(name));
+  }
+  
+  /**
+   * Carry out a binding that was just pressed
+   * @private
+   * @param {string} name - Binding name
+   */
+  _trigger(name) {
+    const inMenu = getOpenMenu() !== null;
+    
+    if (MOVE_DIRECTIONS[name]) {
+      // Movement itself is read every step in update()
+      if (inMenu) {
+        this.menus.step(MOVE_DIRECTIONS[name].menu);
+      }
+      return;
+    }
+    
+    switch (name) {
+      case 'interact':
+        if (!inMenu) {
+          this.pendingInteract = true;
+          this.pendingTarget = null;
+        }
+        break;
+        
+      case 'confirm':
+        if (inMenu) {
+          this.menus.activate();
+        }
+        break;
+        
+      case 'pause':
+        this.game.settingsMenu.toggle();
+        break;
+        
+      case 'zoomIn':
+      case 'zoomOut':
+        if (!inMenu) {
+          this.zoom(name === 'zoomIn' ? -ZOOM_STEP : ZOOM_STEP);
+        }
+        break;
+        
+      case 'build':
+      case 'rotate': {
+        const construction = this._getConstruction();
+        if (!construction || inMenu) break;
+        
+        if (name === 'build') {
+          construction.toggle();
+        } else if (construction.active) {
+          construction.rotate();
+        }
+        break;
+      }
+    }
+  }
+  
+  /**
+   * Back out of the pause menu, a village dialogue or build mode
+   * @private
+   * @returns {boolean} Whether there was something to back out of
+   */
+  _cancel() {
+    // The pause menu sits on top of dialogues, so it closes first
+    if (this.game.settingsMenu.isOpen()) {
+      this.game.settingsMenu.close();
+      return true;
+    }
+    
+    const scene = this.game.stageManager && this.game.stageManager.currentScene;
+    if (scene && scene.villageDialogue && scene.villageDialogue.isOpen()) {
+      scene.villageDialogue.close();
+      return true;
+    }
+    
+    const construction = this._getConstruction();
+    if (construction && construction.active && !getOpenMenu()) {
+      construction.setActive(false);
+      return true;
+    }
+    
+    // Events must be answered, so they stay open
+    return false;
+  }
+  
+  /**
+   * Move the camera in or out (zoom bindings, the mouse wheel and pinches)
+   * @param {number} delta - Change in follow distance
+   */
+  zoom(delta) {
+    if (this.game.cameraController && !getOpenMenu()) {
+      this.game.cameraController.zoom(delta);
+    }
+  }
+  
+  /**
+   * Swing the camera around the player (look bindings, the right stick and drags)
+   * @param {number} deltaYaw - Radians around the player (positive is counter-clockwise from above)
+   * @param {number} deltaPitch - Radians up (positive) or down
+   */
+  orbit(deltaYaw, deltaPitch) {
+    if (this.game.cameraController && !getOpenMenu()) {
+      this.game.cameraController.orbit(deltaYaw, deltaPitch);
+    }
+  }
+  
+  /**
+   * Build mode for the current scene, if it has one
+   * @private
+   * @returns {Construction|null} Construction system
+   */
+  _getConstruction() {
+    const scene = this.game.stageManager && this.game.stageManager.currentScene;
+    return (scene && scene.construction) || null;
+  }
+  
+  /**
+   * Key pressed
+   * @private
+   * @param {KeyboardEvent} e - Key event
+   */
+  _handleKeyDown(e) {
+    const key = normalizeKey(e.key);
+    
+    // Waiting for a new binding: Escape cancels, any other key is the binding
+    if (this.capture) {
+      e.preventDefault();
+      if (e.repeat) return;
+      
+      if (key === 'Escape') {
+        this.finishCapture(null);
+      } else if (this.capture.device === 'keyboard') {
+        this.finishCapture(key);
+      }
+      return;
+    }
+    
+    const names = this.keyMap[key];
+    if (!names) {
+      // Structure shortcuts aren't rebindable
+      const construction = this._getConstruction();
+      if (STRUCTURE_KEYS[key] && construction && construction.active && !e.repeat && !getOpenMenu()) {
+        construction.selectType(STRUCTURE_KEYS[key]);
+      }
+      return;
+    }
+    
+    // Handled here, so buttons with focus don't also activate (and Space doesn't scroll)
+    e.preventDefault();
+    
+    // Held keys repeat through menus
+    if (e.repeat) {
+      const move = names.find(name => MOVE_DIRECTIONS[name]);
+      if (move && getOpenMenu()) {
+        this.menus.step(MOVE_DIRECTIONS[move].menu);
+      }
+      return;
+    }
+    
+    this.keysDown.add(key);
+    this.press('keyboard', names);
+  }
+  
+  /**
+   * Key released
+   * @private
+   * @param {KeyboardEvent} e - Key event
+   */
+  _handleKeyUp(e) {
+    const key = normalizeKey(e.key);
+    const names = this.keyMap[key];
+    this.keysDown.delete(key);
+    if (!names) return;
+    
+    e.preventDefault();
+    
+    // Another key bound to the same thing may still be down (e.g. W and Up)
+    const stillHeld = new Set();
+    this.keysDown.forEach(down => (this.keyMap[down] || []).forEach(name => stillHeld.add(name)));
+    this.release('keyboard', names.filter(name => !stillHeld.has(name)));
+  }
+  
+  /**
+   * Let go of every key (the window lost focus, or the bindings changed)
+   * @private
+   */
+  _releaseKeyboard() {
+    this.keysDown.clear();
+    this.releaseSource('keyboard');
+  }
+  
+  /**
+   * Mouse wheel over the game zooms the camera
+   * @private
+   * @param {WheelEvent} e - Wheel event
+   */
+  _handleWheel(e) {
+    if (e.target !== this.game.renderer.domElement || e.deltaY === 0 || getOpenMenu()) return;
+    
+    this.zoom(Math.sign(e.deltaY) * ZOOM_STEP);
+  }
+  
+  /**
+   * Stop listening for input
+   */
+  dispose() {
+    document.removeEventListener('keydown', this._onKeyDown);
+    document.removeEventListener('keyup', this._onKeyUp);
+    window.removeEventListener('wheel', this._onWheel);
+    window.removeEventListener('blur', this._onBlur);
+    this.menus.clear();
+  }
+}
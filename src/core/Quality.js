@@ -0,0 +1,178 @@
+/**
+ * Graphics quality tiers and the frame-time monitor that picks one automatically
+ */
+import * as THREE from 'three';
+
+// What each tier renders; scenes read these when they are built
+export const QUALITY_TIERS = {
+  low: {
+    antialias: false,
+    pixelRatio: 1,
+    shadows: false,
+    shadowType: THREE.BasicShadowMap,
+    shadowMapSize: 512,
+    particleScale: 0.4, // Share of each particle system's full count
+    fogScale: 1.3, // Thicker fog hides the thinned-out scenery
+    pointLights: 3, // Most point lights a scene renders (see LightBudget)
+    atmosphereLights: false, // Static colored point lights that set a scene's mood
+    sceneryDensity: 0.5 // Share of decorative props (trees, plants) that are drawn
+  },
+  medium: {
+    antialias: true,
+    pixelRatio: 1.5,
+    shadows: true,
+    shadowType: THREE.PCFShadowMap,
+    shadowMapSize: 512,
+    particleScale: 0.7,
+    fogScale: 1.1,
+    pointLights: 4,
+    atmosphereLights: true,
+    sceneryDensity: 0.75
+  },
+  high: {
+    antialias: true,
+    pixelRatio: 2,
+    shadows: true,
+    shadowType: THREE.PCFSoftShadowMap,
+    shadowMapSize: 1024,
+    particleScale: 1,
+    fogScale: 1,
+    pointLights: 5,
+    atmosphereLights: true,
+    sceneryDensity: 1
+  }
+};
+
+// Lowest to highest, for stepping
+export const TIER_ORDER = ['low', 'medium', 'high'];
+
+// Auto mode steps down when frames average slower than this, and up when faster than this
+const SLOW_FRAME_TIME = 1000 / 45; // ms
+const FAST_FRAME_TIME = 1000 / 58; // ms
+
+// How long to measure before deciding (stepping up needs a longer, steadier run)
+const STEP_DOWN_WINDOW = 2000; // ms
+const STEP_UP_WINDOW = 8000; // ms
+
+// Frames longer than this are hitches (tab switches, GC) rather than steady load
+const MAX_SAMPLE_TIME = 250; // ms
+
+export default class QualityManager {
+  /**
+   * Initialize quality
+   * @param {string} mode - 'auto' or a tier name (the player's stored choice)
+   */
+  constructor(mode = 'auto') {
+    this.mode = QUALITY_TIERS[mode] ? mode : 'auto';
+    this.tier = this.mode === 'auto' ? this._guessTier() : this.mode;
+    this.onChange = null; // (tier) => void, called whenever the active tier changes
+    this.ceiling = TIER_ORDER.length - 1; // Auto mode never climbs back to a tier it had to leave
+    
+    this._resetSamples();
+  }
+  
+  /**
+   * Settings of the active tier
+   * @returns {Object} Tier settings (see QUALITY_TIERS)
+   */
+  getSettings() {
+    return QUALITY_TIERS[this.tier];
+  }
+  
+  /**
+   * Starting tier for auto mode before any frames are measured
+   * @private
+   * @returns {string} Tier name
+   */
+  _guessTier() {
+    // Phones and tablets start in the middle; desktops start at the top
+    return navigator.maxTouchPoints > 0 ? 'medium' : 'high';
+  }
+  
+  /**
+   * Choose auto mode or pin a tier (the choice is stored with the other settings)
+   * @param {string} mode - 'auto', 'low', 'medium' or 'high'
+   */
+  setMode(mode) {
+    this.mode = QUALITY_TIERS[mode] ? mode : 'auto';
+    this._setTier(this.mode === 'auto' ? this.tier : this.mode);
+    this.ceiling = TIER_ORDER.length - 1;
+    this._resetSamples();
+  }
+  
+  /**
+   * Switch the active tier and notify the game
+   * @private
+   * @param {string} tier - Tier name
+   */
+  _setTier(tier) {
+    if (tier === this.tier) return;
+    
+    this.tier = tier;
+    if (this.onChange) {
+      this.onChange(tier);
+    }
+  }
+  
+  /**
+   * Apply the active tier's renderer settings
+   * Antialiasing is fixed when the renderer is created, so it only follows the tier
+   * the game started with.
+   * @param {THREE.WebGLRenderer} renderer - Renderer to configure
+   * @param {THREE.Scene} scene - Current scene (its materials recompile if shadows toggle)
+   */
+  applyToRenderer(renderer, scene = null) {
+    const settings = this.getSettings();
+    const shadowsChanged = renderer.shadowMap.enabled !== settings.shadows ||
+      renderer.shadowMap.type !== settings.shadowType;
+    
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, settings.pixelRatio));
+    renderer.shadowMap.enabled = settings.shadows;
+    renderer.shadowMap.type = settings.shadowType;
+    
+    // Lit materials bake shadow support into their shaders
+    if (shadowsChanged && scene) {
+      scene.traverse(object => {
+        if (!object.material) return;
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach(material => {
+          material.needsUpdate = true;
+        });
+      });
+    }
+  }
+  
+  /**
+   * Start a fresh measuring window
+   * @private
+   */
+  _resetSamples() {
+    this.sampleTime = 0;
+    this.sampleFrames = 0;
+  }
+  
+  /**
+   * Record a rendered frame and step the tier in auto mode
+   * @param {number} frameTime - Real time since the previous frame in milliseconds
+   */
+  sampleFrame(frameTime) {
+    if (this.mode !== 'auto' || frameTime > MAX_SAMPLE_TIME) return;
+    
+    this.sampleTime += frameTime;
+    this.sampleFrames++;
+    
+    const average = this.sampleTime / this.sampleFrames;
+    const index = TIER_ORDER.indexOf(this.tier);
+    
+    if (this.sampleTime >= STEP_DOWN_WINDOW && average > SLOW_FRAME_TIME && index > 0) {
+      this.ceiling = index - 1;
+      this._setTier(TIER_ORDER[index - 1]);
+      this._resetSamples();
+    } else if (this.sampleTime >= STEP_UP_WINDOW) {
+      if (average < FAST_FRAME_TIME && index < this.ceiling) {
+        this._setTier(TIER_ORDER[index + 1]);
+      }
+      this._resetSamples();
+    }
+  }
+}
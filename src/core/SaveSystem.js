@@ -0,0 +1,206 @@
+/**
+ * Persists and restores in-progress runs using localStorage
+ */
+
+// Storage key shared with the legacy restart-counter format
+export const SAVE_KEY = 'floodGameProgress';
+
+// Bump when the snapshot layout changes in an incompatible way
+export const SAVE_VERSION = 1;
+
+export default class SaveSystem {
+  /**
+   * Initialize save system
+   * @param {Object} game - Reference to main game instance
+   */
+  constructor(game) {
+    this.game = game;
+  }
+  
+  /**
+   * Write the current game to localStorage
+   * @param {Object} options - Save options
+   * @param {boolean} options.includeRun - Whether to store the in-progress run (false keeps only meta progress)
+   * @param {string} options.stage - Stage the run should resume at (defaults to the current stage)
+   * @returns {boolean} Whether the save was written
+   */
+  save({ includeRun = true, stage = null } = {}) {
+    const state = this.game.state;
+    
+    // Nothing meaningful to save before an evolution type was chosen
+    if (!state.evolutionType && !(state.player && state.player.evolutionType)) {
+      return false;
+    }
+    
+    const saveData = {
+      version: SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      stage: stage || state.stage,
+      evolutionType: state.player ? state.player.evolutionType : state.evolutionType,
+      restarts: state.restarts,
+      seed: state.seed,
+      highestResources: Math.max(state.resources || 0, state.highestResources || 0),
+      lastFloodOutcome: state.lastFloodOutcome || null,
+      run: includeRun ? this.createRunSnapshot(stage) : null
+    };
+    
+    try {
+      localStorage.setItem(SAVE_KEY, JSON.stringify(saveData));
+      return true;
+    } catch (e) {
+      console.warn('Could not save progress to localStorage:', e);
+      return false;
+    }
+  }
+  
+  /**
+   * Capture everything needed to resume the current run
+   * @param {string} nextStage - Optional stage the run is about to enter
+   * @returns {Object|null} Run snapshot or null if no run is in progress
+   */
+  createRunSnapshot(nextStage = null) {
+    const state = this.game.state;
+    const stageManager = this.game.stageManager;
+    
+    if (!state.player || !stageManager || !stageManager.currentScene) {
+      return null;
+    }
+    
+    const scene = stageManager.currentScene;
+    const snapshot = {
+      stage: stageManager.currentStage || state.stage,
+      timer: state.timer,
+      resources: state.resources,
+      floodResults: state.floodResults,
+      player: state.player.getSaveData(),
+      events: this.game.eventSystem ? this.game.eventSystem.getSaveData() : null,
+      scene: scene.getSaveData ? scene.getSaveData() : null,
+      random: {
+        stage: scene.random ? scene.random.getState() : null,
+        events: this.game.eventSystem ? this.game.eventSystem.random.getState() : null
+      }
+    };
+    
+    // Entering a new stage: start its full timer with no scene or position state
+    if (nextStage && nextStage !== snapshot.stage) {
+      snapshot.stage = nextStage;
+      snapshot.timer = stageManager.stageConfig[nextStage].timerDuration;
+      snapshot.scene = null;
+      snapshot.random.stage = null;
+      delete snapshot.player.position;
+    }
+    
+    return snapshot;
+  }
+  
+  /**
+   * Read save data from localStorage
+   * @returns {Object|null} Parsed save data or null if none exists
+   */
+  load() {
+    try {
+      const savedProgress = localStorage.getItem(SAVE_KEY);
+      return savedProgress ? JSON.parse(savedProgress) : null;
+    } catch (e) {
+      console.warn('Could not load saved data:', e);
+      return null;
+    }
+  }
+  
+  /**
+   * Get the saved run if it can be resumed
+   * @returns {Object|null} Save data with a valid run, or null
+   */
+  getResumableSave() {
+    const saveData = this.load();
+    
+    // Legacy saves (no version) only carry restart counters
+    if (!saveData || saveData.version !== SAVE_VERSION || !saveData.run) {
+      return null;
+    }
+    
+    const run = saveData.run;
+    const stageConfig = this.game.stageManager
+      ? this.game.stageManager.stageConfig
+      : null;
+    
+    // Validate the parts of the snapshot we rely on
+    if (stageConfig && !stageConfig[run.stage]) return null;
+    if (!saveData.evolutionType) return null;
+    if (!run.player || typeof run.player.traits !== 'object') return null;
+    if (typeof run.timer !== 'number' || run.timer <= 0) return null;
+    
+    return saveData;
+  }
+  
+  /**
+   * Drop the in-progress run but keep meta progress (restarts, records)
+   */
+  clearRun() {
+    const saveData = this.load();
+    if (!saveData) return;
+    
+    saveData.version = SAVE_VERSION;
+    saveData.run = null;
+    
+    try {
+      localStorage.setItem(SAVE_KEY, JSON.stringify(saveData));
+    } catch (e) {
+      console.warn('Could not clear saved run:', e);
+    }
+  }
+  
+  /**
+   * Restore a saved run into the game
+   * @param {Object} saveData - Save data returned by getResumableSave()
+   */
+  async restoreRun(saveData) {
+    const game = this.game;
+    const run = saveData.run;
+    
+    // Restore shared game state first so the scene builds for the right stage
+    game.state.stage = run.stage;
+    game.state.evolutionType = saveData.evolutionType;
+    game.state.restarts = saveData.restarts || 0;
+    game.state.highestResources = saveData.highestResources || 0;
+    game.state.floodResults = run.floodResults || {};
+    game.state.lastFloodOutcome = saveData.lastFloodOutcome || null;
+    game.state.newGame = false;
+    
+    // Same seed regenerates the same world layout
+    if (saveData.seed) {
+      game.setSeed(saveData.seed);
+    }
+    
+    // Player traits must be in place before the scene is built
+    game.createPlayer();
+    game.state.player.applySaveData(run.player);
+    
+    // Set after the player so restart bonuses don't overwrite saved resources
+    game.state.resources = run.resources || 0;
+    
+    await game.stageManager.loadStage(run.stage);
+    
+    // Stage loading resets timer, position and will-to-live, so re-apply the snapshot
+    game.state.timer = run.timer;
+    game.state.player.applySaveData(run.player);
+    
+    if (run.events && game.eventSystem) {
+      game.eventSystem.applySaveData(run.events);
+    }
+    
+    const scene = game.stageManager.currentScene;
+    
+    // Continue random streams where they left off rather than replaying rolls
+    if (run.random) {
+      if (scene && scene.random) scene.random.setState(run.random.stage);
+      if (game.eventSystem) game.eventSystem.random.setState(run.random.events);
+    }
+    if (run.scene && scene && scene.applySaveData) {
+      scene.applySaveData(run.scene);
+    }
+    
+    // Replace the stage-start checkpoint written during loading
+    this.save();
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Player preferences (controls layout and bindings, camera, audio, graphics, accessibility)
+ * persisted in localStorage
+ */
+
+// Storage key for the preferences
+export const SETTINGS_KEY = 'floodGameSettings';
+
+// Bump when a setting is renamed or changes meaning, and migrate older data in _migrate()
+export const SETTINGS_VERSION = 1;
+
+// Quality mode stored on its own before preferences were grouped
+const LEGACY_QUALITY_KEY = 'floodGameQuality';
+
+// Defaults (reducedMotion also follows the system preference, see getDefaults())
+export const DEFAULT_SETTINGS = {
+  joystickSide: 'center', // 'left', 'center' or 'right'
+  joystickSize: 120, // px
+  actionButtonSide: 'right', // 'left' or 'right'
+  cameraDistance: 1, // Multiplier on the camera's follow distance
+  cameraHeight: 1, // Multiplier on the camera's height above the player
+  masterVolume: 0.8, // 0-1
+  effectsVolume: 1, // 0-1, relative to the master volume
+  muted: false,
+  quality: 'auto', // 'auto', 'low', 'medium' or 'high'
+  reducedMotion: false, // No camera shake or sliding text
+  messages: 'all', // Feedback message verbosity: 'all', 'normal' or 'important'
+  keyBindings: {}, // Changes to InputManager's DEFAULT_KEY_BINDINGS
+  buttonBindings: {} // Changes to InputManager's DEFAULT_BUTTON_BINDINGS
+};
+
+/**
+ * Get the defaults for this device
+ * @returns {Object} Default settings
+ */
+export function getDefaults() {
+  const prefersReducedMotion = typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  
+  return { ...DEFAULT_SETTINGS, reducedMotion: prefersReducedMotion };
+}
+
+export default class Settings {
+  /**
+   * Initialize settings from localStorage (defaults for anything not stored)
+   */
+  constructor() {
+    this.values = this._load();
+    this.onChange = null; // (key, value) => void, called after a setting changes
+  }
+  
+  /**
+   * Read a setting
+   * @param {string} key - Setting name (see DEFAULT_SETTINGS)
+   * @returns {*} Current value
+   */
+  get(key) {
+    return this.values[key];
+  }
+  
+  /**
+   * Change a setting, store it and notify the game
+   * @param {string} key - Setting name (see DEFAULT_SETTINGS)
+   * @param {*} value - New value
+   */
+  set(key, value) {
+    if (!(key in DEFAULT_SETTINGS) || this.values[key] === value) return;
+    
+    this.values[key] = value;
+    this._save();
+    
+    if (this.onChange) {
+      this.onChange(key, value);
+    }
+  }
+  
+  /**
+   * Restore every setting to its default
+   */
+  reset() {
+    const defaults = getDefaults();
+    Object.keys(defaults).forEach(key => this.set(key, defaults[key]));
+  }
+  
+  /**
+   * Read stored settings, falling back to defaults
+   * @private
+   * @returns {Object} Settings values
+   */
+  _load() {
+    const values = getDefaults();
+    
+    try {
+      const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+      
+      if (stored && stored.version <= SETTINGS_VERSION) {
+        // Unknown keys (from a newer build or a removed setting) are dropped
+        const migrated = this._migrate(stored);
+        Object.keys(values).forEach(key => {
+          if (key in migrated.values) {
+            values[key] = migrated.values[key];
+          }
+        });
+      } else if (!stored) {
+        // Carry over the quality choice from before settings were grouped
+        const legacyQuality = localStorage.getItem(LEGACY_QUALITY_KEY);
+        if (legacyQuality) {
+          values.quality = legacyQuality;
+        }
+      }
+    } catch (e) {
+      console.warn('Could not read settings from localStorage:', e);
+    }
+    
+    return values;
+  }
+  
+  /**
+   * Upgrade stored settings from an older version
+   * @private
+   * @param {Object} stored - Stored data ({version, values})
+   * @returns {Object} Data in the current layout
+   */
+  _migrate(stored) {
+    // Version 1 is the first layout; add a step here for each version bump
+    return { version: SETTINGS_VERSION, values: stored.values || {} };
+  }
+  
+  /**
+   * Write the settings to localStorage
+   * @private
+   */
+  _save() {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify({
+        version: SETTINGS_VERSION,
+        values: this.values
+      }));
+      localStorage.removeItem(LEGACY_QUALITY_KEY); // Now stored with the rest
+    } catch (e) {
+      console.warn('Could not save settings to localStorage:', e);
+    }
+  }
+}
@@ -2,6 +2,13 @@
  * Handles stage transitions, flood timers, and scene management
  */
 import * as Evolution from './Evolution.js';
+import { evaluateFlood, applyFloodLosses, FLOOD_RESULTS, FLOOD_RESULT_LABELS } from './FloodOutcome.js';
+
+// Camera shots (see CameraController.playShot()): a sweep down to the player as a stage
+// opens, a crane up and around when the flood is survived, and a low push-in when it isn't
+const STAGE_OPENING_SHOT = { from: { yaw: Math.PI * 0.75, pitch: 0.6, distance: 3 }, duration: 5000 };
+const FLOOD_SURVIVAL_SHOT = { from: {}, to: { yaw: Math.PI * 0.5, pitch: 0.5, distance: 2.5 }, duration: 5000 };
+const FLOOD_FAILURE_SHOT = { from: {}, to: { yaw: -0.4, pitch: -0.25, distance: 0.6 }, duration: 5000 };
 
 export default class StageManager {
   /**
@@ -13,7 +20,9 @@ export default class StageManager {
     this.currentScene = null;
     this.currentStage = null;
     this.camera = null;
-    this.floodTimerInterval = null;
+    this.floodTimerActive = false;
+    this.floodTimerElapsed = 0; // Simulation ms accumulated toward the next second
+    this.timeouts = new Set(); // Pending stage callbacks, cancelled on dispose
     
     // Stage configuration
     this.stageConfig = {
@@ -54,12 +63,14 @@ export default class StageManager {
    * @param {string} stageName - Stage to load (primordial, prehistoric, ordered)
    */
   async loadStage(stageName) {
-    // Clear any existing timer
-    if (this.floodTimerInterval) {
-      clearInterval(this.floodTimerInterval);
-    }
+    // Stop any existing timer
+    this.floodTimerActive = false;
+    
+    // Tear down the previous stage before building the next
+    this._disposeScene();
     
     this.currentStage = stageName;
+    this.game.state.stage = stageName;
     const config = this.stageConfig[stageName];
     
     // Import the scene class dynamically
@@ -77,9 +88,11 @@ export default class StageManager {
       this.game.state.resourceGoal = config.resourceGoal;
       
       // Configure other game components for this stage
+      this.game.audio.setStage(stageName);
       this.game.controls.configureForStage(stageName);
       this.game.hud.configureForStage(stageName);
       this.game.state.player.configureForStage(stageName);
+      this.game.cameraController.configureForStage(stageName, this.currentScene.collision);
       
       // Start flood timer
       this.startFloodTimer();
@@ -87,13 +100,16 @@ export default class StageManager {
       // Show transition effect
       this.showStageTransition(stageName);
       
+      // Checkpoint the run at the start of every stage
+      this.saveProgress();
+      
       // Reset event system for new stage
       if (this.game.eventSystem) {
         // Wait until player finds will-to-live in primordial stage
         if (stageName !== 'primordial' || 
             (this.game.state.player && this.game.state.player.willToLive)) {
           // Create interactive event triggers with a slight delay
-          setTimeout(() => {
+          this._schedule(() => {
             this.game.eventSystem.createInteractiveTriggers(stageName);
           }, 5000); // 5 second delay before creating interactive objects
         }
@@ -108,9 +124,26 @@ export default class StageManager {
   
   /**
    * Starts the countdown timer for the flood
+   * The countdown advances on the simulation clock, so it freezes while paused
    */
   startFloodTimer() {
-    this.floodTimerInterval = setInterval(() => {
+    this.floodTimerElapsed = 0;
+    this.floodTimerActive = true;
+  }
+  
+  /**
+   * Advance the flood countdown
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   * @private
+   */
+  _updateFloodTimer(deltaTime) {
+    if (!this.floodTimerActive) return;
+    
+    this.floodTimerElapsed += deltaTime;
+    
+    // Tick once per simulated second
+    while (this.floodTimerActive && this.floodTimerElapsed >= 1000) {
+      this.floodTimerElapsed -= 1000;
       this.game.state.timer--;
       
       // Check for flood warning
@@ -121,22 +154,49 @@ export default class StageManager {
       
       // Check if timer has run out
       if (this.game.state.timer <= 0) {
-        clearInterval(this.floodTimerInterval);
+        this.floodTimerActive = false;
         this.handleFlood();
       }
-    }, 1000);
+    }
   }
   
   /**
    * Handles what happens when the flood timer runs out
    */
   handleFlood() {
-    // Check if player has collected enough resources
-    if (this.game.state.resources >= this.game.state.resourceGoal) {
-      this.handleStageSuccess();
+    // Grade the outcome from the world state (position, shelter, village defenses)
+    const outcome = evaluateFlood(this.game);
+    applyFloodLosses(this.game, outcome);
+    
+    // Later attempts at the same stage replace earlier results
+    this.game.state.floodResults[outcome.stage] = {
+      result: outcome.result,
+      score: outcome.score,
+      summary: outcome.summary,
+      lost: outcome.lost || 0
+    };
+    
+    this._showFloodOutcome(outcome);
+    
+    if (outcome.result === FLOOD_RESULTS.FAILED) {
+      this.handleStageFailure(outcome);
     } else {
-      this.handleStageFailure();
+      this.handleStageSuccess();
+    }
+  }
+  
+  /**
+   * Tell the player how the flood went
+   * @param {Object} outcome - Outcome from evaluateFlood()
+   * @private
+   */
+  _showFloodOutcome(outcome) {
+    let description = outcome.summary;
+    if (outcome.lost) {
+      description += ` You lost ${outcome.lost} resources.`;
     }
+    
+    this.game.hud.showEvolutionNotification(FLOOD_RESULT_LABELS[outcome.result], description);
   }
   
   /**
@@ -145,6 +205,7 @@ export default class StageManager {
   handleStageSuccess() {
     // Show success animation
     this.currentScene.showFloodSurvival();
+    this.game.cameraController.playShot(FLOOD_SURVIVAL_SHOT);
     
     // Determine next stage
     let nextStage = 'prehistoric';
@@ -158,30 +219,37 @@ export default class StageManager {
     // Evolve player's entity
     this.game.state.player.evolve(nextStage);
     
-    // Save progress
-    this.saveProgress();
+    // Save progress so a reload during the transition resumes at the next stage
+    this.saveProgress({ stage: nextStage });
     
     // Load next stage after delay
-    setTimeout(() => {
+    this._schedule(() => {
       this.loadStage(nextStage);
     }, 5000);
   }
   
   /**
    * Handles stage failure (restart with rogue-like bonuses)
+   * @param {Object} outcome - Failed outcome from evaluateFlood(), used for restart bonuses
    */
-  handleStageFailure() {
+  handleStageFailure(outcome = null) {
     // Show failure animation
     this.currentScene.showFloodFailure();
+    this.game.cameraController.playShot(FLOOD_FAILURE_SHOT);
     
     // Increase restart counter
     this.game.state.restarts++;
     
-    // Save progress for rogue-like bonuses
-    this.saveProgress();
+    // Near misses earn a bigger head start next time
+    this.game.state.lastFloodOutcome = outcome ?
+      { stage: outcome.stage, result: outcome.result, score: outcome.score } :
+      null;
+    
+    // Save progress for rogue-like bonuses (the failed run itself can't be continued)
+    this.saveProgress({ includeRun: false });
     
     // Restart game after delay
-    setTimeout(() => {
+    this._schedule(() => {
       this.game.init(true); // Pass true to indicate restart with bonuses
     }, 5000);
   }
@@ -196,6 +264,9 @@ export default class StageManager {
     
     // Save completion data
     this.saveCompletion(achievements);
+    
+    // A completed run is no longer resumable
+    this.saveProgress({ includeRun: false });
   }
   
   /**
@@ -217,6 +288,8 @@ export default class StageManager {
         achievements.push(achievement);
       } else if (key === 'floodSurvivor' && achievement.requirement(this.game.state)) {
         achievements.push(achievement);
+      } else if (key === 'unscathed' && achievement.requirement(this.game.state.floodResults)) {
+        achievements.push(achievement);
       } else if (key === 'perfectEvolution' && achievement.requirement(player.traits)) {
         achievements.push(achievement);
       }
@@ -227,10 +300,11 @@ export default class StageManager {
   
   /**
    * Shows visual transition effect between stages
+   * The new stage fades in from black under its title while the camera sweeps down to the player.
    * @param {string} stageName - New stage name
    */
   showStageTransition(stageName) {
-    // Create transition overlay
+    // Create transition overlay (taps go through to the game once it's clear)
     const overlay = document.createElement('div');
     overlay.style.position = 'absolute';
     overlay.style.top = '0';
@@ -238,11 +312,13 @@ export default class StageManager {
     overlay.style.width = '100%';
     overlay.style.height = '100%';
     overlay.style.backgroundColor = '#000';
-    overlay.style.opacity = '0';
-    overlay.style.transition = 'opacity.1.5s';
+    overlay.style.transition = 'background-color 1.5s';
+    overlay.style.pointerEvents = 'none';
     overlay.style.zIndex = '1000';
     document.body.appendChild(overlay);
     
+    this.game.cameraController.playShot(STAGE_OPENING_SHOT);
+    
     // Set stage-specific title text
     let stageTitle = 'Primordial Soup';
     if (stageName === 'prehistoric') stageTitle = 'Coastal Emergence';
@@ -261,9 +337,9 @@ export default class StageManager {
     title.style.transition = 'opacity 1.5s';
     overlay.appendChild(title);
     
-    // Fade in
+    // Reveal the stage, then the title over it
     setTimeout(() => {
-      overlay.style.opacity = '1';
+      overlay.style.backgroundColor = 'rgba(0, 0, 0, 0)';
     }, 100);
     
     setTimeout(() => {
@@ -273,7 +349,6 @@ export default class StageManager {
     // Fade out
     setTimeout(() => {
       title.style.opacity = '0';
-      overlay.style.opacity = '0';
     }, 4000);
     
     setTimeout(() => {
@@ -283,22 +358,10 @@ export default class StageManager {
   
   /**
    * Save game progress for restarts/persistence
+   * @param {Object} options - Save options passed to SaveSystem.save()
    */
-  saveProgress() {
-    const progressData = {
-      stage: this.currentStage,
-      evolutionType: this.game.state.player.evolutionType,
-      restarts: this.game.state.restarts,
-      highestResources: this.game.state.resources > (this.game.state.highestResources || 0) 
-        ? this.game.state.resources 
-        : (this.game.state.highestResources || 0)
-    };
-    
-    try {
-      localStorage.setItem('floodGameProgress', JSON.stringify(progressData));
-    } catch (e) {
-      console.warn('Could not save progress to localStorage:', e);
-    }
+  saveProgress(options = {}) {
+    this.game.saveSystem.save(options);
   }
   
   /**
@@ -332,22 +395,57 @@ export default class StageManager {
    * @returns {Object|null} - Saved progress or null if none exists
    */
   loadProgress() {
-    try {
-      const progressData = localStorage.getItem('floodGameProgress');
-      return progressData ? JSON.parse(progressData) : null;
-    } catch (e) {
-      console.warn('Could not load progress from localStorage:', e);
-      return null;
-    }
+    return this.game.saveSystem.load();
   }
   
   /**
-   * Updates the current scene
-   * @param {number} deltaTime - Time since last update
+   * Updates the current scene and flood countdown
+   * @param {number} deltaTime - Simulation time step in milliseconds
    */
   update(deltaTime) {
+    this._updateFloodTimer(deltaTime);
+    
     if (this.currentScene && this.currentScene.update) {
       this.currentScene.update(deltaTime);
     }
   }
-} 
\ No newline at end of file
+  
+  /**
+   * Run a callback later unless the stage manager is disposed first
+   * @param {Function} callback - Callback to run
+   * @param {number} delay - Delay in milliseconds
+   * @private
+   */
+  _schedule(callback, delay) {
+    const id = setTimeout(() => {
+      this.timeouts.delete(id);
+      callback();
+    }, delay);
+    this.timeouts.add(id);
+  }
+  
+  /**
+   * Remove the current scene, its event triggers and GPU resources
+   * @private
+   */
+  _disposeScene() {
+    if (!this.currentScene) return;
+    
+    if (this.game.eventSystem) {
+      this.game.eventSystem.cleanupTriggers(this.currentStage);
+    }
+    
+    this.currentScene.dispose();
+    this.currentScene = null;
+  }
+  
+  /**
+   * Stop timers and dispose the current scene
+   */
+  dispose() {
+    this.floodTimerActive = false;
+    this.timeouts.forEach(id => clearTimeout(id));
+    this.timeouts.clear();
+    this._disposeScene();
+  }
+}
@@ -0,0 +1,451 @@
+import * as THREE from 'three';
+import { alignToGround } from '../utils/Heightfield.js';
+
+/**
+ * Creature definitions
+ * Speeds use the same units as Player traits.speed (0.0012 world units per ms per point)
+ */
+export const creatureTypes = {
+  predator: {
+    name: 'Predator',
+    color: 0x884433,
+    size: 1.3,            // Players at least this large deter it
+    speed: 1.3,           // Chase speed - slower than a fast player
+    wanderSpeed: 0.5,
+    sightRadius: 9,
+    giveUpRadius: 13,     // Chase ends once the player gets this far away
+    chaseDuration: 7000,  // Tires after chasing this long (ms)
+    restDuration: 4000,   // Rests after a chase or an attack (ms)
+    contactRadius: 1.0,
+    contactCost: {
+      resources: 3,       // Materials lost when caught...
+      time: 5             // ...or seconds lost when there are none to drop
+    }
+  },
+  
+  herbivore: {
+    name: 'Grazer',
+    color: 0x99aa66,
+    size: 0.9,
+    speed: 1.1,           // Flee speed
+    wanderSpeed: 0.4,
+    leadSpeed: 0.8,
+    fleeRadius: 2.5,      // Startled by anything closer than this
+    followRadius: 8,      // Waits for the player while leading if they fall further behind
+    contactRadius: 1.0
+  }
+};
+
+// Base movement scale shared with Player.updateMovement
+const SPEED_SCALE = 0.0012;
+
+// Creatures stay on the land disc of the prehistoric map
+const LAND_RADIUS = 23;
+
+/**
+ * Ambient or hostile creature with simple steering behaviors
+ */
+export default class Creature {
+  /**
+   * Initialize creature
+   * @param {string} kind - Creature type (predator, herbivore)
+   * @param {Object} position - Position {x, z} to place creature
+   * @param {SeededRandom} random - Random stream for wandering decisions
+   * @param {Object} ground - Scene providing getGroundHeight() and getGroundNormal()
+   */
+  constructor(kind, position, random, ground) {
+    this.kind = kind;
+    this.config = creatureTypes[kind];
+    this.random = random;
+    this.ground = ground;
+    this.groundNormal = new THREE.Vector3(0, 1, 0);
+    
+    // Steering state
+    this.state = 'wander';
+    this.stateTime = 0;
+    this.velocity = new THREE.Vector3();
+    this.wanderTarget = null;
+    this.fleeFrom = new THREE.Vector3();
+    
+    // Herbivores know where a hidden resource cache is
+    this.cachePosition = null;
+    this.cacheRevealed = false;
+    this.reachedCache = false;
+    
+    this.mesh = null;
+    this.createMesh(position);
+  }
+  
+  /**
+   * Creates the low-poly mesh for the creature
+   * @param {Object} position - Position to place creature
+   */
+  createMesh(position) {
+    const size = this.config.size;
+    const group = new THREE.Group();
+    
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+      color: this.config.color,
+      roughness: 0.8,
+      metalness: 0.1
+    });
+    
+    if (this.kind === 'predator') {
+      // Long, low body with a pointed snout
+      const body = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.4, 1.0), bodyMaterial);
+      body.position.y = 0.35;
+      group.add(body);
+      
+      const snout = new THREE.Mesh(new THREE.ConeGeometry(0.18, 0.5, 5), bodyMaterial);
+      snout.rotation.x = Math.PI / 2;
+      snout.position.set(0, 0.45, 0.7);
+      group.add(snout);
+      
+      // Glowing eyes make predators readable in the fog
+      const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xff2200 });
+      [-0.1, 0.1].forEach(x => {
+        const eye = new THREE.Mesh(new THREE.SphereGeometry(0.04, 6, 6), eyeMaterial);
+        eye.position.set(x, 0.55, 0.55);
+        group.add(eye);
+      });
+    } else {
+      // Rounded body with a raised neck and head
+      const body = new THREE.Mesh(new THREE.IcosahedronGeometry(0.4, 1), bodyMaterial);
+      body.scale.set(1, 0.75, 1.3);
+      body.position.y = 0.4;
+      group.add(body);
+      
+      const neck = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.1, 0.5, 5), bodyMaterial);
+      neck.position.set(0, 0.7, 0.4);
+      neck.rotation.x = 0.5;
+      group.add(neck);
+      
+      const head = new THREE.Mesh(new THREE.SphereGeometry(0.13, 8, 6), bodyMaterial);
+      head.position.set(0, 0.92, 0.55);
+      group.add(head);
+    }
+    
+    group.traverse(child => {
+      if (child.isMesh) child.castShadow = true;
+    });
+    
+    group.scale.setScalar(size);
+    group.position.set(position.x || 0, 0, position.z || 0);
+    
+    // Add identifier for raycasting
+    group.userData.type = 'creature';
+    group.userData.kind = this.kind;
+    
+    this.mesh = group;
+  }
+  
+  /**
+   * Switch behavior state
+   * @param {string} state - New state (idle, wander, pursue, flee, rest, lead)
+   */
+  setState(state) {
+    if (this.state === state) return;
+    
+    this.state = state;
+    this.stateTime = 0;
+    this.wanderTarget = null;
+  }
+  
+  /**
+   * Run away from a position for a while
+   * @param {THREE.Vector3} position - Position to flee from
+   */
+  scare(position) {
+    this.fleeFrom.copy(position);
+    this.setState('flee');
+  }
+  
+  /**
+   * Start leading the player to this creature's cache
+   * @returns {boolean} Whether the creature has a cache to lead to
+   */
+  lead() {
+    if (!this.cachePosition || this.cacheRevealed) return false;
+    
+    this.setState('lead');
+    return true;
+  }
+  
+  /**
+   * Whether the player can currently interact with this creature
+   * @returns {boolean} Predators can always be scared; herbivores until they lead
+   */
+  isInteractable() {
+    if (this.kind === 'predator') return true;
+    return !!this.cachePosition && !this.cacheRevealed && this.state !== 'lead';
+  }
+  
+  /**
+   * Whether the creature is close enough to touch a position
+   * @param {THREE.Vector3} position - Position to test
+   * @returns {boolean} Whether within contact radius
+   */
+  isTouching(position) {
+    return this._flatDistance(position) < this.config.contactRadius * this.config.size;
+  }
+  
+  /**
+   * Updates creature behavior and movement
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   * @param {Object} player - Player entity (position and traits drive reactions)
+   * @param {Array<Creature>} predators - Predators herbivores should avoid
+   */
+  update(deltaTime, player, predators = []) {
+    if (!this.mesh) return;
+    
+    this.stateTime += deltaTime;
+    
+    const playerPosition = player && player.mesh ? player.mesh.position : null;
+    
+    if (this.kind === 'predator') {
+      this._updatePredator(playerPosition, player ? player.traits : null);
+    } else {
+      this._updateHerbivore(playerPosition, predators);
+    }
+    
+    this._move(deltaTime);
+  }
+  
+  /**
+   * Predator decisions: wander until the player is seen, then chase or back off
+   * @param {THREE.Vector3|null} playerPosition - Player position
+   * @param {Object|null} traits - Player traits
+   * @private
+   */
+  _updatePredator(playerPosition, traits) {
+    const config = this.config;
+    const distance = playerPosition ? this._flatDistance(playerPosition) : Infinity;
+    
+    // Large entities are not worth the fight
+    const deterred = traits && traits.size >= config.size;
+    
+    switch (this.state) {
+      case 'rest':
+        this._steerStop();
+        if (this.stateTime > config.restDuration) this.setState('wander');
+        break;
+      
+      case 'pursue':
+        if (deterred) {
+          this.scare(playerPosition);
+        } else if (distance > config.giveUpRadius || this.stateTime > config.chaseDuration) {
+          // Outrun or tired out
+          this.setState('rest');
+        } else {
+          this._steerToward(playerPosition, config.speed);
+        }
+        break;
+      
+      case 'flee':
+        this._steerAway(this.fleeFrom, config.speed);
+        if (this.stateTime > 3000) this.setState('wander');
+        break;
+      
+      default:
+        if (distance < config.sightRadius) {
+          if (deterred) {
+            this.scare(playerPosition);
+          } else {
+            this.setState('pursue');
+          }
+        } else {
+          this._wander();
+        }
+    }
+  }
+  
+  /**
+   * Herbivore decisions: graze, shy away from threats, lead the player to food
+   * @param {THREE.Vector3|null} playerPosition - Player position
+   * @param {Array<Creature>} predators - Nearby predators
+   * @private
+   */
+  _updateHerbivore(playerPosition, predators) {
+    const config = this.config;
+    
+    // Predators always take priority
+    const threat = predators.find(predator =>
+      predator.mesh && this._flatDistance(predator.mesh.position) < config.fleeRadius * 2
+    );
+    if (threat && this.state !== 'flee') {
+      this.scare(threat.mesh.position);
+    }
+    
+    const playerDistance = playerPosition ? this._flatDistance(playerPosition) : Infinity;
+    
+    switch (this.state) {
+      case 'flee':
+        this._steerAway(this.fleeFrom, config.speed);
+        if (this.stateTime > 2500) this.setState('wander');
+        break;
+      
+      case 'lead':
+        if (this._flatDistance(this.cachePosition) < 1) {
+          this.reachedCache = true;
+          this.cacheRevealed = true;
+          this.setState('idle');
+        } else if (playerDistance > config.followRadius) {
+          // Wait for the player to catch up
+          this._steerStop();
+        } else {
+          this._steerToward(this.cachePosition, config.leadSpeed);
+        }
+        break;
+      
+      case 'idle':
+        this._steerStop();
+        if (this.stateTime > 3000) this.setState('wander');
+        break;
+      
+      default:
+        if (playerDistance < config.fleeRadius) {
+          this.scare(playerPosition);
+        } else {
+          this._wander();
+        }
+    }
+  }
+  
+  /**
+   * Drift between random points on land, pausing now and then
+   * @private
+   */
+  _wander() {
+    const position = this.mesh.position;
+    
+    if (!this.wanderTarget || this._flatDistance(this.wanderTarget) < 0.5) {
+      // Occasionally stop to look around
+      if (this.wanderTarget && this.random.chance(0.3)) {
+        this.setState('idle');
+        return;
+      }
+      
+      const angle = this.random.next() * Math.PI * 2;
+      const distance = 3 + this.random.next() * 5;
+      this.wanderTarget = new THREE.Vector3(
+        position.x + Math.cos(angle) * distance,
+        0,
+        position.z + Math.sin(angle) * distance
+      );
+      this._clampToLand(this.wanderTarget);
+    }
+    
+    this._steerToward(this.wanderTarget, this.config.wanderSpeed);
+  }
+  
+  /**
+   * Set desired velocity toward a point
+   * @param {THREE.Vector3} target - Point to move toward
+   * @param {number} speed - Speed in trait units
+   * @private
+   */
+  _steerToward(target, speed) {
+    const desired = new THREE.Vector3(
+      target.x - this.mesh.position.x,
+      0,
+      target.z - this.mesh.position.z
+    );
+    if (desired.lengthSq() > 0.0001) {
+      desired.normalize().multiplyScalar(speed * SPEED_SCALE);
+    }
+    this.velocity.lerp(desired, 0.1);
+  }
+  
+  /**
+   * Set desired velocity away from a point
+   * @param {THREE.Vector3} source - Point to move away from
+   * @param {number} speed - Speed in trait units
+   * @private
+   */
+  _steerAway(source, speed) {
+    const position = this.mesh.position;
+    const away = new THREE.Vector3(
+      position.x * 2 - source.x,
+      0,
+      position.z * 2 - source.z
+    );
+    this._steerToward(away, speed);
+  }
+  
+  /**
+   * Ease to a stop
+   * @private
+   */
+  _steerStop() {
+    this.velocity.multiplyScalar(0.9);
+  }
+  
+  /**
+   * Apply velocity, keep on land and face the direction of travel
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   * @private
+   */
+  _move(deltaTime) {
+    const position = this.mesh.position;
+    position.x += this.velocity.x * deltaTime;
+    position.z += this.velocity.z * deltaTime;
+    this._clampToLand(position);
+    
+    let bob = 0;
+    if (this.velocity.lengthSq() > 1e-8) {
+      this.mesh.rotation.y = Math.atan2(this.velocity.x, this.velocity.z);
+      
+      // Small bob while walking
+      bob = Math.abs(Math.sin(this.stateTime * 0.01)) * 0.05;
+    }
+    
+    // Stand on the terrain and lean with its slope
+    position.y = this.ground.getGroundHeight(position.x, position.z) + bob;
+    alignToGround(this.mesh, this.ground.getGroundNormal(position.x, position.z, this.groundNormal));
+  }
+  
+  /**
+   * Pull a position back onto the land disc
+   * @param {THREE.Vector3} position - Position to clamp (modified in place)
+   * @private
+   */
+  _clampToLand(position) {
+    const distance = Math.sqrt(position.x * position.x + position.z * position.z);
+    if (distance > LAND_RADIUS) {
+      position.x *= LAND_RADIUS / distance;
+      position.z *= LAND_RADIUS / distance;
+    }
+  }
+  
+  /**
+   * Distance on the ground plane
+   * @param {THREE.Vector3} position - Position to measure to
+   * @returns {number} Horizontal distance
+   * @private
+   */
+  _flatDistance(position) {
+    const dx = position.x - this.mesh.position.x;
+    const dz = position.z - this.mesh.position.z;
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+  
+  /**
+   * Dispose of creature when no longer needed
+   */
+  dispose() {
+    if (!this.mesh) return;
+    
+    if (this.mesh.parent) {
+      this.mesh.parent.remove(this.mesh);
+    }
+    
+    this.mesh.traverse(child => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+    
+    this.mesh = null;
+  }
+}
@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+
+// Ripple shape shared by the vertex shader and getSurfaceHeight()
+const RIPPLE_FREQUENCY = 1.5;
+const RIPPLE_SPEED = 2.0;
+
+/**
+ * A rising body of flood water
+ * The surface ripples in the vertex shader, so the mesh stays low-poly and the CPU
+ * never rewrites its vertices.
+ */
+export default class FloodWater {
+  /**
+   * Initialize flood water
+   * @param {Object} options - {size, segments, level, color, emissive}
+   */
+  constructor(options = {}) {
+    this.level = options.level !== undefined ? options.level : -1;
+    this.time = 0;
+    this.rippleHeight = 0;
+    
+    // Shared with the compiled shader so updates need no recompilation
+    this.uniforms = {
+      waterTime: { value: 0 },
+      rippleHeight: { value: 0 }
+    };
+    
+    this._createMesh(options);
+  }
+  
+  /**
+   * Create the water surface mesh
+   * @private
+   * @param {Object} options - Constructor options
+   */
+  _createMesh(options) {
+    const size = options.size || 50;
+    const segments = options.segments || 16;
+    const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+    
+    const material = new THREE.MeshStandardMaterial({
+      color: options.color || 0x0055aa,
+      emissive: options.emissive || 0x003366,
+      emissiveIntensity: 0.5,
+      transparent: true,
+      opacity: 0.7,
+      side: THREE.DoubleSide,
+      roughness: 0.2,
+      metalness: 0.4
+    });
+    
+    // Ripple the plane in the vertex shader (z is up before the plane is laid flat)
+    material.onBeforeCompile = shader => {
+      shader.uniforms.waterTime = this.uniforms.waterTime;
+      shader.uniforms.rippleHeight = this.uniforms.rippleHeight;
+      shader.vertexShader = 'uniform float waterTime;\nuniform float rippleHeight;\n' +
+        shader.vertexShader.replace(
+          '#include <begin_vertex>',
+          '#include <begin_vertex>\n' +
+          `transformed.z += sin(length(position.xy) * ${RIPPLE_FREQUENCY.toFixed(1)} - ` +
+          `waterTime * ${RIPPLE_SPEED.toFixed(1)}) * rippleHeight;`
+        );
+    };
+    
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.rotation.x = -Math.PI / 2;
+    this.mesh.position.y = this.level;
+  }
+  
+  /**
+   * Move the water surface
+   * @param {number} level - Height of the still water surface
+   */
+  setLevel(level) {
+    this.level = level;
+    this.mesh.position.y = level;
+  }
+  
+  /**
+   * Set how choppy the surface is
+   * @param {number} height - Ripple amplitude in world units
+   */
+  setRippleHeight(height) {
+    this.rippleHeight = height;
+    this.uniforms.rippleHeight.value = height;
+  }
+  
+  /**
+   * Advance the ripple animation
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   */
+  update(deltaTime) {
+    this.time += deltaTime / 1000;
+    this.uniforms.waterTime.value = this.time;
+  }
+  
+  /**
+   * Height of the rippled surface at a point (matches the shader)
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @returns {number} Surface height
+   */
+  getSurfaceHeight(x, z) {
+    const distance = Math.hypot(x, z);
+    return this.level + Math.sin(distance * RIPPLE_FREQUENCY - this.time * RIPPLE_SPEED) * this.rippleHeight;
+  }
+  
+  /**
+   * Clean up water resources
+   */
+  dispose() {
+    if (this.mesh.parent) {
+      this.mesh.parent.remove(this.mesh);
+    }
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+}
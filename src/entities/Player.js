@@ -1,6 +1,20 @@
 import * as THREE from 'three';
-import { evolveEntity, getEntityVisuals, getRestartBonuses } from '../core/Evolution.js';
+import {
+  evolutionTypes,
+  evolveEntity,
+  getEntityVisuals,
+  getRestartBonuses,
+  STAMINA_DRAIN_PER_SECOND,
+  STAMINA_RECOVERY_THRESHOLD
+} from '../core/Evolution.js';
 import showDebugMessage from '../utils/DebugHelper.js';
+import { alignToGround } from '../utils/Heightfield.js';
+
+// How far the entity leans into slopes (0 = upright, 1 = flush with the ground)
+const GROUND_TILT = 0.5;
+
+// How close something has to be to interact with it
+const INTERACTION_RADIUS = 2.5;
 
 /**
  * Player entity with traits and movement
@@ -19,6 +33,13 @@ export default class Player {
     this.mesh = null;
     this.willToLive = false; // Initially false until found in primordial stage
     this.currentAction = null;
+    this.groundNormal = new THREE.Vector3(0, 1, 0);
+    
+    // Stamina is spent by moving and is separate from the collected resource score
+    this.staminaProfile = evolutionTypes[evolutionType].stamina;
+    this.maxStamina = this.staminaProfile.max;
+    this.stamina = this.maxStamina;
+    this.exhausted = false;
     
     // Philosophical traits that can evolve through choices
     this.philosophicalTraits = {
@@ -130,43 +151,46 @@ export default class Player {
    * Updates player movement based on controls
    * @param {Object} direction - Direction vector from controls
    * @param {number} intensity - Movement intensity (0-1)
+   * @param {number} deltaTime - Simulation time step in milliseconds
    */
-  updateMovement(direction, intensity) {
+  updateMovement(direction, intensity, deltaTime) {
     if (!this.mesh) return;
     
     // Calculate base speed based on traits and intensity
-    const speed = this.traits.speed * intensity * 0.02;
+    // (0.0012 units per ms matches the original 0.02 per frame at 60 fps)
+    let speed = this.traits.speed * intensity * 0.0012 * deltaTime;
     
-    // Apply energy cost based on movement
+    // Exhausted entities can only crawl
+    if (this.exhausted) {
+      speed *= this.staminaProfile.exhaustedSpeed;
+    }
+    
+    // Wading through flood water (or other heavy terrain) is slower
+    const scene = this.game.stageManager.currentScene;
+    if (scene) {
+      speed *= scene.getSpeedMultiplier(this.mesh.position);
+    }
+    
+    // Apply energy cost based on movement, or catch breath while resting
     if (intensity > 0.1) {
-      this.consumeEnergy(intensity);
+      this.consumeEnergy(intensity, deltaTime);
+    } else {
+      this.restoreStamina(this.staminaProfile.restRecovery * deltaTime / 1000);
     }
     
-    // Update position
-    const moveX = direction.x * speed;
-    const moveZ = direction.y * speed;
+    // Update position (directions are relative to the camera, so up moves away from it)
+    const yaw = this.game.cameraController ? this.game.cameraController.yaw : 0;
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    const moveX = (direction.x * cos + direction.y * sin) * speed;
+    const moveZ = (direction.y * cos - direction.x * sin) * speed;
     
     this.mesh.position.x += moveX;
     this.mesh.position.z += moveZ;
     
-    // Maintain proper height based on stage
-    // Set a higher base height to ensure player is always visible above terrain
-    const baseHeight = 0.5;
-    if (this.game.state.stage === 'primordial') {
-      // In primordial, add subtle floating based on animation
-      if (this.willToLive) {
-        // After finding will to live, animate height slightly
-        this.mesh.position.y = baseHeight + (0.05 * Math.sin(Date.now() * 0.002));
-      } else {
-        // Before finding will to live, maintain a consistent height
-        this.mesh.position.y = baseHeight;
-      }
-    } else if (this.game.state.stage === 'prehistoric') {
-      // In prehistoric, maintain higher position above terrain
-      this.mesh.position.y = baseHeight + 0.1;
-    } else {
-      // In ordered stage, maintain even higher position
-      this.mesh.position.y = baseHeight + 0.2;
+    // Slide along trees, rocks, houses and walls instead of passing through them
+    if (scene && scene.collision) {
+      scene.collision.resolve(this.mesh.position, this._getRadius());
     }
     
     // Update rotation to face movement direction
@@ -188,15 +212,32 @@ export default class Player {
   }
   
   /**
-   * Consumes energy based on movement intensity and trait efficiency
+   * Consumes stamina based on movement intensity and trait efficiency
    * @param {number} intensity - Movement intensity
+   * @param {number} deltaTime - Simulation time step in milliseconds
    */
-  consumeEnergy(intensity) {
+  consumeEnergy(intensity, deltaTime) {
     // Higher energy cost for more intense movement, modified by trait
-    const energyCost = intensity * 0.001 * this.traits.energyCost;
+    const energyCost = intensity * STAMINA_DRAIN_PER_SECOND * this.traits.energyCost * deltaTime / 1000;
     
-    // No actual resource reduction for now, but could be implemented
-    // this.game.state.resources -= energyCost;
+    this.stamina = Math.max(0, this.stamina - energyCost);
+    
+    if (this.stamina === 0 && !this.exhausted) {
+      this.exhausted = true;
+      showDebugMessage.info("Exhausted! Rest or collect resources to recover");
+    }
+  }
+  
+  /**
+   * Restore stamina, clearing exhaustion once enough is recovered
+   * @param {number} amount - Stamina to restore
+   */
+  restoreStamina(amount) {
+    this.stamina = Math.min(this.maxStamina, this.stamina + amount);
+    
+    if (this.exhausted && this.stamina >= this.maxStamina * STAMINA_RECOVERY_THRESHOLD) {
+      this.exhausted = false;
+    }
   }
   
   /**
@@ -211,7 +252,7 @@ export default class Player {
     
     const scene = this.game.stageManager.currentScene;
     const position = this.mesh.position;
-    const interactionRadius = 2.5; // Standard interaction radius
+    const interactionRadius = INTERACTION_RADIUS;
     
     // Check for "will to live" if not found yet
     if (this.game.state.stage === 'primordial' && !this.willToLive) {
@@ -252,10 +293,41 @@ export default class Player {
     return null;
   }
   
+  /**
+   * Interaction for a specific object the player picked (e.g. by tapping it)
+   * @param {THREE.Object3D} object - Object with userData.type
+   * @returns {Object|null} Object containing interaction type and target, or null if it can't be used
+   * @private
+   */
+  _getTargetInteractable(object) {
+    const scene = this.game.stageManager.currentScene;
+    
+    switch (object.userData.type) {
+      case 'willToLive':
+        return this.willToLive ? null : { type: 'willToLive', target: object };
+        
+      case 'eventTrigger':
+        return object.userData.isActive ? { type: 'eventTrigger', target: object } : null;
+        
+      case 'resource': {
+        // Meshes are pooled, so match the live resource using this one
+        const resource = scene.resources.find(candidate => candidate.mesh === object && !candidate.collected);
+        return resource ? { type: 'resource', target: resource } : null;
+      }
+        
+      case 'creature':
+        // Creatures are handled by the scene's environment interaction
+        return { type: 'environment', target: object };
+    }
+    
+    return null;
+  }
+  
   /**
    * Perform action based on current context
+   * @param {THREE.Object3D} target - Object the player picked, or null for whatever is nearest
    */
-  performAction() {
+  performAction(target = null) {
     // Only check for stageManager and its currentScene property
     if (!this.game.stageManager || !this.game.stageManager.currentScene) {
       // Set a timestamp to prevent showing this message too frequently
@@ -270,8 +342,25 @@ export default class Player {
     // Reset error timestamp when scene is ready
     this._lastSceneErrorTime = null;
     
+    // In build mode the action button places the selected structure
+    const construction = this.game.stageManager.currentScene.construction;
+    if (construction && construction.active) {
+      construction.placeStructure();
+      return;
+    }
+    
+    // A picked object has to be within reach like anything else
+    if (target && this.mesh.position.distanceTo(target.position) > INTERACTION_RADIUS) {
+      const now = Date.now();
+      if (!this._lastTooFarTime || now - this._lastTooFarTime > 3000) {
+        showDebugMessage.info("Too far away - move closer");
+        this._lastTooFarTime = now;
+      }
+      return;
+    }
+    
     // Find what we can interact with
-    const interactable = this._getInteractable();
+    const interactable = target ? this._getTargetInteractable(target) : this._getInteractable();
     const stage = this.game.state.stage;
     
     // No nearby interactable objects
@@ -312,6 +401,8 @@ export default class Player {
         const finalAmount = Math.round(amount * this.traits.resourceGain);
         
         this.game.state.resources += finalAmount;
+        this.game.audio.playPickup(resource.type);
+        this.restoreStamina(this.staminaProfile.collectRestore);
         this._showResourceCollectionFeedback(finalAmount, resource.mesh.position.clone());
         
         // Track resource collection for event system
@@ -386,9 +477,11 @@ export default class Player {
     feedbackEl.style.opacity = '1';
     feedbackEl.style.transform = 'translateY(0)';
     
-    // Animate upward and fade out
+    // Animate upward and fade out (fade only with reduced motion)
     setTimeout(() => {
-      feedbackEl.style.transform = 'translateY(-30px)';
+      if (!this.game.settings.get('reducedMotion')) {
+        feedbackEl.style.transform = 'translateY(-30px)';
+      }
       feedbackEl.style.opacity = '0';
     }, 50);
     
@@ -432,7 +525,8 @@ export default class Player {
     const bonuses = getRestartBonuses(
       this.evolutionType,
       restartData.restarts,
-      restartData.previousStage
+      restartData.previousStage,
+      restartData.lastFloodOutcome
     );
     
     // Apply bonuses to traits
@@ -473,6 +567,11 @@ export default class Player {
     // Create new mesh for evolved form
     this.createMesh();
     
+    // Carry event chains over into the new stage
+    if (this.game.eventSystem) {
+      this.game.eventSystem.onPlayerEvolved(nextStage);
+    }
+    
     // Show notification
     let evolutionMessage = '';
     if (nextStage === 'prehistoric') {
@@ -539,11 +638,65 @@ export default class Player {
     }
   }
   
+  /**
+   * Get serializable player state for saving
+   * @returns {Object} Player save data
+   */
+  getSaveData() {
+    return {
+      evolutionType: this.evolutionType,
+      traits: { ...this.traits },
+      philosophicalTraits: { ...this.philosophicalTraits },
+      willToLive: this.willToLive,
+      stamina: this.stamina,
+      exhausted: this.exhausted,
+      position: this.mesh ? {
+        x: this.mesh.position.x,
+        y: this.mesh.position.y,
+        z: this.mesh.position.z
+      } : null
+    };
+  }
+  
+  /**
+   * Restore player state from save data
+   * @param {Object} data - Player save data from getSaveData()
+   */
+  applySaveData(data) {
+    if (!data) return;
+    
+    if (data.traits) {
+      this.traits = { ...data.traits };
+    }
+    
+    if (data.philosophicalTraits) {
+      this.philosophicalTraits = { ...this.philosophicalTraits, ...data.philosophicalTraits };
+    }
+    
+    this.willToLive = !!data.willToLive;
+    
+    if (typeof data.stamina === 'number') {
+      this.stamina = Math.min(this.maxStamina, data.stamina);
+      this.exhausted = !!data.exhausted;
+    }
+    
+    // Rebuild mesh for restored traits and will-to-live state
+    this.createMesh();
+    
+    if (data.position) {
+      this.mesh.position.set(data.position.x, data.position.y, data.position.z);
+    }
+  }
+  
   /**
    * Configure player for stage
    * @param {string} stage - Current game stage
    */
   configureForStage(stage) {
+    // Every stage starts rested
+    this.stamina = this.maxStamina;
+    this.exhausted = false;
+    
     // Position player appropriately for each stage
     if (stage === 'primordial') {
       this.mesh.position.set(0, 0.5, 0);
@@ -565,6 +718,39 @@ export default class Player {
     }
   }
   
+  /**
+   * Rest on the scene's terrain and lean with its slope
+   * @private
+   */
+  _followGround() {
+    const scene = this.game.stageManager.currentScene;
+    if (!scene) return;
+    
+    const position = this.mesh.position;
+    const clearance = this._getRadius();
+    
+    // Awakened primordial entities drift gently above the soup
+    let hover = 0;
+    if (this.willToLive && this.game.state.stage === 'primordial') {
+      hover = 0.1 + 0.05 * Math.sin(Date.now() * 0.002);
+    }
+    
+    position.y = scene.getGroundHeight(position.x, position.z) + clearance + hover;
+    alignToGround(this.mesh, scene.getGroundNormal(position.x, position.z, this.groundNormal), GROUND_TILT);
+  }
+  
+  /**
+   * Current size of the entity's body (its bounding sphere, scaled)
+   * @private
+   * @returns {number} Radius in world units
+   */
+  _getRadius() {
+    if (!this.mesh.geometry.boundingSphere) {
+      this.mesh.geometry.computeBoundingSphere();
+    }
+    return this.mesh.geometry.boundingSphere.radius * this.mesh.scale.y;
+  }
+  
   /**
    * Update player each frame
    * @param {number} deltaTime - Time since last update
@@ -576,20 +762,16 @@ export default class Player {
         // Pre-will-to-live pulsing effect
         const pulseScale = 0.9 + (0.1 * Math.sin(Date.now() * 0.003));
         this.mesh.scale.set(pulseScale, pulseScale, pulseScale);
-        
-        // Ensure player is at correct base height
-        this.mesh.position.y = 0.5;
       } else {
-        // For stages other than primordial, height is managed in updateMovement
-        // We don't want to override that logic here
-        
         // Slightly more active movement in prehistoric
         if (this.game.state.stage === 'prehistoric') {
-          const rotateSpeed = 0.0005 * this.traits.speed;
+          const rotateSpeed = 0.00025 * this.traits.speed;
           this.mesh.rotation.y += rotateSpeed * deltaTime;
         }
       }
       
+      this._followGround();
+      
       // Consciousness effect (if applicable)
       if (this.philosophicalTraits.consciousness > 0.5) {
         const intensity = this.philosophicalTraits.consciousness * 0.7;
@@ -599,4 +781,24 @@ export default class Player {
       }
     }
   }
-} 
\ No newline at end of file
+  
+  /**
+   * Remove the entity's mesh and free its GPU resources
+   */
+  dispose() {
+    if (!this.mesh) return;
+    
+    if (this.mesh.parent) {
+      this.mesh.parent.remove(this.mesh);
+    }
+    
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this.mesh.children.forEach(child => {
+      if (child.isLight) {
+        child.dispose();
+      }
+    });
+    this.mesh = null;
+  }
+}
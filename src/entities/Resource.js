@@ -1,4 +1,120 @@
 import * as THREE from 'three';
+import { createGlowSprite, setGlowColor } from '../utils/Glow.js';
+
+// Look of each resource type (geometries are unit-sized and scaled per resource)
+const TYPE_VISUALS = {
+  energy: { // Primordial stage resource
+    createGeometry: () => new THREE.IcosahedronGeometry(1, 0),
+    color: 0x00ffaa,
+    emissive: 0x003322,
+    roughness: 0.4,
+    metalness: 0.3
+  },
+  material: { // Prehistoric stage resource
+    createGeometry: () => new THREE.OctahedronGeometry(1, 0),
+    color: 0xcc8855,
+    emissive: 0x221100,
+    roughness: 0.7,
+    metalness: 0.1
+  },
+  supply: { // Ordered world stage resource
+    createGeometry: () => new THREE.BoxGeometry(1, 1, 1),
+    color: 0x5588ff,
+    emissive: 0x112233,
+    roughness: 0.3,
+    metalness: 0.5
+  }
+};
+
+// Shared across all resources, so collecting and respawning never allocates GPU buffers
+const sharedGeometries = new Map(); // type -> geometry
+const sharedMaterials = new Map(); // "type:color" -> material
+const meshPool = new Map(); // type -> idle meshes
+
+// Halo diameter in world units at resting brightness (matches the old 1.5-unit point light)
+const HALO_SIZE = 1.2;
+
+/**
+ * Get the shared geometry for a resource type
+ * @param {string} type - Resource type
+ * @returns {THREE.BufferGeometry} Unit-sized geometry
+ */
+function getGeometry(type) {
+  if (!sharedGeometries.has(type)) {
+    sharedGeometries.set(type, TYPE_VISUALS[type].createGeometry());
+  }
+  return sharedGeometries.get(type);
+}
+
+/**
+ * Get the shared material for a resource type and color
+ * @param {string} type - Resource type
+ * @param {number} color - Base color
+ * @returns {THREE.Material} Material
+ */
+function getMaterial(type, color) {
+  const key = `${type}:${color}`;
+  if (!sharedMaterials.has(key)) {
+    const visuals = TYPE_VISUALS[type];
+    sharedMaterials.set(key, new THREE.MeshStandardMaterial({
+      color: color,
+      emissive: visuals.emissive,
+      roughness: visuals.roughness,
+      metalness: visuals.metalness
+    }));
+  }
+  return sharedMaterials.get(key);
+}
+
+/**
+ * Take an idle mesh from the pool or make a new one
+ * @param {string} type - Resource type
+ * @param {number} color - Base color
+ * @returns {THREE.Mesh} Mesh ready to be placed
+ */
+function acquireMesh(type, color) {
+  const pool = meshPool.get(type);
+  let mesh = pool && pool.length > 0 ? pool.pop() : null;
+  
+  if (!mesh) {
+    mesh = new THREE.Mesh(getGeometry(type));
+    mesh.add(createGlowSprite(color, 1));
+  }
+  
+  mesh.material = getMaterial(type, color);
+  setGlowColor(mesh.children[0], color);
+  mesh.rotation.set(0, 0, 0);
+  mesh.visible = true;
+  return mesh;
+}
+
+/**
+ * Return a mesh to the pool
+ * @param {string} type - Resource type
+ * @param {THREE.Mesh} mesh - Mesh to recycle
+ */
+function releaseMesh(type, mesh) {
+  if (mesh.parent) {
+    mesh.parent.remove(mesh);
+  }
+  
+  if (!meshPool.has(type)) {
+    meshPool.set(type, []);
+  }
+  meshPool.get(type).push(mesh);
+}
+
+/**
+ * Free the shared resource geometries and materials and empty the pool
+ * Only call once no resources are in use (e.g. when restarting the game).
+ */
+export function disposeResourceAssets() {
+  sharedGeometries.forEach(geometry => geometry.dispose());
+  sharedMaterials.forEach(material => material.dispose());
+  sharedGeometries.clear();
+  sharedMaterials.clear();
+  meshPool.clear();
+}
 
 /**
  * Resource entity that can be collected by the player
@@ -11,76 +127,50 @@ export default class Resource {
    * @param {Object} options - Additional options (size, value, color)
    */
   constructor(type, position, options = {}) {
-    this.type = type || 'energy'; // Default to energy
+    this.type = TYPE_VISUALS[type] ? type : 'energy'; // Default to energy
     this.value = options.value || 1;
     this.collected = false;
     this.mesh = null;
+    this.halo = null;
     this.createMesh(position, options);
   }
   
   /**
-   * Creates the 3D mesh for the resource
+   * Places a pooled mesh for the resource
    * @param {Object} position - Position to place resource
    * @param {Object} options - Visual options
    */
   createMesh(position, options = {}) {
-    let geometry, material;
     const size = options.size || 0.2;
+    this.color = options.color || TYPE_VISUALS[this.type].color;
     
-    // Different visuals based on resource type
-    switch(this.type) {
-      case 'energy': // Primordial stage resource
-        geometry = new THREE.IcosahedronGeometry(size, 0);
-        material = new THREE.MeshStandardMaterial({
-          color: options.color || 0x00ffaa,
-          emissive: 0x003322,
-          roughness: 0.4,
-          metalness: 0.3
-        });
-        break;
-        
-      case 'material': // Prehistoric stage resource
-        geometry = new THREE.OctahedronGeometry(size, 0);
-        material = new THREE.MeshStandardMaterial({
-          color: options.color || 0xcc8855,
-          emissive: 0x221100,
-          roughness: 0.7,
-          metalness: 0.1
-        });
-        break;
-        
-      case 'supply': // Ordered world stage resource
-        geometry = new THREE.BoxGeometry(size, size, size);
-        material = new THREE.MeshStandardMaterial({
-          color: options.color || 0x5588ff,
-          emissive: 0x112233,
-          roughness: 0.3,
-          metalness: 0.5
-        });
-        break;
-    }
-    
-    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh = acquireMesh(this.type, this.color);
+    this.mesh.scale.setScalar(size);
     
-    // Set position
-    if (position) {
-      this.mesh.position.set(
-        position.x || 0,
-        position.y || 0.3,
-        position.z || 0
-      );
-    }
+    // Additive halo instead of a point light; it inherits the mesh scale
+    this.halo = this.mesh.children[0];
+    this.haloScale = HALO_SIZE / size;
+    this._setGlow(1);
     
-    // Add small point light for glow effect
-    const light = new THREE.PointLight(material.color, 0.6, 1.5);
-    light.intensity = 0.6;
-    this.mesh.add(light);
+    // Set position (y is how high it floats above the ground)
+    const spot = position || {};
+    this.mesh.position.set(spot.x || 0, spot.y || 0.3, spot.z || 0);
+    this.hover = this.mesh.position.y;
     
     // Add identifier for raycasting
     this.mesh.userData.type = 'resource';
     this.mesh.userData.resourceId = this.id;
   }
   
+  /**
+   * Set halo brightness
+   * @private
+   * @param {number} strength - 1 = resting glow
+   */
+  _setGlow(strength) {
+    this.halo.scale.setScalar(this.haloScale * strength);
+  }
+  
   /**
    * Handle resource collection
    * @returns {number} Value of the collected resource
@@ -106,6 +196,9 @@ export default class Resource {
     const initialScale = this.mesh.scale.clone();
     
     const animate = () => {
+      // Disposed mid-animation (e.g. the stage ended)
+      if (!this.mesh) return;
+      
       const elapsed = (Date.now() - startTime) / 1000;
       const progress = Math.min(elapsed / duration, 1);
       
@@ -118,21 +211,13 @@ export default class Resource {
       );
       
       // Make it glow brighter as it disappears
-      if (this.mesh.children[0] && this.mesh.children[0].isLight) {
-        this.mesh.children[0].intensity = 0.6 + (progress * 1.4);
-      }
+      this._setGlow(1 + (progress * 2.3));
       
       if (progress < 1) {
         requestAnimationFrame(animate);
       } else {
-        // Remove from scene after animation
-        if (this.mesh.parent) {
-          this.mesh.parent.remove(this.mesh);
-        }
-        
-        // Dispose geometries and materials
-        this.mesh.geometry.dispose();
-        this.mesh.material.dispose();
+        // Hand the mesh back for the next resource
+        this.dispose();
       }
     };
     
@@ -142,53 +227,44 @@ export default class Resource {
   /**
    * Updates the resource each frame
    * @param {number} deltaTime - Time since last update
+   * @param {number} groundHeight - Height of the ground under the resource
    */
-  update(deltaTime) {
+  update(deltaTime, groundHeight = 0) {
     if (this.collected || !this.mesh) return;
     
     // Floating animation
-    this.mesh.position.y = this.mesh.position.y + (Math.sin(Date.now() * 0.003) * 0.0015);
+    this.mesh.position.y = groundHeight + this.hover + (Math.sin(Date.now() * 0.003) * 0.03);
     
     // Slow rotation
-    this.mesh.rotation.y += 0.01 * deltaTime;
+    this.mesh.rotation.y += 0.005 * deltaTime;
     
     // Type-specific effects
     switch(this.type) {
       case 'energy':
-        // Pulse light intensity
-        if (this.mesh.children[0] && this.mesh.children[0].isLight) {
-          this.mesh.children[0].intensity = 0.6 + (Math.sin(Date.now() * 0.005) * 0.2);
-        }
+        // Pulse the halo
+        this._setGlow(1 + (Math.sin(Date.now() * 0.005) * 0.33));
         break;
         
       case 'material':
         // Slight bobbing
-        this.mesh.position.y = this.mesh.position.y + (Math.sin(Date.now() * 0.001) * 0.001);
+        this.mesh.position.y += Math.sin(Date.now() * 0.001) * 0.03;
         break;
         
       case 'supply':
         // Organized rotation
-        this.mesh.rotation.x += 0.005 * deltaTime;
+        this.mesh.rotation.x += 0.0025 * deltaTime;
         break;
     }
   }
   
   /**
-   * Dispose of resource when no longer needed
+   * Return the mesh (and its halo) to the pool
    */
   dispose() {
     if (this.mesh) {
-      if (this.mesh.parent) {
-        this.mesh.parent.remove(this.mesh);
-      }
-      
-      if (this.mesh.geometry) {
-        this.mesh.geometry.dispose();
-      }
-      
-      if (this.mesh.material) {
-        this.mesh.material.dispose();
-      }
+      releaseMesh(this.type, this.mesh);
+      this.mesh = null;
+      this.halo = null;
     }
   }
 }
@@ -198,14 +274,17 @@ export default class Resource {
  * @param {string} stage - Current game stage
  * @param {Object} position - Position for the resource
  * @param {Object} options - Additional options
+ * @param {SeededRandom} random - Random stream for size variation (defaults to Math.random)
  * @returns {Resource} - Appropriate resource for stage
  */
-export function createResourceForStage(stage, position, options = {}) {
+export function createResourceForStage(stage, position, options = {}, random = null) {
+  const roll = random ? random.next() : Math.random();
+  
   switch(stage) {
     case 'primordial':
       return new Resource('energy', position, {
         color: 0x00ffaa,
-        size: 0.15 + (Math.random() * 0.1),
+        size: 0.15 + (roll * 0.1),
         value: 1,
         ...options
       });
@@ -213,7 +292,7 @@ export function createResourceForStage(stage, position, options = {}) {
     case 'prehistoric':
       return new Resource('material', position, {
         color: 0xcc8855,
-        size: 0.2 + (Math.random() * 0.15),
+        size: 0.2 + (roll * 0.15),
         value: 1,
         ...options
       });
@@ -221,7 +300,7 @@ export function createResourceForStage(stage, position, options = {}) {
     case 'ordered':
       return new Resource('supply', position, {
         color: 0x5588ff,
-        size: 0.25 + (Math.random() * 0.15),
+        size: 0.25 + (roll * 0.15),
         value: 1,
         ...options
       });
@@ -0,0 +1,151 @@
+import * as THREE from 'three';
+
+/**
+ * Flood defenses the player can build in the ordered world
+ * Footprints are in build grid cells (see Construction.GRID_SIZE), before rotation.
+ */
+export const structureTypes = {
+  wall: {
+    name: 'Wall',
+    cost: 2,
+    buildTime: 6000, // Simulation ms at normal build speed
+    footprint: { width: 1, depth: 1 },
+    height: 1.4,
+    defense: 2,
+    color: 0x999999
+  },
+  levee: {
+    name: 'Levee',
+    cost: 4,
+    buildTime: 10000,
+    footprint: { width: 2, depth: 1 },
+    height: 0.9,
+    defense: 5,
+    color: 0x8b7355
+  },
+  ark: {
+    name: 'Ark',
+    cost: 15,
+    buildTime: 30000,
+    footprint: { width: 4, depth: 2 },
+    height: 2.0,
+    defense: 0, // Doesn't hold water back; carries a village's people to safety
+    unique: true,
+    color: 0x7a4a24
+  }
+};
+
+/**
+ * A placed structure that rises as construction progresses
+ */
+export default class Structure {
+  /**
+   * Initialize a structure
+   * @param {string} type - Key into structureTypes
+   * @param {Object} placement - Grid placement {cellX, cellZ, rotated}
+   * @param {THREE.Vector3} position - World position of the footprint center
+   * @param {Object} size - World size of the unrotated footprint {width, depth}
+   */
+  constructor(type, placement, position, size) {
+    this.type = type;
+    this.config = structureTypes[type];
+    this.cellX = placement.cellX;
+    this.cellZ = placement.cellZ;
+    this.rotated = placement.rotated;
+    this.progress = 0; // 0-1
+    this.village = null; // Village this structure defends (set by Construction)
+    
+    this._createMesh(position, size);
+    this._updateMesh();
+  }
+  
+  /**
+   * Create the structure mesh
+   * @private
+   * @param {THREE.Vector3} position - World position of the footprint center
+   * @param {Object} size - World size of the unrotated footprint {width, depth}
+   */
+  _createMesh(position, size) {
+    // Base sits on the ground so scaling y raises it from the bottom
+    const geometry = new THREE.BoxGeometry(size.width * 0.95, this.config.height, size.depth * 0.95);
+    geometry.translate(0, this.config.height / 2, 0);
+    
+    const material = new THREE.MeshStandardMaterial({
+      color: this.config.color,
+      roughness: 0.9,
+      transparent: true,
+      opacity: 0.5
+    });
+    
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.position.copy(position);
+    this.mesh.castShadow = true;
+    this.mesh.receiveShadow = true;
+    
+    // Geometry is built along the unrotated footprint; turn it to match the grid cells
+    if (this.rotated) {
+      this.mesh.rotation.y = Math.PI / 2;
+    }
+  }
+  
+  /**
+   * Whether construction has finished
+   * @returns {boolean} Whether the structure is complete
+   */
+  isComplete() {
+    return this.progress >= 1;
+  }
+  
+  /**
+   * Advance construction
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   * @param {number} rate - Build speed multiplier
+   * @returns {boolean} Whether the structure was completed this step
+   */
+  update(deltaTime, rate = 1) {
+    if (this.isComplete()) return false;
+    
+    this.progress = Math.min(1, this.progress + (deltaTime * rate) / this.config.buildTime);
+    this._updateMesh();
+    
+    return this.isComplete();
+  }
+  
+  /**
+   * Raise the mesh with progress and make it solid once finished
+   * @private
+   */
+  _updateMesh() {
+    this.mesh.scale.y = 0.1 + this.progress * 0.9;
+    
+    if (this.isComplete()) {
+      this.mesh.material.transparent = false;
+      this.mesh.material.opacity = 1;
+    }
+  }
+  
+  /**
+   * Get serializable structure state for saving
+   * @returns {Object} Structure save data
+   */
+  getSaveData() {
+    return {
+      type: this.type,
+      cellX: this.cellX,
+      cellZ: this.cellZ,
+      rotated: this.rotated,
+      progress: this.progress
+    };
+  }
+  
+  /**
+   * Clean up structure resources
+   */
+  dispose() {
+    if (this.mesh.parent) {
+      this.mesh.parent.remove(this.mesh);
+    }
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+}
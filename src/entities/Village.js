@@ -0,0 +1,185 @@
+/**
+ * Village simulation for the ordered world
+ */
+
+// Simulated time between village updates (ms)
+export const VILLAGE_TICK = 5000;
+
+// Stores eaten and gathered per person each tick
+const CONSUMPTION_PER_PERSON = 0.03;
+const PRODUCTION_PER_PERSON = 0.025;
+
+// How many ticks of food a village wants in reserve before growing or building
+const GROWTH_RESERVE_TICKS = 6;
+const BUILD_RESERVE_TICKS = 10;
+
+// People per house (houses are shown or hidden to match population)
+const PEOPLE_PER_HOUSE = 2;
+
+export default class Village {
+  /**
+   * Initialize a village
+   * @param {Object} location - Village location {x, z, radius}
+   * @param {number} index - Village index (also its id)
+   * @param {Object} structures - Meshes from Ordered._createVillageStructures ({group, houses})
+   */
+  constructor(location, index, structures) {
+    this.id = index;
+    this.x = location.x;
+    this.z = location.z;
+    this.radius = location.radius;
+    
+    this.group = structures.group;
+    this.houses = structures.houses;
+    
+    this.cooperation = 0.5; // Willingness to work with other villages
+    this.trust = 0.5; // Trust toward the player
+    this.resources = 5 + index * 2; // Starting stores
+    this.defense = 0; // Defense against flood
+    this.consciousness = index === 2 ? 0.8 : 0.5; // Last village has higher consciousness
+    
+    this.population = this.houses.length * PEOPLE_PER_HOUSE;
+    this.maxPopulation = this.houses.length * 3;
+    
+    // Fractional progress toward gaining or losing a villager
+    this.populationProgress = 0;
+    this.tickTimer = 0;
+  }
+  
+  /**
+   * Stores eaten each tick at the current population
+   * @returns {number} Consumption per tick
+   */
+  getConsumption() {
+    return this.population * CONSUMPTION_PER_PERSON;
+  }
+  
+  /**
+   * Whether the village can't feed everyone next tick
+   * @returns {boolean} Whether the village is starving
+   */
+  isStarving() {
+    return this.resources < this.getConsumption();
+  }
+  
+  /**
+   * Stores above what the village wants in reserve (negative when short)
+   * @returns {number} Surplus stores
+   */
+  getSurplus() {
+    return this.resources - this.getConsumption() * GROWTH_RESERVE_TICKS;
+  }
+  
+  /**
+   * Flood defense this village needs to hold back the water (bigger villages need more)
+   * @returns {number} Required defense
+   */
+  getRequiredDefense() {
+    return Math.ceil(this.radius * 1.5);
+  }
+  
+  /**
+   * Adjust trust toward the player
+   * @param {number} amount - Trust change
+   */
+  changeTrust(amount) {
+    this.trust = Math.max(0, Math.min(1, this.trust + amount));
+  }
+  
+  /**
+   * Advance the village simulation
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   * @returns {boolean} Whether a village tick ran this step
+   */
+  update(deltaTime) {
+    this.tickTimer += deltaTime;
+    if (this.tickTimer < VILLAGE_TICK) return false;
+    
+    this.tickTimer -= VILLAGE_TICK;
+    this.tick();
+    return true;
+  }
+  
+  /**
+   * One village "day": gather, eat, grow or shrink, and build
+   */
+  tick() {
+    const consumption = this.getConsumption();
+    
+    // More conscious villages organize their gathering better
+    const production = this.population * PRODUCTION_PER_PERSON * (0.6 + this.consciousness * 0.6);
+    this.resources += production;
+    
+    if (this.resources >= consumption) {
+      this.resources -= consumption;
+      
+      // Well-fed villages slowly grow
+      if (this.resources > consumption * GROWTH_RESERVE_TICKS && this.population < this.maxPopulation) {
+        this.populationProgress += 0.2;
+      }
+    } else {
+      // Not enough to go around: people leave and tempers fray
+      this.resources = 0;
+      this.populationProgress -= 0.5;
+      this.cooperation = Math.max(0, this.cooperation - 0.02);
+    }
+    
+    if (this.populationProgress >= 1) {
+      this.population++;
+      this.populationProgress = 0;
+    } else if (this.populationProgress <= -1) {
+      this.population = Math.max(PEOPLE_PER_HOUSE, this.population - 1);
+      this.populationProgress = 0;
+    }
+    
+    // Villages with plenty spare invest in their own flood defenses
+    if (this.resources > consumption * BUILD_RESERVE_TICKS) {
+      this.resources -= 1;
+      this.defense += 0.5;
+    }
+    
+    this._updateHouses();
+  }
+  
+  /**
+   * Show only as many houses as the population fills
+   * @private
+   */
+  _updateHouses() {
+    const occupied = Math.ceil(this.population / PEOPLE_PER_HOUSE);
+    this.houses.forEach((house, index) => {
+      house.visible = index < occupied;
+    });
+  }
+  
+  /**
+   * Get serializable village state for saving
+   * @returns {Object} Village save data
+   */
+  getSaveData() {
+    return {
+      id: this.id,
+      cooperation: this.cooperation,
+      trust: this.trust,
+      resources: this.resources,
+      defense: this.defense,
+      population: this.population
+    };
+  }
+  
+  /**
+   * Restore village state from save data
+   * @param {Object} data - Village save data from getSaveData()
+   */
+  applySaveData(data) {
+    this.cooperation = data.cooperation;
+    this.resources = data.resources;
+    this.defense = data.defense;
+    
+    // Older saves predate trust and population
+    if (typeof data.trust === 'number') this.trust = data.trust;
+    if (typeof data.population === 'number') this.population = data.population;
+    
+    this._updateHouses();
+  }
+}
@@ -1,5 +1,24 @@
 import * as THREE from 'three';
 import { createResourceForStage } from '../entities/Resource.js';
+import Village from '../entities/Village.js';
+import VillageDialogue from '../ui/VillageDialogue.js';
+import Construction from '../core/Construction.js';
+import BuildMenu from '../ui/BuildMenu.js';
+import showDebugMessage from '../utils/DebugHelper.js';
+import Heightfield from '../utils/Heightfield.js';
+import Collision from '../core/Collision.js';
+import SpatialIndex from '../utils/SpatialIndex.js';
+import LightBudget from '../utils/LightBudget.js';
+import InstancedScenery from '../utils/InstancedScenery.js';
+
+// Simulated time between trade rounds (ms)
+const TRADE_INTERVAL = 12000;
+
+// Villages below this cooperation won't send caravans
+const TRADE_MIN_COOPERATION = 0.35;
+
+// Caravan travel speed (units per second)
+const CARAVAN_SPEED = 3;
 
 /**
  * Third stage: Ordered World scene
@@ -13,21 +32,39 @@ export default class Ordered {
   constructor(game, config) {
     this.game = game;
     this.config = config;
+    
+    // Trees, houses, paths and supplies come from the run seed
+    this.random = game.createStageRandom('ordered');
     this.resources = [];
+    this.timeouts = new Set(); // Pending resource respawns, cancelled on dispose
     this.villages = [];
+    this.caravans = [];
+    this.tradeTimer = 0;
     this.floodWarningActive = false;
+    this.villageDialogue = new VillageDialogue(game);
+    this.collision = new Collision();
+    this.resourceIndex = new SpatialIndex();
+    this.treeIndex = new SpatialIndex();
+    this.sceneryRandom = this.random.fork('scenery'); // Tints, kept off the main stream
+    this.scenery = new InstancedScenery(); // Trunks and foliage, one draw call per type
+    this.quality = game.quality.getSettings(); // Tier the scene is built for
     
     this.scene = new THREE.Scene();
+    this.lightBudget = new LightBudget(this.scene, this.quality.pointLights - 1); // Player light counts against the cap
     this.scene.background = new THREE.Color(0x5588cc);
     
     // Clear visibility with minimal fog
-    this.scene.fog = new THREE.FogExp2(config.fogColor, config.fogDensity);
+    this.scene.fog = new THREE.FogExp2(config.fogColor, config.fogDensity * this.quality.fogScale);
     
     this._setupLights();
     this._setupEnvironment();
     this._spawnResources();
     this._createVillages();
     
+    // Build mode for walls, levees and the ark
+    this.construction = new Construction(this);
+    this.buildMenu = new BuildMenu(game, this.construction);
+    
     // Add player to scene
     if (this.game.state.player && this.game.state.player.mesh) {
       this.scene.add(this.game.state.player.mesh);
@@ -49,8 +86,8 @@ export default class Ordered {
     directional.castShadow = true;
     
     // Shadow settings for mobile optimization
-    directional.shadow.mapSize.width = 1024;
-    directional.shadow.mapSize.height = 1024;
+    directional.shadow.mapSize.width = this.quality.shadowMapSize;
+    directional.shadow.mapSize.height = this.quality.shadowMapSize;
     directional.shadow.camera.near = 1;
     directional.shadow.camera.far = 50;
     directional.shadow.camera.left = -20;
@@ -112,8 +149,9 @@ export default class Ordered {
       let villageBlend = 1.0;
       
       for (const village of villageLocations) {
+        // Plane y becomes world -z once the terrain is laid flat
         const dx = vertex.x - village.x;
-        const dy = vertex.y - village.z;
+        const dy = -vertex.y - village.z;
         const distSq = dx * dx + dy * dy;
         
         if (distSq < village.radius * village.radius) {
@@ -153,6 +191,7 @@ export default class Ordered {
     this.terrain.rotation.x = -Math.PI / 2;
     this.terrain.receiveShadow = true;
     this.scene.add(this.terrain);
+    this.heightfield = new Heightfield(this.terrain);
     
     // Store village locations for later use
     this.villageLocations = [
@@ -171,10 +210,28 @@ export default class Ordered {
     const treeCount = 40;
     this.trees = [];
     
+    // Unit-tall parts with their base at the origin, stretched to each tree's size
+    const trunkGeometry = new THREE.CylinderGeometry(0.2, 0.3, 1, 8);
+    trunkGeometry.translate(0, 0.5, 0);
+    this.scenery.define('trunk',
+      trunkGeometry,
+      new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.9 }),
+      { castShadow: true, receiveShadow: true }
+    );
+    
+    // Foliage (cone for simplicity)
+    const foliageGeometry = new THREE.ConeGeometry(1.0, 1, 8);
+    foliageGeometry.translate(0, 0.5, 0);
+    this.scenery.define('foliage',
+      foliageGeometry,
+      new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.8 }),
+      { castShadow: true, receiveShadow: true }
+    );
+    
     for (let i = 0; i < treeCount; i++) {
       // Create random position
-      const x = (Math.random() - 0.5) * 90;
-      const z = (Math.random() - 0.5) * 90;
+      const x = (this.random.next() - 0.5) * 90;
+      const z = (this.random.next() - 0.5) * 90;
       
       // Skip if inside a village area
       let inVillage = false;
@@ -192,53 +249,55 @@ export default class Ordered {
         continue;
       }
       
-      // Create tree
-      const tree = this._createTree(x, z);
+      const trunkHeight = 1.0 + this.random.next() * 0.5;
+      const foliageHeight = 2.0 + this.random.next() * 1.0;
+      
+      // Lower tiers draw fewer trees, but every tree still blocks walking and building,
+      // so the layout doesn't depend on the graphics tier
+      const drawn = this.sceneryRandom.next() < this.quality.sceneryDensity;
+      
+      // Create tree (only drawn ones block the camera's view)
+      const tree = this._createTree(x, z, trunkHeight, foliageHeight, drawn);
       this.trees.push(tree);
-      this.scene.add(tree);
+      this.collision.addCircle(x, z, 0.4, { top: drawn ? tree.position.y + trunkHeight - 0.2 + foliageHeight : null });
+      this.treeIndex.add(tree, tree.position);
     }
+    
+    this.scenery.build(this.scene);
   }
   
   /**
-   * Create a single tree
+   * Add a single tree to the scenery batches
    * @private
    * @param {number} x - X position
    * @param {number} z - Z position
-   * @returns {THREE.Group} - Tree object
+   * @param {number} trunkHeight - Trunk height
+   * @param {number} foliageHeight - Foliage cone height
+   * @param {boolean} drawn - Whether the tree is drawn (lower tiers skip some)
+   * @returns {Object} - Tree record ({position})
    */
-  _createTree(x, z) {
-    const tree = new THREE.Group();
+  _createTree(x, z, trunkHeight, foliageHeight, drawn = true) {
+    const ground = this.getGroundHeight(x, z);
+    if (!drawn) {
+      return { position: new THREE.Vector3(x, ground, z) };
+    }
     
     // Trunk
-    const trunkHeight = 1.0 + Math.random() * 0.5;
-    const trunkGeometry = new THREE.CylinderGeometry(0.2, 0.3, trunkHeight, 8);
-    const trunkMaterial = new THREE.MeshStandardMaterial({
-      color: 0x8B4513, // Brown
-      roughness: 0.9
+    this.scenery.add('trunk', {
+      position: { x, y: ground, z },
+      scale: { x: 1, y: trunkHeight, z: 1 },
+      color: 0x8B4513 // Brown
     });
-    const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-    trunk.position.y = trunkHeight / 2;
-    trunk.castShadow = true;
-    trunk.receiveShadow = true;
-    tree.add(trunk);
     
-    // Foliage (cone for simplicity)
-    const foliageHeight = 2.0 + Math.random() * 1.0;
-    const foliageGeometry = new THREE.ConeGeometry(1.0, foliageHeight, 8);
-    const foliageMaterial = new THREE.MeshStandardMaterial({
-      color: 0x228833,
-      roughness: 0.8
+    // Foliage sits just over the top of the trunk
+    this.scenery.add('foliage', {
+      position: { x, y: ground + trunkHeight - 0.2, z },
+      scale: { x: 1, y: foliageHeight, z: 1 },
+      color: new THREE.Color(0x228833).offsetHSL((this.sceneryRandom.next() - 0.5) * 0.06, 0, 0)
     });
-    const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
-    foliage.position.y = trunkHeight + foliageHeight / 2 - 0.2;
-    foliage.castShadow = true;
-    foliage.receiveShadow = true;
-    tree.add(foliage);
-    
-    // Position the tree
-    tree.position.set(x, 0, z);
     
-    return tree;
+    // The scene only needs to know where the tree stands
+    return { position: new THREE.Vector3(x, ground, z) };
   }
   
   /**
@@ -261,6 +320,16 @@ export default class Ordered {
     ];
     
     const riverCurve = new THREE.CatmullRomCurve3(riverPoints);
+    
+    // Kept for build placement checks
+    this.riverCurve = riverCurve;
+    this.riverWidth = riverWidth;
+    
+    // Wading through the river is slow
+    riverCurve.getSpacedPoints(40).forEach(point => {
+      this.collision.addCircle(point.x, point.z, riverWidth, { solid: false, speed: 0.5 });
+    });
+    
     const riverGeometry = new THREE.TubeGeometry(riverCurve, 64, riverWidth, 8, false);
     
     const riverMaterial = new THREE.MeshStandardMaterial({
@@ -281,8 +350,9 @@ export default class Ordered {
    * @private
    */
   _createPaths() {
-    // Create paths between villages
+    // Create paths between villages (curves are kept for trade caravans)
     this.paths = new THREE.Group();
+    this.pathCurves = [];
     
     // For each pair of villages, create a path
     for (let i = 0; i < this.villageLocations.length; i++) {
@@ -300,8 +370,8 @@ export default class Ordered {
         
         // Add slight curve to path
         const control = midPoint.clone();
-        control.x += (Math.random() - 0.5) * 10;
-        control.z += (Math.random() - 0.5) * 10;
+        control.x += (this.random.next() - 0.5) * 10;
+        control.z += (this.random.next() - 0.5) * 10;
         
         const pathPoints = [
           start,
@@ -321,6 +391,8 @@ export default class Ordered {
         const path = new THREE.Mesh(pathGeometry, pathMaterial);
         path.receiveShadow = true;
         this.paths.add(path);
+        
+        this.pathCurves.push({ from: i, to: j, curve: pathCurve, length: pathCurve.getLength() });
       }
     }
     
@@ -367,6 +439,7 @@ export default class Ordered {
     
     // Store for collision detection
     this.boundaries = [northWall, southWall, eastWall, westWall];
+    this.boundaries.forEach(wall => this.collision.addBoxFromObject(wall));
   }
   
   /**
@@ -376,19 +449,10 @@ export default class Ordered {
   _createVillages() {
     // Create visual representation for each village
     this.villageData = this.villageLocations.map((location, index) => {
-      const village = this._createVillageStructures(location.x, location.z, location.radius, index);
-      this.scene.add(village.group);
+      const structures = this._createVillageStructures(location.x, location.z, location.radius, index);
+      this.scene.add(structures.group);
       
-      return {
-        ...location,
-        group: village.group,
-        houses: village.houses,
-        cooperation: 0.5, // Initial cooperation level
-        resources: 5 + index * 2, // Starting resources
-        defense: 0, // Defense against flood
-        consciousness: index === 2 ? 0.8 : 0.5, // Last village has higher consciousness
-        id: index
-      };
+      return new Village(location, index, structures);
     });
   }
   
@@ -432,9 +496,9 @@ export default class Ordered {
       ];
       
       // Base/Walls
-      const width = 1.0 + Math.random() * 0.5;
-      const depth = 1.0 + Math.random() * 0.5;
-      const height = 0.8 + Math.random() * 0.4;
+      const width = 1.0 + this.random.next() * 0.5;
+      const depth = 1.0 + this.random.next() * 0.5;
+      const height = 0.8 + this.random.next() * 0.4;
       
       const baseGeometry = new THREE.BoxGeometry(width, height, depth);
       const baseMaterial = new THREE.MeshStandardMaterial({
@@ -473,10 +537,14 @@ export default class Ordered {
       house.position.set(houseX, 0, houseZ);
       
       // Random rotation
-      house.rotation.y = Math.random() * Math.PI * 2;
+      house.rotation.y = this.random.next() * Math.PI * 2;
       
       houses.push(house);
       villageGroup.add(house);
+      this.collision.addCircle(x + houseX, z + houseZ, Math.max(width, depth) * 0.6, {
+        object: house,
+        top: height + roofHeight
+      });
     }
     
     // Create central structure - simple placeholder
@@ -490,6 +558,7 @@ export default class Ordered {
     centerStructure.castShadow = true;
     centerStructure.receiveShadow = true;
     villageGroup.add(centerStructure);
+    this.collision.addCircle(x, z, 1.5, { top: 2 });
     
     return { group: villageGroup, houses };
   }
@@ -508,8 +577,8 @@ export default class Ordered {
       let validPosition = false;
       
       while (!validPosition) {
-        x = (Math.random() - 0.5) * 90;
-        z = (Math.random() - 0.5) * 90;
+        x = (this.random.next() - 0.5) * 90;
+        z = (this.random.next() - 0.5) * 90;
         
         // Check if inside a village
         let inVillage = false;
@@ -532,16 +601,45 @@ export default class Ordered {
       
       const position = {
         x: x,
-        y: 0.3 + Math.random() * 0.5, // Above ground
+        y: 0.3 + this.random.next() * 0.5, // Above ground
         z: z
       };
       
-      const resource = createResourceForStage('ordered', position);
-      this.resources.push(resource);
-      this.scene.add(resource.mesh);
+      const resource = createResourceForStage('ordered', position, {}, this.random);
+      this._addResource(resource);
     }
   }
   
+  /**
+   * Ground height under a point
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @returns {number} Ground height
+   */
+  getGroundHeight(x, z) {
+    return this.heightfield.getHeight(x, z);
+  }
+  
+  /**
+   * Ground slope under a point
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @param {THREE.Vector3} target - Optional vector to write the result to
+   * @returns {THREE.Vector3} Unit surface normal
+   */
+  getGroundNormal(x, z, target) {
+    return this.heightfield.getNormal(x, z, target);
+  }
+  
+  /**
+   * How much the terrain slows movement at a position (wading through the river)
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {number} Speed multiplier (1 = unaffected)
+   */
+  getSpeedMultiplier(position) {
+    return this.collision.getSpeedMultiplier(position.x, position.z);
+  }
+  
   /**
    * Get nearby resources for collection
    * @param {THREE.Vector3} position - Position to check from
@@ -549,18 +647,19 @@ export default class Ordered {
    * @returns {Array} - Array of nearby resources
    */
   getNearbyResources(position, radius) {
-    // Filter resources by distance
-    return this.resources.filter(resource => {
-      if (resource.collected || !resource.mesh) return false;
-      
-      const distance = position.distanceTo(resource.mesh.position);
-      return distance < radius;
-    }).sort((a, b) => {
-      // Sort by closest first
-      const distA = position.distanceTo(a.mesh.position);
-      const distB = position.distanceTo(b.mesh.position);
-      return distA - distB;
-    });
+    // Closest first
+    return this.resourceIndex.findNearby(position, radius, resource => !resource.collected);
+  }
+  
+  /**
+   * Add a resource to the scene and the proximity index
+   * @private
+   * @param {Object} resource - Resource to add
+   */
+  _addResource(resource) {
+    this.resources.push(resource);
+    this.resourceIndex.add(resource, resource.mesh.position);
+    this.scene.add(resource.mesh);
   }
   
   /**
@@ -570,16 +669,17 @@ export default class Ordered {
    */
   collectResource(resource) {
     const value = resource.collect();
+    this.resourceIndex.remove(resource);
     
     // Remove from managed resources after animation completes
-    setTimeout(() => {
+    this._schedule(() => {
       const index = this.resources.indexOf(resource);
       if (index !== -1) {
         this.resources.splice(index, 1);
       }
       
       // Spawn a new resource to replace it
-      if (Math.random() < 0.6) {
+      if (this.random.next() < 0.6) {
         this._spawnReplacementResource();
       }
     }, 1000);
@@ -587,6 +687,20 @@ export default class Ordered {
     return value;
   }
   
+  /**
+   * Run a callback later unless the scene is disposed first
+   * @param {Function} callback - Callback to run
+   * @param {number} delay - Delay in milliseconds
+   * @private
+   */
+  _schedule(callback, delay) {
+    const id = setTimeout(() => {
+      this.timeouts.delete(id);
+      callback();
+    }, delay);
+    this.timeouts.add(id);
+  }
+  
   /**
    * Spawn a replacement resource
    * @private
@@ -597,8 +711,8 @@ export default class Ordered {
     let validPosition = false;
     
     while (!validPosition) {
-      x = (Math.random() - 0.5) * 90;
-      z = (Math.random() - 0.5) * 90;
+      x = (this.random.next() - 0.5) * 90;
+      z = (this.random.next() - 0.5) * 90;
       
       // Check if inside a village
       let inVillage = false;
@@ -620,13 +734,12 @@ export default class Ordered {
     
     const position = {
       x: x,
-      y: 0.3 + Math.random() * 0.5,
+      y: 0.3 + this.random.next() * 0.5,
       z: z
     };
     
-    const resource = createResourceForStage('ordered', position);
-    this.resources.push(resource);
-    this.scene.add(resource.mesh);
+    const resource = createResourceForStage('ordered', position, {}, this.random);
+    this._addResource(resource);
   }
   
   /**
@@ -650,32 +763,38 @@ export default class Ordered {
   playerInteractWithVillage(position, traits, philosophicalTraits) {
     // Check if player is in a village
     const village = this._getVillageAtPosition(position);
+    if (!village) return false;
     
-    if (village) {
-      // Simple interaction - contribute resources to village defense
-      if (this.game.state.resources > 0) {
-        // Apply cooperation trait and philosophical traits
-        const cooperationBonus = traits.villageInfluence || 1.0;
-        const compassionBonus = philosophicalTraits.compassion || 0.5;
-        
-        // Calculate total bonus
-        const totalBonus = 1.0 + (cooperationBonus - 1.0) + (compassionBonus - 0.5);
-        
-        // Transfer resources (player loses 1, village gains more based on traits)
-        this.game.state.resources -= 1;
-        village.defense += 1 * totalBonus;
-        
-        // Show notification
-        this.game.hud.showEvolutionNotification(
-          'Village Cooperation',
-          `Shared resources with Village ${village.id + 1}. Defense now ${Math.floor(village.defense)}`
-        );
-        
-        return true;
-      }
-    }
+    // Options, costs and trait bonuses live in the village dialogue
+    return this.villageDialogue.open(village);
+  }
+  
+  /**
+   * Get serializable village state for saving
+   * @returns {Object} Scene save data
+   */
+  getSaveData() {
+    return {
+      villages: this.villageData.map(village => village.getSaveData()),
+      structures: this.construction.getSaveData()
+    };
+  }
+  
+  /**
+   * Restore village state from save data
+   * @param {Object} data - Scene save data from getSaveData()
+   */
+  applySaveData(data) {
+    if (!data || !Array.isArray(data.villages)) return;
     
-    return false;
+    data.villages.forEach(saved => {
+      const village = this.villageData.find(v => v.id === saved.id);
+      if (!village) return;
+      
+      village.applySaveData(saved);
+    });
+    
+    this.construction.applySaveData(data.structures);
   }
   
   /**
@@ -705,13 +824,161 @@ export default class Ordered {
   update(deltaTime) {
     // Update resources
     this.resources.forEach(resource => {
-      resource.update(deltaTime);
+      if (resource.collected || !resource.mesh) return;
+      resource.update(deltaTime, this.getGroundHeight(resource.mesh.position.x, resource.mesh.position.z));
     });
     
+    // Lend the shared lights to the effects nearest the player
+    const player = this.game.state.player;
+    this.lightBudget.update(deltaTime, player && player.mesh ? player.mesh.position : null);
+    
+    this._updateVillages(deltaTime);
+    this._updateTrade(deltaTime);
+    this._updateCaravans(deltaTime);
+    
+    this.construction.update(deltaTime);
+    this.buildMenu.update();
+    
     // Check for collision with boundaries
     this._checkBoundaryCollision();
   }
   
+  /**
+   * Tick village simulations and queue events when a village crosses a threshold
+   * @private
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   */
+  _updateVillages(deltaTime) {
+    this.villageData.forEach(village => {
+      if (!village.update(deltaTime)) return;
+      
+      if (village.isStarving()) {
+        this._scheduleVillageEvent('village_famine', village);
+      }
+      if (village.trust >= 0.8) {
+        this._scheduleVillageEvent('village_celebration', village);
+      } else if (village.trust <= 0.2) {
+        this._scheduleVillageEvent('village_unrest', village);
+      }
+    });
+  }
+  
+  /**
+   * Queue a village event to play the next time the player visits, once per village
+   * @private
+   * @param {string} eventId - Follow-up event id from ordered.json
+   * @param {Village} village - Village the event is about
+   */
+  _scheduleVillageEvent(eventId, village) {
+    const events = this.game.eventSystem;
+    const flag = `${eventId}_${village.id}`;
+    if (events.flags[flag]) return;
+    
+    events.flags[flag] = true;
+    events.scheduleEvent({ event: eventId, stage: 'ordered', at: { village: village.id } });
+  }
+  
+  /**
+   * Periodically send caravans from villages with surplus to villages that are short
+   * @private
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   */
+  _updateTrade(deltaTime) {
+    this.tradeTimer += deltaTime;
+    if (this.tradeTimer < TRADE_INTERVAL) return;
+    this.tradeTimer -= TRADE_INTERVAL;
+    
+    this.pathCurves.forEach(path => {
+      // One caravan per path at a time
+      if (this.caravans.some(caravan => caravan.path === path)) return;
+      
+      const a = this.villageData[path.from];
+      const b = this.villageData[path.to];
+      if (a.cooperation < TRADE_MIN_COOPERATION || b.cooperation < TRADE_MIN_COOPERATION) return;
+      
+      const [supplier, receiver] = a.getSurplus() >= b.getSurplus() ? [a, b] : [b, a];
+      if (supplier.getSurplus() <= 1 || receiver.getSurplus() >= 0) return;
+      
+      // More cooperative villages part with more of their surplus
+      const amount = Math.min(supplier.getSurplus(), 3) * ((a.cooperation + b.cooperation) / 2);
+      supplier.resources -= amount;
+      this._spawnCaravan(path, supplier, receiver, amount);
+    });
+  }
+  
+  /**
+   * Create a caravan travelling along a path
+   * @private
+   * @param {Object} path - Entry from this.pathCurves
+   * @param {Village} supplier - Sending village
+   * @param {Village} receiver - Receiving village
+   * @param {number} amount - Stores carried
+   */
+  _spawnCaravan(path, supplier, receiver, amount) {
+    const cartGeometry = new THREE.BoxGeometry(0.8, 0.5, 1.2);
+    const cartMaterial = new THREE.MeshStandardMaterial({
+      color: 0x996633,
+      roughness: 0.9
+    });
+    
+    const mesh = new THREE.Mesh(cartGeometry, cartMaterial);
+    mesh.castShadow = true;
+    this.scene.add(mesh);
+    
+    this.caravans.push({
+      mesh,
+      path,
+      receiver,
+      supplier,
+      amount,
+      // Paths run from the lower village index to the higher one
+      reverse: supplier.id !== path.from,
+      progress: 0
+    });
+  }
+  
+  /**
+   * Move caravans along their paths and deliver goods on arrival
+   * @private
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   */
+  _updateCaravans(deltaTime) {
+    for (let i = this.caravans.length - 1; i >= 0; i--) {
+      const caravan = this.caravans[i];
+      caravan.progress += (CARAVAN_SPEED * deltaTime / 1000) / caravan.path.length;
+      
+      if (caravan.progress >= 1) {
+        caravan.receiver.resources += caravan.amount;
+        caravan.receiver.cooperation = Math.min(1, caravan.receiver.cooperation + 0.02);
+        caravan.supplier.cooperation = Math.min(1, caravan.supplier.cooperation + 0.02);
+        
+        showDebugMessage.info(`Caravan from Village ${caravan.supplier.id + 1} reached Village ${caravan.receiver.id + 1}`);
+        
+        this._removeCaravan(caravan);
+        this.caravans.splice(i, 1);
+        continue;
+      }
+      
+      const t = caravan.reverse ? 1 - caravan.progress : caravan.progress;
+      const point = caravan.path.curve.getPointAt(t);
+      const ahead = caravan.path.curve.getPointAt(caravan.reverse ? Math.max(0, t - 0.01) : Math.min(1, t + 0.01));
+      
+      caravan.mesh.position.set(point.x, this.getGroundHeight(point.x, point.z) + 0.4, point.z);
+      caravan.mesh.lookAt(ahead.x, 0.4, ahead.z);
+    }
+  }
+  
+  /**
+   * Remove a caravan mesh from the scene
+   * @private
+   * @param {Object} caravan - Caravan entry
+   */
+  _removeCaravan(caravan) {
+    this.scene.remove(caravan.mesh);
+    caravan.mesh.geometry.dispose();
+    caravan.mesh.material.dispose();
+  }
+  
   /**
    * Check and handle collision with boundaries
    * @private
@@ -765,57 +1032,139 @@ export default class Ordered {
     this.scene.add(this.floodWater);
   }
   
+  /**
+   * Work out which villages the flood reaches
+   * A village holds if its defense (including finished structures) meets what it needs;
+   * a finished ark carries the people of the largest flooded village to safety.
+   * @returns {Array} Outcome per village {village, defense, required, held, evacuated}
+   */
+  getVillageFloodOutcomes() {
+    const outcomes = this.villageData.map(village => {
+      const defense = this.construction.getVillageDefense(village);
+      const required = village.getRequiredDefense();
+      
+      return { village, defense, required, held: defense >= required, evacuated: false };
+    });
+    
+    if (this.construction.getCompletedArk()) {
+      const flooded = outcomes
+        .filter(outcome => !outcome.held)
+        .sort((a, b) => b.village.population - a.village.population);
+      
+      if (flooded.length > 0) {
+        flooded[0].evacuated = true;
+      }
+    }
+    
+    return outcomes;
+  }
+  
   /**
    * Show survival animation when player has enough resources
    */
   showFloodSurvival() {
-    // Create a visualization of village defenses holding back the flood
-    this.villageData.forEach(village => {
-      // Create defense barrier around each village
-      const barrierGeometry = new THREE.CylinderGeometry(
-        village.radius + 0.5, 
-        village.radius + 0.5, 
-        village.defense * 0.5,
-        32
-      );
+    this._showVillageOutcomes();
+  }
+  
+  /**
+   * Show which village defenses held and which villages flooded
+   * @private
+   */
+  _showVillageOutcomes() {
+    this.construction.setActive(false);
+    
+    const outcomes = this.getVillageFloodOutcomes();
+    outcomes.forEach(outcome => {
+      if (outcome.held) {
+        this._createVillageBarrier(outcome.village, outcome.defense);
+      } else {
+        this._floodVillage(outcome.village);
+      }
+    });
+    
+    // Float the ark up on the rising water (StageManager reports the outcome)
+    if (outcomes.some(outcome => outcome.evacuated)) {
+      this.construction.getCompletedArk().mesh.position.y += 1;
+    }
+  }
+  
+  /**
+   * Show a defense barrier holding back the flood around a village
+   * @private
+   * @param {Object} village - Village that held
+   * @param {number} defense - Village's total defense
+   */
+  _createVillageBarrier(village, defense) {
+    const barrierGeometry = new THREE.CylinderGeometry(
+      village.radius + 0.5, 
+      village.radius + 0.5, 
+      defense * 0.5,
+      32
+    );
+    
+    const barrierMaterial = new THREE.MeshStandardMaterial({
+      color: 0x88ccff,
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide,
+      emissive: 0x2255aa,
+      emissiveIntensity: 0.3
+    });
+    
+    const barrier = new THREE.Mesh(barrierGeometry, barrierMaterial);
+    barrier.position.set(village.x, defense * 0.25, village.z);
+    this.scene.add(barrier);
+    
+    // Animate barrier
+    const startTime = Date.now();
+    const duration = 5000;
+    
+    const animateBarrier = () => {
+      const elapsed = Date.now() - startTime;
+      if (elapsed < duration) {
+        const progress = elapsed / duration;
+        
+        // Pulse emission
+        barrier.material.emissiveIntensity = 0.3 + (Math.sin(progress * Math.PI * 10) * 0.2);
+        
+        requestAnimationFrame(animateBarrier);
+      }
+    };
+    
+    animateBarrier();
+  }
+  
+  /**
+   * Sink a flooded village's houses under the water
+   * @private
+   * @param {Object} village - Village that flooded
+   */
+  _floodVillage(village) {
+    const startTime = Date.now();
+    const duration = 4000;
+    
+    const animateSinking = () => {
+      const elapsed = Date.now() - startTime;
+      const progress = Math.min(1, elapsed / duration);
       
-      const barrierMaterial = new THREE.MeshStandardMaterial({
-        color: 0x88ccff,
-        transparent: true,
-        opacity: 0.6,
-        side: THREE.DoubleSide,
-        emissive: 0x2255aa,
-        emissiveIntensity: 0.3
+      village.houses.forEach(house => {
+        house.position.y = -1.5 * progress;
       });
       
-      const barrier = new THREE.Mesh(barrierGeometry, barrierMaterial);
-      barrier.position.set(village.x, village.defense * 0.25, village.z);
-      this.scene.add(barrier);
-      
-      // Animate barrier
-      const startTime = Date.now();
-      const duration = 5000;
-      
-      const animateBarrier = () => {
-        const elapsed = Date.now() - startTime;
-        if (elapsed < duration) {
-          const progress = elapsed / duration;
-          
-          // Pulse emission
-          barrier.material.emissiveIntensity = 0.3 + (Math.sin(progress * Math.PI * 10) * 0.2);
-          
-          requestAnimationFrame(animateBarrier);
-        }
-      };
-      
-      animateBarrier();
-    });
+      if (progress < 1) {
+        requestAnimationFrame(animateSinking);
+      }
+    };
+    
+    animateSinking();
   }
   
   /**
    * Show failure animation when player doesn't have enough resources
    */
   showFloodFailure() {
+    this._showVillageOutcomes();
+    
     if (this.floodWater) {
       // Rapidly raise water
       const startTime = Date.now();
@@ -844,6 +1193,10 @@ export default class Ordered {
    * Clean up resources when scene is no longer needed
    */
   dispose() {
+    // Cancel pending respawns, they would add to a scene that is gone
+    this.timeouts.forEach(id => clearTimeout(id));
+    this.timeouts.clear();
+    
     // Clean up resources
     this.resources.forEach(resource => {
       resource.dispose();
@@ -860,15 +1213,8 @@ export default class Ordered {
       this.river.material.dispose();
     }
     
-    this.trees.forEach(tree => {
-      // Dispose of all tree components
-      tree.traverse(child => {
-        if (child.isMesh) {
-          child.geometry.dispose();
-          child.material.dispose();
-        }
-      });
-    });
+    // Batched trees
+    this.scenery.dispose();
     
     this.villageData.forEach(village => {
       // Dispose of all village components
@@ -887,10 +1233,23 @@ export default class Ordered {
       boundary.material.dispose();
     });
     
+    this.collision.clear();
+    this.resourceIndex.clear();
+    this.lightBudget.dispose();
+    this.treeIndex.clear();
+    
     if (this.floodWater) {
       this.floodWater.geometry.dispose();
       this.floodWater.material.dispose();
     }
+    
+    this.caravans.forEach(caravan => this._removeCaravan(caravan));
+    this.caravans = [];
+    
+    this.villageDialogue.dispose();
+    
+    this.construction.dispose();
+    this.buildMenu.dispose();
   }
   
   /**
@@ -901,16 +1260,13 @@ export default class Ordered {
    */
   getEnvironmentInteractable(position, radius) {
     // Check for tree interactions
-    for (const tree of this.trees) {
-      const treePos = tree.position;
-      const distance = position.distanceTo(treePos);
-      if (distance < radius) {
-        return {
-          type: 'tree',
-          object: tree,
-          position: treePos.clone()
-        };
-      }
+    const tree = this.treeIndex.findNearest(position, radius);
+    if (tree) {
+      return {
+        type: 'tree',
+        object: tree,
+        position: tree.position.clone()
+      };
     }
     
     return null;
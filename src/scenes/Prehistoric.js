@@ -1,5 +1,47 @@
 import * as THREE from 'three';
 import { createResourceForStage } from '../entities/Resource.js';
+import Creature from '../entities/Creature.js';
+import showDebugMessage from '../utils/DebugHelper.js';
+import Heightfield from '../utils/Heightfield.js';
+import Collision from '../core/Collision.js';
+import SpatialIndex from '../utils/SpatialIndex.js';
+import LightBudget from '../utils/LightBudget.js';
+import InstancedScenery from '../utils/InstancedScenery.js';
+
+// Materials needed to shore up a rock into a meteor shelter
+const SHELTER_COST = 5;
+
+// How close to a shelter the player must stand to be covered
+const SHELTER_RADIUS = 2.5;
+
+// How far from a rock's edge the player can reach it
+const ROCK_REACH = 2;
+
+// Wading in the sea around the island
+const SEA_RADIUS = 25;
+const SEA_SPEED = 0.5;
+
+// Crater left in the terrain by the meteor
+const CRATER_RADIUS = 7;
+const CRATER_DEPTH = 1.5;
+const CRATER_RIM_HEIGHT = 0.4;
+
+// Shockwave expands from the impact and weakens with distance
+const SHOCKWAVE_SPEED = 12; // Units per second
+const SHOCKWAVE_RANGE = 20;
+const SHOCKWAVE_KNOCKBACK = 6; // Push at point-blank range
+const SHOCKWAVE_MAX_LOSS = 4; // Materials lost at point-blank range
+
+// A rock whose edge is this close to the player, between them and the impact, halves the blast
+const ROCK_COVER_RADIUS = 1.5;
+
+// Debris thrown out by the impact (some becomes materials, the rest boulders)
+const DEBRIS_COUNT = 10;
+const DEBRIS_FLIGHT_TIME = 1500; // Simulation ms
+const DEBRIS_RESOURCE_CHANCE = 0.6;
+
+// Wide shot of the crater as the shockwave spreads, before the camera returns to the player
+const IMPACT_SHOT = { from: { pitch: 0.5, distance: 3 }, to: { yaw: 0.4, pitch: 0.3, distance: 2.5 }, duration: 2000 };
 
 /**
  * Second stage: Prehistoric/Coastal scene
@@ -13,19 +55,42 @@ export default class Prehistoric {
   constructor(game, config) {
     this.game = game;
     this.config = config;
+    
+    // Rocks, plants and meteor target come from the run seed
+    this.random = game.createStageRandom('prehistoric');
     this.resources = [];
+    this.timeouts = new Set(); // Pending resource respawns, cancelled on dispose
     this.creatures = [];
+    
+    // Creature wandering gets its own stream so it never shifts resource spawns
+    this.creatureRandom = this.random.fork('creatures');
+    // Scenery tints likewise
+    this.sceneryRandom = this.random.fork('scenery');
+    this.scenery = new InstancedScenery(); // Rocks and plants, one draw call per type
+    this.quality = game.quality.getSettings(); // Tier the scene is built for
+    this.fogDensity = config.fogDensity * this.quality.fogScale;
     this.meteorWarningActive = false;
+    this.shelters = [];
+    this.debris = []; // Pieces still in flight
+    this.obstacles = []; // Boulders left by debris
+    this.collision = new Collision();
+    this.resourceIndex = new SpatialIndex();
+    this.creatureIndex = new SpatialIndex();
+    this.rockIndex = new SpatialIndex();
     
     this.scene = new THREE.Scene();
+    // The player's light and the two atmosphere lights count against the tier's cap
+    const fixedLights = this.quality.atmosphereLights ? 3 : 1;
+    this.lightBudget = new LightBudget(this.scene, this.quality.pointLights - fixedLights);
     this.scene.background = new THREE.Color(0x224466);
     
     // Moderate visibility with lighter fog
-    this.scene.fog = new THREE.FogExp2(config.fogColor, config.fogDensity);
+    this.scene.fog = new THREE.FogExp2(config.fogColor, this.fogDensity);
     
     this._setupLights();
     this._setupEnvironment();
     this._spawnResources();
+    this._spawnCreatures();
     this._setupMeteorTracking();
     
     // Add player to scene
@@ -49,8 +114,8 @@ export default class Prehistoric {
     directional.castShadow = true;
     
     // Shadow settings for mobile optimization
-    directional.shadow.mapSize.width = 1024;
-    directional.shadow.mapSize.height = 1024;
+    directional.shadow.mapSize.width = this.quality.shadowMapSize;
+    directional.shadow.mapSize.height = this.quality.shadowMapSize;
     directional.shadow.camera.near = 1;
     directional.shadow.camera.far = 50;
     directional.shadow.camera.left = -15;
@@ -60,6 +125,8 @@ export default class Prehistoric {
     
     this.scene.add(directional);
     
+    if (!this.quality.atmosphereLights) return;
+    
     // Additional point lights for atmosphere
     const blueLight = new THREE.PointLight(0x0077bb, 0.3, 20);
     blueLight.position.set(-10, 2, -15);
@@ -80,6 +147,7 @@ export default class Prehistoric {
     this._createWater();
     this._createRocks();
     this._createPlants();
+    this.scenery.build(this.scene);
     
     // Add boundary to prevent player from leaving area
     this._createBoundary();
@@ -136,6 +204,7 @@ export default class Prehistoric {
     this.terrain.rotation.x = -Math.PI / 2;
     this.terrain.receiveShadow = true;
     this.scene.add(this.terrain);
+    this.heightfield = new Heightfield(this.terrain);
   }
   
   /**
@@ -157,6 +226,9 @@ export default class Prehistoric {
     this.water.rotation.x = -Math.PI / 2;
     this.water.position.y = -0.3; // Just below shore level
     this.scene.add(this.water);
+    
+    // The sea slows the player down rather than blocking them
+    this.collision.addZone((x, z) => x * x + z * z > SEA_RADIUS * SEA_RADIUS, SEA_SPEED);
   }
   
   /**
@@ -175,34 +247,35 @@ export default class Prehistoric {
     ];
     
     this.rocks = [];
+    this.scenery.define('rock',
+      new THREE.DodecahedronGeometry(1, 0),
+      new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.9, metalness: 0.2 }),
+      { castShadow: true, receiveShadow: true }
+    );
     
     rockPositions.forEach(pos => {
-      // Create a rock with random shapes
-      const rockGeometry = new THREE.DodecahedronGeometry(pos.scale, 0);
-      const rockMaterial = new THREE.MeshStandardMaterial({
-        color: 0x888888,
-        roughness: 0.9,
-        metalness: 0.2
-      });
+      // Random orientation and a lopsided size around the formation's scale
+      const rotation = {
+        x: this.random.next() * Math.PI,
+        y: this.random.next() * Math.PI,
+        z: this.random.next() * Math.PI
+      };
+      const scale = {
+        x: pos.scale * pos.scale * (0.8 + this.random.next() * 0.4),
+        y: pos.scale * pos.scale * (0.8 + this.random.next() * 0.4),
+        z: pos.scale * pos.scale * (0.8 + this.random.next() * 0.4)
+      };
+      const color = new THREE.Color(0x888888).multiplyScalar(0.85 + this.sceneryRandom.next() * 0.3);
       
-      const rock = new THREE.Mesh(rockGeometry, rockMaterial);
-      rock.position.set(pos.x, pos.y, pos.z);
-      rock.rotation.set(
-        Math.random() * Math.PI,
-        Math.random() * Math.PI,
-        Math.random() * Math.PI
-      );
-      rock.scale.set(
-        pos.scale * (0.8 + Math.random() * 0.4),
-        pos.scale * (0.8 + Math.random() * 0.4),
-        pos.scale * (0.8 + Math.random() * 0.4)
-      );
+      const position = new THREE.Vector3(pos.x, pos.y, pos.z);
+      this.scenery.add('rock', { position, rotation, scale, color });
       
-      rock.castShadow = true;
-      rock.receiveShadow = true;
+      // Solid footprint, a little inside the rock's widest point
+      const rock = { position, radius: Math.max(scale.x, scale.z) * 0.8, shelter: null };
+      this.collision.addCircle(pos.x, pos.z, rock.radius, { top: pos.y + scale.y });
+      this.rockIndex.add(rock, rock.position, rock.radius);
       
       this.rocks.push(rock);
-      this.scene.add(rock);
     });
   }
   
@@ -215,35 +288,42 @@ export default class Prehistoric {
     const plantCount = 30;
     this.plants = [];
     
+    // Unit-tall stalk with its base at the origin, stretched to each plant's height
+    const plantGeometry = new THREE.CylinderGeometry(0.05, 0.1, 1, 5);
+    plantGeometry.translate(0, 0.5, 0);
+    
+    // Gentle swaying motion runs in the vertex shader
+    this.scenery.define('plant',
+      plantGeometry,
+      new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.8 }),
+      { castShadow: true, sway: { amount: 0.05, speed: 1 } }
+    );
+    
     for (let i = 0; i < plantCount; i++) {
       // Create random position on land (not in water)
-      const angle = Math.random() * Math.PI * 2;
-      const radius = Math.random() * 22; // Keep within land area
+      const angle = this.random.next() * Math.PI * 2;
+      const radius = this.random.next() * 22; // Keep within land area
       const x = Math.cos(angle) * radius;
       const z = Math.sin(angle) * radius;
       
       // Create plant
-      const height = 0.3 + Math.random() * 0.7;
-      const plantGeometry = new THREE.CylinderGeometry(0.05, 0.1, height, 5);
-      const plantMaterial = new THREE.MeshStandardMaterial({
-        color: 0x226633,
-        roughness: 0.8
-      });
-      
-      const plant = new THREE.Mesh(plantGeometry, plantMaterial);
-      plant.position.set(x, height / 2, z);
+      const height = 0.3 + this.random.next() * 0.7;
+      const position = new THREE.Vector3(x, 0, z);
       
       // Add small variations to plant orientation
-      plant.rotation.set(
-        Math.random() * 0.2 - 0.1,
-        Math.random() * Math.PI * 2,
-        Math.random() * 0.2 - 0.1
-      );
+      const rotation = {
+        x: this.random.next() * 0.2 - 0.1,
+        y: this.random.next() * Math.PI * 2,
+        z: this.random.next() * 0.2 - 0.1
+      };
       
-      plant.castShadow = true;
+      const color = new THREE.Color(0x226633).offsetHSL((this.sceneryRandom.next() - 0.5) * 0.05, 0, 0);
       
-      this.plants.push(plant);
-      this.scene.add(plant);
+      // Thin out plants on lower tiers (after every layout roll, so the rest stay put)
+      if (this.sceneryRandom.next() >= this.quality.sceneryDensity) continue;
+      
+      const instance = this.scenery.add('plant', { position, rotation, scale: { x: 1, y: height, z: 1 }, color });
+      this.plants.push({ position, instance });
     }
   }
   
@@ -287,6 +367,7 @@ export default class Prehistoric {
     
     // Store for collision detection
     this.boundaries = [northWall, southWall, eastWall, westWall];
+    this.boundaries.forEach(wall => this.collision.addBoxFromObject(wall));
   }
   
   /**
@@ -299,20 +380,65 @@ export default class Prehistoric {
     
     for (let i = 0; i < initialResourceCount; i++) {
       // Create random position, biased towards land (not in water)
-      const angle = Math.random() * Math.PI * 2;
-      const radius = Math.random() * 25; // Keep within land area
+      const angle = this.random.next() * Math.PI * 2;
+      const radius = this.random.next() * 25; // Keep within land area
       const x = Math.cos(angle) * radius;
       const z = Math.sin(angle) * radius;
       
       const position = {
         x: x,
-        y: 0.3 + Math.random() * 0.5, // Above ground
+        y: 0.3 + this.random.next() * 0.5, // Above ground
         z: z
       };
       
-      const resource = createResourceForStage('prehistoric', position);
-      this.resources.push(resource);
-      this.scene.add(resource.mesh);
+      const resource = createResourceForStage('prehistoric', position, {}, this.random);
+      this._addResource(resource);
+    }
+  }
+  
+  /**
+   * Spawn predators and grazing herbivores on the land area
+   * @private
+   */
+  _spawnCreatures() {
+    const predatorCount = 3;
+    const herbivoreCount = 4;
+    
+    for (let i = 0; i < predatorCount + herbivoreCount; i++) {
+      const kind = i < predatorCount ? 'predator' : 'herbivore';
+      
+      // Predators start well away from the player's spawn point
+      const angle = this.random.next() * Math.PI * 2;
+      const radius = (kind === 'predator' ? 14 : 6) + this.random.next() * 8;
+      const position = {
+        x: Math.cos(angle) * radius,
+        z: Math.sin(angle) * radius
+      };
+      
+      const creature = new Creature(kind, position, this.creatureRandom, this);
+      
+      // Each herbivore knows a hidden cache of materials some distance away
+      if (kind === 'herbivore') {
+        const cacheAngle = this.random.next() * Math.PI * 2;
+        const cacheDistance = 8 + this.random.next() * 6;
+        const cache = new THREE.Vector3(
+          position.x + Math.cos(cacheAngle) * cacheDistance,
+          0,
+          position.z + Math.sin(cacheAngle) * cacheDistance
+        );
+        
+        // Keep the cache on land
+        const cacheRadius = Math.sqrt(cache.x * cache.x + cache.z * cache.z);
+        if (cacheRadius > 22) {
+          cache.multiplyScalar(22 / cacheRadius);
+        }
+        
+        creature.cachePosition = cache;
+      }
+      
+      this.creatures.push(creature);
+      this.creatureIndex.add(creature, creature.mesh.position);
+      this.scene.add(creature.mesh);
     }
   }
   
@@ -358,9 +484,14 @@ export default class Prehistoric {
   update(deltaTime) {
     // Update resources
     this.resources.forEach(resource => {
-      resource.update(deltaTime);
+      if (resource.collected || !resource.mesh) return;
+      resource.update(deltaTime, this.getGroundHeight(resource.mesh.position.x, resource.mesh.position.z));
     });
     
+    // Lend the shared lights to the effects nearest the player
+    const player = this.game.state.player;
+    this.lightBudget.update(deltaTime, player && player.mesh ? player.mesh.position : null);
+    
     // Animate water
     if (this.water) {
       const time = Date.now() * 0.0005;
@@ -368,14 +499,10 @@ export default class Prehistoric {
     }
     
     // Animate plants
-    this.plants.forEach((plant, index) => {
-      const time = Date.now() * 0.001;
-      const offset = index * 0.2;
-      
-      // Gentle swaying motion
-      plant.rotation.x = Math.sin(time + offset) * 0.05;
-      plant.rotation.z = Math.cos(time + offset) * 0.05;
-    });
+    this.scenery.update(deltaTime);
+    
+    // Update creatures and their contact with the player
+    this._updateCreatures(deltaTime);
     
     // Check for collision with boundaries
     this._checkBoundaryCollision();
@@ -386,6 +513,105 @@ export default class Prehistoric {
     }
   }
   
+  /**
+   * Update creature AI and resolve predator attacks and herbivore caches
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   * @private
+   */
+  _updateCreatures(deltaTime) {
+    const player = this.game.state.player;
+    const predators = this.creatures.filter(creature => creature.kind === 'predator');
+    
+    this.creatures.forEach(creature => {
+      const previousState = creature.state;
+      creature.update(deltaTime, player, predators);
+      this.creatureIndex.update(creature);
+      
+      if (creature.kind === 'predator') {
+        if (previousState !== 'pursue' && creature.state === 'pursue') {
+          showDebugMessage.info("A predator has spotted you!");
+        }
+        
+        if (creature.state === 'pursue' && player && player.mesh && creature.isTouching(player.mesh.position)) {
+          this._onPredatorAttack(creature);
+        }
+      } else if (creature.reachedCache) {
+        creature.reachedCache = false;
+        this._revealCache(creature.cachePosition);
+      }
+    });
+  }
+  
+  /**
+   * Apply the cost of being caught by a predator
+   * @param {Creature} predator - Predator that caught the player
+   * @private
+   */
+  _onPredatorAttack(predator) {
+    const player = this.game.state.player;
+    const cost = predator.config.contactCost;
+    
+    // Drop materials if there are any, otherwise lose time shaking it off
+    if (this.game.state.resources >= cost.resources) {
+      this.game.state.resources -= cost.resources;
+      showDebugMessage.critical(`A predator caught you! Lost ${cost.resources} materials`);
+    } else {
+      this.game.state.timer = Math.max(1, this.game.state.timer - cost.time);
+      showDebugMessage.critical(`A predator caught you! Lost ${cost.time} seconds`);
+    }
+    
+    // Knock the player away from the predator
+    const push = new THREE.Vector3()
+      .subVectors(player.mesh.position, predator.mesh.position)
+      .setY(0);
+    if (push.lengthSq() < 0.0001) push.set(1, 0, 0);
+    push.normalize().multiplyScalar(2);
+    player.mesh.position.add(push);
+    
+    // Satisfied for now
+    predator.setState('rest');
+  }
+  
+  /**
+   * Spawn the materials a herbivore led the player to
+   * @param {THREE.Vector3} position - Cache position
+   * @private
+   */
+  _revealCache(position) {
+    const cacheSize = 3 + Math.floor(this.random.next() * 2);
+    
+    for (let i = 0; i < cacheSize; i++) {
+      const angle = (i / cacheSize) * Math.PI * 2;
+      const resourcePos = {
+        x: position.x + Math.cos(angle) * 0.8,
+        y: 0.5,
+        z: position.z + Math.sin(angle) * 0.8
+      };
+      
+      const resource = createResourceForStage('prehistoric', resourcePos, {
+        value: 2 // Caches hold richer materials
+      }, this.random);
+      
+      this._addResource(resource);
+    }
+    
+    this.game.hud.showEvolutionNotification(
+      'Hidden Cache',
+      'The grazer led you to a store of materials.'
+    );
+  }
+  
+  /**
+   * Find the closest creature the player can interact with
+   * @param {THREE.Vector3} position - Position to search from
+   * @param {number} radius - Search radius
+   * @returns {Creature|null} Nearest creature or null
+   * @private
+   */
+  _getNearbyCreature(position, radius) {
+    return this.creatureIndex.findNearest(position, radius, creature => creature.isInteractable());
+  }
+  
   /**
    * Check and handle collision with boundaries
    * @private
@@ -403,14 +629,36 @@ export default class Prehistoric {
     if (Math.abs(playerPos.z) > 29) {
       playerPos.z = Math.sign(playerPos.z) * 29;
     }
-    
-    // Check for water
-    if (playerPos.x * playerPos.x + playerPos.z * playerPos.z > 25 * 25) {
-      // Player is in water, slow them down and adjust y position
-      playerPos.y = -0.1; // Slightly below water surface
-    } else {
-      playerPos.y = 0.5; // Normal height on land
-    }
+  }
+  
+  /**
+   * Ground height under a point
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @returns {number} Ground height
+   */
+  getGroundHeight(x, z) {
+    return this.heightfield.getHeight(x, z);
+  }
+  
+  /**
+   * Ground slope under a point
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @param {THREE.Vector3} target - Optional vector to write the result to
+   * @returns {THREE.Vector3} Unit surface normal
+   */
+  getGroundNormal(x, z, target) {
+    return this.heightfield.getNormal(x, z, target);
+  }
+  
+  /**
+   * How much water slows movement at a position
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {number} Speed multiplier (1 = unaffected)
+   */
+  getSpeedMultiplier(position) {
+    return this.collision.getSpeedMultiplier(position.x, position.z);
   }
   
   /**
@@ -420,18 +668,19 @@ export default class Prehistoric {
    * @returns {Array} - Array of nearby resources
    */
   getNearbyResources(position, radius) {
-    // Filter resources by distance
-    return this.resources.filter(resource => {
-      if (resource.collected || !resource.mesh) return false;
-      
-      const distance = position.distanceTo(resource.mesh.position);
-      return distance < radius;
-    }).sort((a, b) => {
-      // Sort by closest first
-      const distA = position.distanceTo(a.mesh.position);
-      const distB = position.distanceTo(b.mesh.position);
-      return distA - distB;
-    });
+    // Closest first
+    return this.resourceIndex.findNearby(position, radius, resource => !resource.collected);
+  }
+  
+  /**
+   * Add a resource to the scene and the proximity index
+   * @private
+   * @param {Object} resource - Resource to add
+   */
+  _addResource(resource) {
+    this.resources.push(resource);
+    this.resourceIndex.add(resource, resource.mesh.position);
+    this.scene.add(resource.mesh);
   }
   
   /**
@@ -441,16 +690,17 @@ export default class Prehistoric {
    */
   collectResource(resource) {
     const value = resource.collect();
+    this.resourceIndex.remove(resource);
     
     // Remove from managed resources after animation completes
-    setTimeout(() => {
+    this._schedule(() => {
       const index = this.resources.indexOf(resource);
       if (index !== -1) {
         this.resources.splice(index, 1);
       }
       
       // Spawn a new resource to replace it
-      if (Math.random() < 0.7) {
+      if (this.random.next() < 0.7) {
         this._spawnReplacementResource();
       }
     }, 1000);
@@ -458,6 +708,20 @@ export default class Prehistoric {
     return value;
   }
   
+  /**
+   * Run a callback later unless the scene is disposed first
+   * @param {Function} callback - Callback to run
+   * @param {number} delay - Delay in milliseconds
+   * @private
+   */
+  _schedule(callback, delay) {
+    const id = setTimeout(() => {
+      this.timeouts.delete(id);
+      callback();
+    }, delay);
+    this.timeouts.add(id);
+  }
+  
   /**
    * Spawn a replacement resource
    * @private
@@ -467,8 +731,8 @@ export default class Prehistoric {
     const playerPos = this.game.state.player.mesh.position;
     
     // Random angle but within a reasonable distance from player
-    const angle = Math.random() * Math.PI * 2;
-    const distance = 5 + Math.random() * 15;
+    const angle = this.random.next() * Math.PI * 2;
+    const distance = 5 + this.random.next() * 15;
     
     // Calculate position, but keep within land area
     let x = playerPos.x + Math.cos(angle) * distance;
@@ -489,13 +753,12 @@ export default class Prehistoric {
     
     const position = {
       x: x,
-      y: 0.3 + Math.random() * 0.5,
+      y: 0.3 + this.random.next() * 0.5,
       z: z
     };
     
-    const resource = createResourceForStage('prehistoric', position);
-    this.resources.push(resource);
-    this.scene.add(resource.mesh);
+    const resource = createResourceForStage('prehistoric', position, {}, this.random);
+    this._addResource(resource);
   }
   
   /**
@@ -506,42 +769,47 @@ export default class Prehistoric {
    * @returns {boolean} Whether interaction occurred
    */
   playerInteractWithEnvironment(position, traits, philosophicalTraits) {
+    // Creatures take priority over rocks
+    const creature = this._getNearbyCreature(position, 2.5);
+    if (creature) {
+      return this._interactWithCreature(creature, position, traits);
+    }
+    
     // Check for interaction with rocks (could contain resources or knowledge)
-    for (let i = 0; i < this.rocks.length; i++) {
-      const rock = this.rocks[i];
-      const distance = position.distanceTo(rock.position);
-      
-      if (distance < 2) {
-        if (Math.random() < 0.3) {
-          // 30% chance of finding a hidden resource
-          const resourcePos = {
-            x: rock.position.x + (Math.random() - 0.5),
-            y: rock.position.y + 0.5,
-            z: rock.position.z + (Math.random() - 0.5)
-          };
-          
-          const resource = createResourceForStage('prehistoric', resourcePos, {
-            value: 2 // Higher value hidden resource
-          });
+    for (const rock of this.rockIndex.findNearby(position, ROCK_REACH)) {
+      // Once the meteor is coming, rocks can be shored up into shelters
+      if (this.meteorWarningActive && !rock.shelter) {
+        return this._buildShelter(rock, position);
+      }
+      
+      if (this.random.next() < 0.3) {
+        // 30% chance of finding a hidden resource
+        const resourcePos = {
+          x: rock.position.x + (this.random.next() - 0.5),
+          y: 0.8, // Above the ground beside the rock
+          z: rock.position.z + (this.random.next() - 0.5)
+        };
+        
+        const resource = createResourceForStage('prehistoric', resourcePos, {
+          value: 2 // Higher value hidden resource
+        }, this.random);
+        
+        this._addResource(resource);
+        
+        return true;
+      } else if (this.random.next() < 0.2) {
+        // 20% chance of finding ancient knowledge (boost traits)
+        if (philosophicalTraits.curiosity > 0.5) {
+          // Higher curiosity increases adaptation bonus
+          traits.adaptability += 0.1 * philosophicalTraits.curiosity;
           
-          this.resources.push(resource);
-          this.scene.add(resource.mesh);
+          // Show notification
+          this.game.hud.showEvolutionNotification(
+            'Ancient Knowledge',
+            'Your curiosity helped you discover ancient patterns'
+          );
           
           return true;
-        } else if (Math.random() < 0.2) {
-          // 20% chance of finding ancient knowledge (boost traits)
-          if (philosophicalTraits.curiosity > 0.5) {
-            // Higher curiosity increases adaptation bonus
-            traits.adaptability += 0.1 * philosophicalTraits.curiosity;
-            
-            // Show notification
-            this.game.hud.showEvolutionNotification(
-              'Ancient Knowledge',
-              'Your curiosity helped you discover ancient patterns'
-            );
-            
-            return true;
-          }
         }
       }
     }
@@ -549,6 +817,101 @@ export default class Prehistoric {
     return false;
   }
   
+  /**
+   * Lean branches against a rock to make a meteor shelter
+   * @param {Object} rock - Rock to build against
+   * @param {THREE.Vector3} position - Player position
+   * @returns {boolean|null} Whether the shelter was built (null when the message is already shown)
+   * @private
+   */
+  _buildShelter(rock, position) {
+    if (this.game.state.resources < SHELTER_COST) {
+      showDebugMessage.info(`Need ${SHELTER_COST} materials to build a shelter`);
+      return null;
+    }
+    
+    this.game.state.resources -= SHELTER_COST;
+    
+    // Shelter goes on the player's side of the rock
+    const direction = new THREE.Vector3(position.x - rock.position.x, 0, position.z - rock.position.z);
+    if (direction.lengthSq() === 0) direction.set(1, 0, 0);
+    direction.normalize();
+    
+    const geometry = new THREE.ConeGeometry(1.2, 1.6, 5, 1, true);
+    const material = new THREE.MeshStandardMaterial({
+      color: 0x6b4f2a,
+      roughness: 1.0,
+      side: THREE.DoubleSide
+    });
+    
+    const mesh = new THREE.Mesh(geometry, material);
+    const shelterX = rock.position.x + direction.x * (rock.radius + 0.6);
+    const shelterZ = rock.position.z + direction.z * (rock.radius + 0.6);
+    mesh.position.set(shelterX, this.getGroundHeight(shelterX, shelterZ) + 0.8, shelterZ);
+    mesh.castShadow = true;
+    this.scene.add(mesh);
+    
+    const shelter = { rock, mesh, position: mesh.position };
+    rock.shelter = shelter;
+    this.shelters.push(shelter);
+    
+    this.game.hud.showEvolutionNotification(
+      'Shelter',
+      'You braced branches against the rock. Stay close when the meteor hits.'
+    );
+    
+    return true;
+  }
+  
+  /**
+   * Get where the meteor will land
+   * @returns {THREE.Vector3|null} Impact point, or null before the warning
+   */
+  getImpactPoint() {
+    return this.meteorData ? this.meteorData.targetPosition : null;
+  }
+  
+  /**
+   * Check whether a position is covered by a shelter
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {boolean} Whether the position is sheltered
+   */
+  isSheltered(position) {
+    return this.shelters.some(shelter => {
+      return Math.hypot(shelter.position.x - position.x, shelter.position.z - position.z) < SHELTER_RADIUS;
+    });
+  }
+  
+  /**
+   * Interact with a nearby creature
+   * @param {Creature} creature - Creature to interact with
+   * @param {THREE.Vector3} position - Player position
+   * @param {Object} traits - Player traits
+   * @returns {boolean} Whether interaction occurred
+   * @private
+   */
+  _interactWithCreature(creature, position, traits) {
+    if (creature.kind === 'herbivore') {
+      // Approaching calmly earns the grazer's trust
+      if (creature.lead()) {
+        this.game.hud.showEvolutionNotification(
+          'Grazer',
+          'The creature seems to want you to follow it.'
+        );
+        return true;
+      }
+      return false;
+    }
+    
+    // Standing tall can scare off a predator if you're big enough
+    if (traits.size >= creature.config.size * 0.75) {
+      creature.scare(position);
+      return true;
+    }
+    
+    return false;
+  }
+  
   /**
    * Show warning when meteor is approaching
    */
@@ -559,9 +922,9 @@ export default class Prehistoric {
     
     // Position meteor far above in the sky
     const targetPosition = new THREE.Vector3(
-      (Math.random() - 0.5) * 20, // Random target on land
+      (this.random.next() - 0.5) * 20, // Random target on land
       0,
-      (Math.random() - 0.5) * 20
+      (this.random.next() - 0.5) * 20
     );
     
     // Start position high in the sky at an angle
@@ -579,7 +942,7 @@ export default class Prehistoric {
       startPosition: startPosition.clone(),
       targetPosition: targetPosition.clone(),
       progress: 0,
-      impactScale: 0
+      impacted: false
     };
     
     // Change ambient light to indicate warning
@@ -631,61 +994,278 @@ export default class Prehistoric {
       this.rumbleIntensity = 0.01 + (t * 0.1);
       
       // Apply camera shake
-      if (this.game.cameraController && this.game.cameraController.camera) {
-        const camera = this.game.cameraController.camera;
-        camera.position.x += (Math.random() - 0.5) * this.rumbleIntensity;
-        camera.position.y += (Math.random() - 0.5) * this.rumbleIntensity;
-        camera.position.z += (Math.random() - 0.5) * this.rumbleIntensity;
+      if (this.game.cameraController) {
+        this.game.cameraController.shake(this.rumbleIntensity);
+      }
+      
+      // The meteor lands once it reaches its target
+      if (t >= 1 && !this.meteorData.impacted) {
+        this._triggerImpact();
       }
+    }
+    
+    if (this.meteorData.impacted) {
+      this._updateImpact(deltaTime);
+    }
+  }
+  
+  /**
+   * Land the meteor: dig the crater, start the shockwave and throw debris
+   * @private
+   */
+  _triggerImpact() {
+    const target = this.meteorData.targetPosition;
+    this.meteorData.impacted = true;
+    
+    this.meteor.visible = false;
+    if (this.meteorTrail) {
+      this.meteorTrail.visible = false;
+    }
+    
+    this._deformCrater(target);
+    this._scatterDebris(target);
+    
+    // Create impact light (held until the stage ends) and shockwave
+    this.impactLight = this.lightBudget.request({
+      position: new THREE.Vector3(target.x, 1, target.z),
+      color: 0xff5500,
+      intensity: 10,
+      distance: 50,
+      priority: 5
+    });
+    
+    // Unit-radius ring scaled to the shockwave front
+    const shockwaveGeometry = new THREE.RingGeometry(0.9, 1, 48);
+    const shockwaveMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff3300,
+      transparent: true,
+      opacity: 0.7,
+      side: THREE.DoubleSide
+    });
+    
+    this.shockwave = new THREE.Mesh(shockwaveGeometry, shockwaveMaterial);
+    this.shockwave.position.set(target.x, 0.6, target.z);
+    this.shockwave.rotation.x = -Math.PI / 2;
+    this.scene.add(this.shockwave);
+    
+    this.shockwaveData = { radius: 0, reachedPlayer: false };
+    this.rumbleIntensity = 0.3;
+    
+    if (this.game.cameraController) {
+      this.game.cameraController.playShot({ ...IMPACT_SHOT, focus: target });
+    }
+    
+    showDebugMessage.critical('The meteor has struck!');
+  }
+  
+  /**
+   * Press a crater with a raised rim into the terrain
+   * @param {THREE.Vector3} center - Impact point
+   * @private
+   */
+  _deformCrater(center) {
+    const positionAttribute = this.terrain.geometry.getAttribute('position');
+    
+    for (let i = 0; i < positionAttribute.count; i++) {
+      // Plane y runs along world -z once the terrain is laid flat
+      const x = positionAttribute.getX(i);
+      const z = -positionAttribute.getY(i);
+      const t = Math.hypot(x - center.x, z - center.z) / CRATER_RADIUS;
+      if (t > 1.5) continue;
       
-      // If meteor has reached target, show impact scale
-      if (t >= 1 && timeLeft < 10) {
-        this.meteorData.impactScale = (10 - timeLeft) / 10;
-        this._showMeteorImpact();
+      let offset = CRATER_RIM_HEIGHT * Math.exp(-Math.pow((t - 1) / 0.25, 2));
+      if (t < 1) {
+        offset -= CRATER_DEPTH * (1 - t * t);
       }
+      
+      positionAttribute.setZ(i, positionAttribute.getZ(i) + offset);
     }
+    
+    positionAttribute.needsUpdate = true;
+    this.terrain.geometry.computeVertexNormals();
+    
+    // Plants in the blast zone are flattened
+    this.plants.forEach(plant => {
+      if (Math.hypot(plant.position.x - center.x, plant.position.z - center.z) < CRATER_RADIUS) {
+        this.scenery.setVisible('plant', plant.instance, false);
+      }
+    });
   }
   
   /**
-   * Show meteor impact effect
+   * Throw debris out from the impact
+   * @param {THREE.Vector3} center - Impact point
    * @private
    */
-  _showMeteorImpact() {
-    // Create impact light and shockwave
-    if (!this.impactLight) {
-      this.impactLight = new THREE.PointLight(0xff5500, 2, 50);
-      this.impactLight.position.copy(this.meteorData.targetPosition);
-      this.scene.add(this.impactLight);
-      
-      // Create shockwave ring
-      const shockwaveGeometry = new THREE.RingGeometry(0.1, 0.5, 32);
-      const shockwaveMaterial = new THREE.MeshBasicMaterial({
-        color: 0xff3300,
-        transparent: true,
-        opacity: 0.7,
-        side: THREE.DoubleSide
+  _scatterDebris(center) {
+    for (let i = 0; i < DEBRIS_COUNT; i++) {
+      const angle = this.random.next() * Math.PI * 2;
+      const distance = CRATER_RADIUS + this.random.next() * (SHOCKWAVE_RANGE - CRATER_RADIUS);
+      
+      // Keep landing spots on the island
+      const landing = new THREE.Vector3(
+        center.x + Math.cos(angle) * distance,
+        0.5,
+        center.z + Math.sin(angle) * distance
+      );
+      const fromCenter = Math.hypot(landing.x, landing.z);
+      if (fromCenter > 22) {
+        landing.x *= 22 / fromCenter;
+        landing.z *= 22 / fromCenter;
+      }
+      
+      const size = 0.3 + this.random.next() * 0.4;
+      landing.y = this.getGroundHeight(landing.x, landing.z) + size * 0.5;
+      const mesh = new THREE.Mesh(
+        new THREE.DodecahedronGeometry(size, 0),
+        new THREE.MeshStandardMaterial({
+          color: 0x553322,
+          emissive: 0x331100,
+          roughness: 0.9
+        })
+      );
+      mesh.position.set(center.x, 1, center.z);
+      mesh.castShadow = true;
+      this.scene.add(mesh);
+      
+      this.debris.push({
+        mesh,
+        size,
+        start: mesh.position.clone(),
+        landing,
+        elapsed: 0,
+        becomesResource: this.random.next() < DEBRIS_RESOURCE_CHANCE
       });
+    }
+  }
+  
+  /**
+   * Advance the shockwave, debris and impact glow
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   * @private
+   */
+  _updateImpact(deltaTime) {
+    if (this.shockwaveData && this.shockwave) {
+      const wave = this.shockwaveData;
+      wave.radius += SHOCKWAVE_SPEED * deltaTime / 1000;
       
-      this.shockwave = new THREE.Mesh(shockwaveGeometry, shockwaveMaterial);
-      this.shockwave.position.copy(this.meteorData.targetPosition);
-      this.shockwave.position.y = 0.1;
-      this.shockwave.rotation.x = -Math.PI / 2;
-      this.scene.add(this.shockwave);
+      this.shockwave.scale.set(wave.radius, wave.radius, 1);
+      this.shockwave.material.opacity = 0.7 * Math.max(0, 1 - wave.radius / SHOCKWAVE_RANGE);
+      this.shockwave.visible = wave.radius < SHOCKWAVE_RANGE;
+      
+      const player = this.game.state.player;
+      if (!wave.reachedPlayer && player && player.mesh) {
+        const target = this.meteorData.targetPosition;
+        const distance = Math.hypot(player.mesh.position.x - target.x, player.mesh.position.z - target.z);
+        
+        if (distance <= wave.radius) {
+          wave.reachedPlayer = true;
+          if (distance < SHOCKWAVE_RANGE) {
+            this._applyShockwave(player, distance);
+          }
+        }
+      }
     }
     
-    // Scale the impact effects
     if (this.impactLight) {
-      this.impactLight.intensity = 2 + (this.meteorData.impactScale * 8);
+      this.impactLight.intensity = Math.max(2, this.impactLight.intensity - deltaTime * 0.004);
     }
     
-    if (this.shockwave) {
-      const scale = 0.1 + (this.meteorData.impactScale * 15);
-      this.shockwave.scale.set(scale, scale, 1);
-      this.shockwave.material.opacity = 0.7 * (1 - this.meteorData.impactScale);
+    this.rumbleIntensity = Math.max(0.02, this.rumbleIntensity - deltaTime * 0.0001);
+    
+    this._updateDebris(deltaTime);
+  }
+  
+  /**
+   * Knock back and hurt the player as the shockwave passes, unless they are covered
+   * @param {Object} player - Player instance
+   * @param {number} distance - Player's distance from the impact
+   * @private
+   */
+  _applyShockwave(player, distance) {
+    const position = player.mesh.position;
+    
+    if (this.isSheltered(position)) {
+      showDebugMessage.achievement('Your shelter took the blast');
+      return;
+    }
+    
+    let strength = 1 - distance / SHOCKWAVE_RANGE;
+    const covered = this._hasRockCover(position);
+    if (covered) {
+      strength *= 0.5;
     }
     
-    // Increase rumble even more
-    this.rumbleIntensity = 0.1 + (this.meteorData.impactScale * 0.2);
+    // Materials are shaken loose
+    const lost = Math.min(this.game.state.resources, Math.ceil(strength * SHOCKWAVE_MAX_LOSS));
+    this.game.state.resources -= lost;
+    
+    // Rock cover stops the knockback
+    if (!covered) {
+      const target = this.meteorData.targetPosition;
+      const push = new THREE.Vector3(position.x - target.x, 0, position.z - target.z);
+      if (push.lengthSq() < 0.0001) push.set(1, 0, 0);
+      push.normalize().multiplyScalar(strength * SHOCKWAVE_KNOCKBACK);
+      position.add(push);
+    }
+    
+    const where = covered ? 'The rock shielded you from the worst of it' : 'The shockwave knocked you back';
+    showDebugMessage.critical(lost > 0 ? `${where}! Lost ${lost} materials` : `${where}!`);
+  }
+  
+  /**
+   * Check for a rock between a position and the impact point
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {boolean} Whether a nearby rock covers the position
+   * @private
+   */
+  _hasRockCover(position) {
+    const target = this.meteorData.targetPosition;
+    const toImpactX = target.x - position.x;
+    const toImpactZ = target.z - position.z;
+    
+    // Close by and on the impact side
+    return this.rockIndex.findNearby(position, ROCK_COVER_RADIUS).some(rock => {
+      const toRockX = rock.position.x - position.x;
+      const toRockZ = rock.position.z - position.z;
+      return toRockX * toImpactX + toRockZ * toImpactZ > 0;
+    });
+  }
+  
+  /**
+   * Fly debris along its arc and settle it as materials or a boulder
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   * @private
+   */
+  _updateDebris(deltaTime) {
+    this.debris = this.debris.filter(piece => {
+      piece.elapsed += deltaTime;
+      const t = Math.min(piece.elapsed / DEBRIS_FLIGHT_TIME, 1);
+      
+      piece.mesh.position.lerpVectors(piece.start, piece.landing, t);
+      piece.mesh.position.y += Math.sin(t * Math.PI) * 6;
+      piece.mesh.rotation.x += deltaTime * 0.01;
+      
+      if (t < 1) return true;
+      
+      if (piece.becomesResource) {
+        // Replace the rock with collectible materials
+        this.scene.remove(piece.mesh);
+        piece.mesh.geometry.dispose();
+        piece.mesh.material.dispose();
+        
+        const resourcePos = { x: piece.landing.x, y: 0.5, z: piece.landing.z };
+        const resource = createResourceForStage('prehistoric', resourcePos, {}, this.random);
+        this._addResource(resource);
+      } else {
+        // Stays as a boulder the player has to walk around
+        piece.mesh.material.emissive.set(0x000000);
+        this.obstacles.push(piece);
+        this.collision.addCircle(piece.landing.x, piece.landing.z, piece.size, { top: piece.landing.y + piece.size });
+      }
+      
+      return false;
+    });
   }
   
   /**
@@ -737,12 +1317,14 @@ export default class Prehistoric {
     
     // Remove impact effects
     if (this.impactLight) {
-      this.scene.remove(this.impactLight);
+      this.lightBudget.release(this.impactLight);
       this.impactLight = null;
     }
     
     if (this.shockwave) {
       this.scene.remove(this.shockwave);
+      this.shockwave.geometry.dispose();
+      this.shockwave.material.dispose();
       this.shockwave = null;
     }
   }
@@ -778,11 +1360,8 @@ export default class Prehistoric {
           this.rumbleIntensity = 0.1 + (progress * 0.5);
           
           // Apply intense camera shake
-          if (this.game.cameraController && this.game.cameraController.camera) {
-            const camera = this.game.cameraController.camera;
-            camera.position.x += (Math.random() - 0.5) * this.rumbleIntensity;
-            camera.position.y += (Math.random() - 0.5) * this.rumbleIntensity;
-            camera.position.z += (Math.random() - 0.5) * this.rumbleIntensity;
+          if (this.game.cameraController) {
+            this.game.cameraController.shake(this.rumbleIntensity);
           }
           
           requestAnimationFrame(animateMeteorImpact);
@@ -804,9 +1383,7 @@ export default class Prehistoric {
    */
   _createMeteorExplosion(position) {
     // Create explosion light
-    const explosionLight = new THREE.PointLight(0xff5500, 10, 50);
-    explosionLight.position.copy(position);
-    this.scene.add(explosionLight);
+    this.lightBudget.flash(position, 0xff5500, 10, 50, 4000);
     
     // Create explosion sphere
     const explosionGeometry = new THREE.SphereGeometry(0.5, 32, 32);
@@ -835,13 +1412,9 @@ export default class Prehistoric {
         // Fade out
         explosion.material.opacity = 1 - progress;
         
-        // Decrease light intensity
-        explosionLight.intensity = 10 * (1 - progress);
-        
         requestAnimationFrame(animateExplosion);
       } else {
         this.scene.remove(explosion);
-        this.scene.remove(explosionLight);
       }
     };
     
@@ -849,18 +1422,27 @@ export default class Prehistoric {
     
     // Darken scene
     this.scene.fog.color.set(0x000000);
-    this.scene.fog.density = this.config.fogDensity * 5;
+    this.scene.fog.density = this.fogDensity * 5;
   }
   
   /**
    * Clean up resources when scene is no longer needed
    */
   dispose() {
+    // Cancel pending respawns, they would add to a scene that is gone
+    this.timeouts.forEach(id => clearTimeout(id));
+    this.timeouts.clear();
+    
     // Clean up resources
     this.resources.forEach(resource => {
       resource.dispose();
     });
     
+    this.creatures.forEach(creature => {
+      creature.dispose();
+    });
+    this.creatures = [];
+    
     // Clean up geometries and materials
     if (this.terrain) {
       this.terrain.geometry.dispose();
@@ -872,21 +1454,37 @@ export default class Prehistoric {
       this.water.material.dispose();
     }
     
-    this.rocks.forEach(rock => {
-      rock.geometry.dispose();
-      rock.material.dispose();
+    this.scenery.dispose();
+    
+    this.shelters.forEach(shelter => {
+      shelter.mesh.geometry.dispose();
+      shelter.mesh.material.dispose();
     });
+    this.shelters = [];
     
-    this.plants.forEach(plant => {
-      plant.geometry.dispose();
-      plant.material.dispose();
+    this.debris.concat(this.obstacles).forEach(piece => {
+      piece.mesh.geometry.dispose();
+      piece.mesh.material.dispose();
     });
+    this.debris = [];
+    this.obstacles = [];
+    
+    if (this.shockwave) {
+      this.shockwave.geometry.dispose();
+      this.shockwave.material.dispose();
+    }
     
     this.boundaries.forEach(boundary => {
       boundary.geometry.dispose();
       boundary.material.dispose();
     });
     
+    this.collision.clear();
+    this.resourceIndex.clear();
+    this.lightBudget.dispose();
+    this.creatureIndex.clear();
+    this.rockIndex.clear();
+    
     if (this.meteor) {
       this.meteor.geometry.dispose();
       this.meteor.material.dispose();
@@ -905,16 +1503,28 @@ export default class Prehistoric {
    * @returns {Object|null} Environment object to interact with or null if none found
    */
   getEnvironmentInteractable(position, radius) {
+    // Creatures can be followed (herbivores) or scared off (predators)
+    const creature = this._getNearbyCreature(position, radius);
+    if (creature) {
+      return {
+        type: 'creature',
+        kind: creature.kind,
+        object: creature.mesh,
+        creature: creature,
+        position: creature.mesh.position.clone()
+      };
+    }
+    
     // Check for rock interactions - could reveal shelter or resources in prehistoric stage
-    for (const rock of this.rocks) {
-      const distance = position.distanceTo(rock.position);
-      if (distance < radius) {
-        return {
-          type: 'rock',
-          object: rock,
-          position: rock.position.clone()
-        };
-      }
+    const rock = this.rockIndex.findNearest(position, radius);
+    if (rock) {
+      return {
+        type: 'rock',
+        object: rock,
+        position: rock.position.clone(),
+        canShelter: this.meteorWarningActive && !rock.shelter,
+        shelterCost: SHELTER_COST
+      };
     }
     
     return null;
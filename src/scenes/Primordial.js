@@ -1,5 +1,40 @@
 import * as THREE from 'three';
 import { createResourceForStage } from '../entities/Resource.js';
+import FloodWater from '../entities/FloodWater.js';
+import Heightfield from '../utils/Heightfield.js';
+import Collision from '../core/Collision.js';
+import SpatialIndex from '../utils/SpatialIndex.js';
+import LightBudget from '../utils/LightBudget.js';
+import { createGlowSprite, setGlowStrength } from '../utils/Glow.js';
+import showDebugMessage from '../utils/DebugHelper.js';
+
+// How far floating particles wander from where they were spawned (world units)
+const PARTICLE_DRIFT = 2.4;
+
+// The flood rises from below the soup to its peak over the last seconds of the timer
+const FLOOD_RISE_SECONDS = 20;
+const FLOOD_START_LEVEL = -0.6;
+const FLOOD_PEAK_LEVEL = 0.15; // Crests of the soup stay just above the water
+
+// Water deeper than this over the ground closes over the player
+const SUBMERGE_DEPTH = 0.35;
+
+// Raised rises in the soup whose tops stay clear of the flood's peak, even in a wave trough
+// (plane coordinates: x is world x, y is world -z)
+const RISES = [
+  { x: -12, y: 10, radius: 4, height: 0.6 },
+  { x: 14, y: 6, radius: 3.5, height: 0.6 },
+  { x: 2, y: -14, radius: 4.5, height: 0.6 }
+];
+
+// Phases sampled across one wave when finding how low the ground under a point gets
+const WAVE_SAMPLES = 16;
+
+// Slowest the player can wade (fraction of normal speed)
+const MIN_WADE_SPEED = 0.35;
+
+// How fast the surge carries floating resources around the basin (units per second)
+const CURRENT_SPEED = 0.6;
 
 /**
  * First stage: Primordial Soup scene
@@ -13,17 +48,32 @@ export default class Primordial {
   constructor(game, config) {
     this.game = game;
     this.config = config;
+    
+    // Seeded stream so the same seed always generates the same world
+    this.random = game.createStageRandom('primordial');
+    // Particles get their own stream so the quality tier's particle counts never shift the layout
+    this.particleRandom = this.random.fork('particles');
+    this.quality = game.quality.getSettings(); // Tier the scene is built for
+    this.fogDensity = config.fogDensity * this.quality.fogScale;
     this.resources = [];
+    this.timeouts = new Set(); // Pending resource respawns, cancelled on dispose
     this.willToLiveObj = null;
+    this.willToLiveLight = null; // Shared light request while the orb is out
+    this.willToLiveHalo = null;
     this.floodWarningActive = false;
+    this.collision = new Collision();
+    this.resourceIndex = new SpatialIndex();
     
     this.scene = new THREE.Scene();
+    // The player's light and the two atmosphere lights count against the tier's cap
+    const fixedLights = this.quality.atmosphereLights ? 3 : 1;
+    this.lightBudget = new LightBudget(this.scene, this.quality.pointLights - fixedLights);
     
     // Start with a dark, desaturated background before will-to-live
     this.scene.background = new THREE.Color(0x111824);
     
     // Limited visibility with dense fog - more oppressive before will-to-live
-    this.scene.fog = new THREE.FogExp2(0x111824, config.fogDensity * 1.5);
+    this.scene.fog = new THREE.FogExp2(0x111824, this.fogDensity * 1.5);
     
     this._setupLights();
     this._setupEnvironment();
@@ -44,6 +94,7 @@ export default class Primordial {
     // Ambient light (very dim for pre-will-to-live primordial)
     const ambient = new THREE.AmbientLight(0x334455, 0.5);
     this.scene.add(ambient);
+    this.sceneLights = [ambient];
     
     // Directional light (dim light source before will-to-live)
     const directional = new THREE.DirectionalLight(0x445566, 0.6);
@@ -51,8 +102,8 @@ export default class Primordial {
     directional.castShadow = true;
     
     // Shadow settings for mobile optimization
-    directional.shadow.mapSize.width = 1024;
-    directional.shadow.mapSize.height = 1024;
+    directional.shadow.mapSize.width = this.quality.shadowMapSize;
+    directional.shadow.mapSize.height = this.quality.shadowMapSize;
     directional.shadow.camera.near = 0.5;
     directional.shadow.camera.far = 50;
     directional.shadow.camera.left = -10;
@@ -61,6 +112,9 @@ export default class Primordial {
     directional.shadow.camera.bottom = -10;
     
     this.scene.add(directional);
+    this.sceneLights.push(directional);
+    
+    if (!this.quality.atmosphereLights) return;
     
     // Additional point lights for atmosphere
     const blueLight = new THREE.PointLight(0x0044ff, 0.5, 20);
@@ -70,6 +124,7 @@ export default class Primordial {
     const greenLight = new THREE.PointLight(0x00ff88, 0.3, 15);
     greenLight.position.set(8, 2, 8);
     this.scene.add(greenLight);
+    this.sceneLights.push(blueLight, greenLight);
   }
   
   /**
@@ -80,28 +135,6 @@ export default class Primordial {
     // Ground plane - wavy primordial soup
     const groundGeometry = new THREE.PlaneGeometry(50, 50, 32, 32);
     
-    // Create subtle waves in the primordial soup
-    const positionAttribute = groundGeometry.getAttribute('position');
-    const vertex = new THREE.Vector3();
-    
-    for (let i = 0; i < positionAttribute.count; i++) {
-      vertex.fromBufferAttribute(positionAttribute, i);
-      
-      // Skip the edges to maintain a flat border
-      if (Math.abs(vertex.x) < 24 && Math.abs(vertex.y) < 24) {
-        const distance = vertex.length();
-        // Increase wave height by 2x for more noticeable terrain variation
-        const waveHeight = 0.4 * Math.sin(distance * 0.5) + 
-                          0.2 * Math.sin(vertex.x * 0.3) * Math.sin(vertex.y * 0.4);
-        vertex.z = waveHeight;
-      }
-      
-      positionAttribute.setXYZ(i, vertex.x, vertex.y, vertex.z);
-    }
-    
-    // Update normals for correct lighting
-    groundGeometry.computeVertexNormals();
-    
     // Dark, desaturated material for the primordial soup before will-to-live
     const groundMaterial = new THREE.MeshStandardMaterial({
       color: 0x222233,
@@ -110,12 +143,48 @@ export default class Primordial {
       side: THREE.DoubleSide
     });
     
+    // The waves run in the vertex shader, so the CPU never rewrites the ground
+    this.waveTime = 0;
+    this.groundUniforms = { waveTime: { value: 0 } };
+    groundMaterial.onBeforeCompile = shader => {
+      shader.uniforms.waveTime = this.groundUniforms.waveTime;
+      
+      // Same shape as _getWaveHeight() (z is up before the plane is laid flat)
+      const rises = RISES.map(rise =>
+        `  height += ${rise.height.toFixed(2)} * exp(-dot(p - vec2(${rise.x.toFixed(1)}, ${rise.y.toFixed(1)}), ` +
+        `p - vec2(${rise.x.toFixed(1)}, ${rise.y.toFixed(1)})) / ${(rise.radius * rise.radius).toFixed(2)});\n`
+      ).join('');
+      shader.vertexShader = 'uniform float waveTime;\n' +
+        'float soupWave(vec2 p) {\n' +
+        '  if (abs(p.x) >= 24.0 || abs(p.y) >= 24.0) return 0.0;\n' +
+        '  float height = 0.2 * sin(length(p) * 0.5 + waveTime) +\n' +
+        '                 0.1 * sin(p.x * 0.3 + waveTime) * sin(p.y * 0.4 + waveTime);\n' +
+        rises +
+        '  return height;\n' +
+        '}\n' +
+        shader.vertexShader
+          .replace(
+            '#include <beginnormal_vertex>',
+            '#include <beginnormal_vertex>\n' +
+            'objectNormal = normalize(vec3(\n' +
+            '  soupWave(position.xy - vec2(0.25, 0.0)) - soupWave(position.xy + vec2(0.25, 0.0)),\n' +
+            '  soupWave(position.xy - vec2(0.0, 0.25)) - soupWave(position.xy + vec2(0.0, 0.25)),\n' +
+            '  0.5));'
+          )
+          .replace(
+            '#include <begin_vertex>',
+            '#include <begin_vertex>\ntransformed.z += soupWave(position.xy);'
+          );
+    };
+    
     this.ground = new THREE.Mesh(groundGeometry, groundMaterial);
     this.ground.rotation.x = -Math.PI / 2;
     this.ground.receiveShadow = true;
     this.scene.add(this.ground);
+    this.heightfield = new Heightfield(this.ground, (x, y) => this._getWaveHeight(x, y));
     
-    // Add particles for atmosphere
+    // Add particles for atmosphere (they share one drift clock, even after being replaced)
+    this.particleUniforms = { driftTime: { value: 0 } };
     this._createParticles();
     
     // Add boundary to prevent player from leaving area
@@ -128,17 +197,17 @@ export default class Primordial {
    */
   _createParticles() {
     // Create particles in the air
-    const particleCount = 500;
+    const particleCount = Math.round(500 * this.quality.particleScale);
     const particles = new THREE.BufferGeometry();
     const positions = new Float32Array(particleCount * 3);
     
     for (let i = 0; i < particleCount; i++) {
       const i3 = i * 3;
       // Random position within a cylinder
-      const radius = 20 * Math.random();
-      const theta = Math.random() * Math.PI * 2;
+      const radius = 20 * this.particleRandom.next();
+      const theta = this.particleRandom.next() * Math.PI * 2;
       positions[i3] = radius * Math.cos(theta);
-      positions[i3 + 1] = Math.random() * 5; // Height
+      positions[i3 + 1] = this.particleRandom.next() * 5; // Height
       positions[i3 + 2] = radius * Math.sin(theta);
     }
     
@@ -152,11 +221,34 @@ export default class Primordial {
       opacity: 0.3,
       blending: THREE.AdditiveBlending
     });
+    this._addParticleDrift(particleMaterial);
     
     this.particles = new THREE.Points(particles, particleMaterial);
     this.scene.add(this.particles);
   }
   
+  /**
+   * Let particles wander in the vertex shader instead of rewriting their positions
+   * @private
+   * @param {THREE.PointsMaterial} material - Particle material to patch
+   */
+  _addParticleDrift(material) {
+    material.onBeforeCompile = shader => {
+      shader.uniforms.driftTime = this.particleUniforms.driftTime;
+      shader.vertexShader = 'uniform float driftTime;\n' +
+        shader.vertexShader.replace(
+          '#include <begin_vertex>',
+          '#include <begin_vertex>\n' +
+          'float particleId = float(gl_VertexID);\n' +
+          'transformed += vec3(\n' +
+          '  sin(driftTime + particleId * 0.1),\n' +
+          '  cos(driftTime + particleId * 0.05),\n' +
+          '  sin(driftTime + particleId * 0.07)\n' +
+          `) * ${PARTICLE_DRIFT.toFixed(1)};`
+        );
+    };
+  }
+  
   /**
    * Create boundary walls to contain player
    * @private
@@ -197,6 +289,7 @@ export default class Primordial {
     
     // Store for collision detection
     this.boundaries = [northWall, southWall, eastWall, westWall];
+    this.boundaries.forEach(wall => this.collision.addBoxFromObject(wall));
   }
   
   /**
@@ -209,14 +302,13 @@ export default class Primordial {
     
     for (let i = 0; i < initialResourceCount; i++) {
       const position = {
-        x: (Math.random() - 0.5) * 40,
-        y: 0.3 + Math.random() * 0.3, // Slightly above ground
-        z: (Math.random() - 0.5) * 40
+        x: (this.random.next() - 0.5) * 40,
+        y: 0.3 + this.random.next() * 0.3, // Slightly above ground
+        z: (this.random.next() - 0.5) * 40
       };
       
-      const resource = createResourceForStage('primordial', position);
-      this.resources.push(resource);
-      this.scene.add(resource.mesh);
+      const resource = createResourceForStage('primordial', position, {}, this.random);
+      this._addResource(resource);
     }
   }
   
@@ -245,8 +337,8 @@ export default class Primordial {
       const minDistance = 10; // Not too close to start point
       
       // Calculate distance within safe range
-      const distance = minDistance + (Math.random() * (maxDistance - minDistance));
-      const angle = Math.random() * Math.PI * 2;
+      const distance = minDistance + (this.random.next() * (maxDistance - minDistance));
+      const angle = this.random.next() * Math.PI * 2;
       
       // Calculate position
       const x = Math.cos(angle) * distance;
@@ -260,12 +352,19 @@ export default class Primordial {
       // Set position with validated coordinates
       this.willToLiveObj.position.set(safeX, 0.8, safeZ);
       
-      // Add a point light to make it glow
-      const light = new THREE.PointLight(0x88ccff, 4, 8);
-      this.willToLiveObj.add(light);
+      // Make it glow: a halo plus a shared light that outranks event triggers
+      this.willToLiveHalo = createGlowSprite(0x88ccff, 4, 0.8);
+      this.willToLiveObj.add(this.willToLiveHalo);
       
       // Add to scene
       this.scene.add(this.willToLiveObj);
+      this.willToLiveLight = this.lightBudget.request({
+        position: this.willToLiveObj.position,
+        color: 0x88ccff,
+        intensity: 1.5,
+        distance: 8,
+        priority: 2
+      });
       
       // Set user data for identification
       this.willToLiveObj.userData.type = 'willToLive';
@@ -279,73 +378,68 @@ export default class Primordial {
   update(deltaTime) {
     // Update resources
     this.resources.forEach(resource => {
-      resource.update(deltaTime);
+      if (resource.collected || !resource.mesh) return;
+      resource.update(deltaTime, this.getGroundHeight(resource.mesh.position.x, resource.mesh.position.z));
     });
     
+    // Lend the shared lights to the effects nearest the player
+    const player = this.game.state.player;
+    this.lightBudget.update(deltaTime, player && player.mesh ? player.mesh.position : null);
+    
     // Animate will to live object
     if (this.willToLiveObj) {
       // Gentle floating and rotation
-      this.willToLiveObj.position.y = 0.5 + Math.sin(Date.now() * 0.001) * 0.2;
+      const { x, z } = this.willToLiveObj.position;
+      this.willToLiveObj.position.y = this.getGroundHeight(x, z) + 0.6 + Math.sin(Date.now() * 0.001) * 0.2;
       this.willToLiveObj.rotation.y += 0.01;
       
       // Pulse the light
-      if (this.willToLiveObj.children[0]) {
-        this.willToLiveObj.children[0].intensity = 1.5 + Math.sin(Date.now() * 0.002) * 0.5;
-      }
+      const pulse = 1 + Math.sin(Date.now() * 0.002) / 3;
+      this.willToLiveLight.intensity = 1.5 * pulse;
+      setGlowStrength(this.willToLiveHalo, pulse);
     }
     
-    // Make the ground "waves" move
-    if (this.ground) {
-      const positionAttribute = this.ground.geometry.getAttribute('position');
-      const vertex = new THREE.Vector3();
-      
-      for (let i = 0; i < positionAttribute.count; i++) {
-        vertex.fromBufferAttribute(positionAttribute, i);
-        
-        // Skip the edges to maintain a flat border
-        if (Math.abs(vertex.x) < 24 && Math.abs(vertex.y) < 24) {
-          const distance = vertex.length();
-          const time = Date.now() * 0.0005;
-          const waveHeight = 0.2 * Math.sin(distance * 0.5 + time) + 
-                            0.1 * Math.sin(vertex.x * 0.3 + time) * Math.sin(vertex.y * 0.4 + time);
-          vertex.z = waveHeight;
-        }
-        
-        positionAttribute.setXYZ(i, vertex.x, vertex.y, vertex.z);
-      }
-      
-      positionAttribute.needsUpdate = true;
-    }
+    // Make the ground "waves" move (shared with the ground shader)
+    this.waveTime += deltaTime * 0.0005;
+    this.groundUniforms.waveTime.value = this.waveTime;
     
     // Animate particles
-    if (this.particles) {
-      const positions = this.particles.geometry.getAttribute('position');
-      const time = Date.now() * 0.00025;
-      
-      for (let i = 0; i < positions.count; i++) {
-        const i3 = i * 3;
-        const x = positions.array[i3];
-        const y = positions.array[i3 + 1];
-        const z = positions.array[i3 + 2];
-        
-        // Subtle movement for floating particles
-        positions.array[i3] = x + Math.sin(time + i * 0.1) * 0.01;
-        positions.array[i3 + 1] = y + Math.cos(time + i * 0.05) * 0.01;
-        positions.array[i3 + 2] = z + Math.sin(time + i * 0.07) * 0.01;
-      }
-      
-      positions.needsUpdate = true;
-    }
+    this.particleUniforms.driftTime.value += deltaTime * 0.00025;
     
     // Check for collision with boundaries
     this._checkBoundaryCollision();
     
     // Update flood warning effects
     if (this.floodWarningActive) {
-      this._updateFloodWarning();
+      this._updateFloodWarning(deltaTime);
     }
   }
   
+  /**
+   * Animated soup height at a point of the ground plane, over the fixed rises (flat near the border)
+   * Matches the ground's vertex shader.
+   * @private
+   * @param {number} x - Plane x (world x)
+   * @param {number} y - Plane y (world -z, since the plane is laid flat)
+   * @param {number} time - Wave clock (defaults to the current one)
+   * @returns {number} Wave height
+   */
+  _getWaveHeight(x, y, time = this.waveTime || 0) {
+    if (Math.abs(x) >= 24 || Math.abs(y) >= 24) return 0;
+    
+    const distance = Math.sqrt(x * x + y * y);
+    let height = 0.2 * Math.sin(distance * 0.5 + time) + 
+                 0.1 * Math.sin(x * 0.3 + time) * Math.sin(y * 0.4 + time);
+    
+    RISES.forEach(rise => {
+      const dx = x - rise.x;
+      const dy = y - rise.y;
+      height += rise.height * Math.exp(-(dx * dx + dy * dy) / (rise.radius * rise.radius));
+    });
+    
+    return height;
+  }
+  
   /**
    * Check and handle collision with boundaries
    * @private
@@ -371,15 +465,13 @@ export default class Primordial {
   onWillToLiveFound() {
     // Remove the object from scene
     if (this.willToLiveObj) {
-      // Play sound effect using Web Audio API (no external files needed)
-      this._playAwakeningSoundEffect();
+      // Ethereal chord for awakening consciousness
+      this.game.audio.playStinger('awakening');
       
       // Create a ripple effect that changes the world
       const transformationRipple = () => {
         // Initial flash at orb position
-        const flash = new THREE.PointLight(0xffffff, 8, 15);
-        flash.position.copy(this.willToLiveObj.position);
-        this.scene.add(flash);
+        this.lightBudget.flash(this.willToLiveObj.position, 0xffffff, 8, 15, 1500);
         
         // Expanding ring of color
         const ringGeometry = new THREE.RingGeometry(0.1, 0.5, 32);
@@ -411,14 +503,8 @@ export default class Primordial {
         const targetFogDensity = originalFogDensity * 0.3; // Much clearer
         const targetBackground = new THREE.Color(0x225588); // Brighter background
         
-        // Store original light colors and intensities
-        const lights = this.scene.children.filter(child => 
-          child instanceof THREE.AmbientLight || 
-          child instanceof THREE.DirectionalLight ||
-          child instanceof THREE.PointLight
-        );
-        
-        const originalLightData = lights.map(light => ({
+        // Store original light colors and intensities (shared budget lights are left alone)
+        const originalLightData = this.sceneLights.map(light => ({
           light,
           color: light.color.clone(),
           intensity: light.intensity
@@ -460,13 +546,6 @@ export default class Primordial {
             }
           });
           
-          // Flash fades out
-          if (elapsed < 1500) {
-            flash.intensity = 8 * (1 - elapsed / 1500);
-          } else if (flash.parent) {
-            this.scene.remove(flash);
-          }
-          
           // Continue animation if not complete
           if (progress < 1) {
             requestAnimationFrame(animateTransformation);
@@ -497,7 +576,10 @@ export default class Primordial {
       
       // Remove will to live object
       this.scene.remove(this.willToLiveObj);
+      this.lightBudget.release(this.willToLiveLight);
       this.willToLiveObj = null;
+      this.willToLiveLight = null;
+      this.willToLiveHalo = null;
       
       // Spawn more resources
       this._spawnAdditionalResources();
@@ -517,7 +599,7 @@ export default class Primordial {
     }
     
     // Create new, more vibrant particles
-    const particleCount = 800;
+    const particleCount = Math.round(800 * this.quality.particleScale);
     const particles = new THREE.BufferGeometry();
     const positions = new Float32Array(particleCount * 3);
     const colors = new Float32Array(particleCount * 3);
@@ -533,14 +615,14 @@ export default class Primordial {
     for (let i = 0; i < particleCount; i++) {
       const i3 = i * 3;
       // Random position within a cylinder
-      const radius = 20 * Math.random();
-      const theta = Math.random() * Math.PI * 2;
+      const radius = 20 * this.particleRandom.next();
+      const theta = this.particleRandom.next() * Math.PI * 2;
       positions[i3] = radius * Math.cos(theta);
-      positions[i3 + 1] = Math.random() * 5; // Height
+      positions[i3 + 1] = this.particleRandom.next() * 5; // Height
       positions[i3 + 2] = radius * Math.sin(theta);
       
       // Random color from options
-      const color = colorOptions[Math.floor(Math.random() * colorOptions.length)];
+      const color = colorOptions[Math.floor(this.particleRandom.next() * colorOptions.length)];
       colors[i3] = color.r;
       colors[i3 + 1] = color.g;
       colors[i3 + 2] = color.b;
@@ -557,6 +639,7 @@ export default class Primordial {
       vertexColors: true,
       blending: THREE.AdditiveBlending
     });
+    this._addParticleDrift(particleMaterial);
     
     this.particles = new THREE.Points(particles, particleMaterial);
     this.scene.add(this.particles);
@@ -571,14 +654,13 @@ export default class Primordial {
     
     for (let i = 0; i < additionalCount; i++) {
       const position = {
-        x: (Math.random() - 0.5) * 40,
-        y: 0.3 + Math.random() * 0.3,
-        z: (Math.random() - 0.5) * 40
+        x: (this.random.next() - 0.5) * 40,
+        y: 0.3 + this.random.next() * 0.3,
+        z: (this.random.next() - 0.5) * 40
       };
       
-      const resource = createResourceForStage('primordial', position);
-      this.resources.push(resource);
-      this.scene.add(resource.mesh);
+      const resource = createResourceForStage('primordial', position, {}, this.random);
+      this._addResource(resource);
     }
   }
   
@@ -589,18 +671,19 @@ export default class Primordial {
    * @returns {Array} - Array of nearby resources
    */
   getNearbyResources(position, radius) {
-    // Filter resources by distance
-    return this.resources.filter(resource => {
-      if (resource.collected || !resource.mesh) return false;
-      
-      const distance = position.distanceTo(resource.mesh.position);
-      return distance < radius;
-    }).sort((a, b) => {
-      // Sort by closest first
-      const distA = position.distanceTo(a.mesh.position);
-      const distB = position.distanceTo(b.mesh.position);
-      return distA - distB;
-    });
+    // Closest first
+    return this.resourceIndex.findNearby(position, radius, resource => !resource.collected);
+  }
+  
+  /**
+   * Add a resource to the scene and the proximity index
+   * @private
+   * @param {Object} resource - Resource to add
+   */
+  _addResource(resource) {
+    this.resources.push(resource);
+    this.resourceIndex.add(resource, resource.mesh.position);
+    this.scene.add(resource.mesh);
   }
   
   /**
@@ -610,16 +693,17 @@ export default class Primordial {
    */
   collectResource(resource) {
     const value = resource.collect();
+    this.resourceIndex.remove(resource);
     
     // Remove from managed resources after animation completes
-    setTimeout(() => {
+    this._schedule(() => {
       const index = this.resources.indexOf(resource);
       if (index !== -1) {
         this.resources.splice(index, 1);
       }
       
       // Spawn a new resource to replace it
-      if (Math.random() < 0.7) {
+      if (this.random.next() < 0.7) {
         this._spawnReplacementResource();
       }
     }, 1000);
@@ -627,6 +711,20 @@ export default class Primordial {
     return value;
   }
   
+  /**
+   * Run a callback later unless the scene is disposed first
+   * @param {Function} callback - Callback to run
+   * @param {number} delay - Delay in milliseconds
+   * @private
+   */
+  _schedule(callback, delay) {
+    const id = setTimeout(() => {
+      this.timeouts.delete(id);
+      callback();
+    }, delay);
+    this.timeouts.add(id);
+  }
+  
   /**
    * Spawn a replacement resource
    * @private
@@ -636,12 +734,12 @@ export default class Primordial {
     const playerPos = this.game.state.player.mesh.position;
     
     // Random angle but within a reasonable distance from player
-    const angle = Math.random() * Math.PI * 2;
-    const distance = 5 + Math.random() * 15;
+    const angle = this.random.next() * Math.PI * 2;
+    const distance = 5 + this.random.next() * 15;
     
     const position = {
       x: playerPos.x + Math.cos(angle) * distance,
-      y: 0.3 + Math.random() * 0.3,
+      y: 0.3 + this.random.next() * 0.3,
       z: playerPos.z + Math.sin(angle) * distance
     };
     
@@ -649,9 +747,8 @@ export default class Primordial {
     position.x = Math.max(-24, Math.min(24, position.x));
     position.z = Math.max(-24, Math.min(24, position.z));
     
-    const resource = createResourceForStage('primordial', position);
-    this.resources.push(resource);
-    this.scene.add(resource.mesh);
+    const resource = createResourceForStage('primordial', position, {}, this.random);
+    this._addResource(resource);
   }
   
   /**
@@ -662,6 +759,51 @@ export default class Primordial {
     return this.willToLiveObj;
   }
   
+  /**
+   * Height of the soup surface under a point, following the animated waves
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @returns {number} Ground height
+   */
+  getGroundHeight(x, z) {
+    return this.heightfield.getHeight(x, z);
+  }
+  
+  /**
+   * Ground slope under a point
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @param {THREE.Vector3} target - Optional vector to write the result to
+   * @returns {THREE.Vector3} Unit surface normal
+   */
+  getGroundNormal(x, z, target) {
+    return this.heightfield.getNormal(x, z, target);
+  }
+  
+  /**
+   * How much water slows movement at a position, including the rising flood
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {number} Speed multiplier (1 = unaffected)
+   */
+  getSpeedMultiplier(position) {
+    const terrainSpeed = this.collision.getSpeedMultiplier(position.x, position.z);
+    const depth = this._getFloodDepth(position);
+    if (depth <= 0) return terrainSpeed;
+    
+    return terrainSpeed * (1 - Math.min(depth / SUBMERGE_DEPTH, 1) * (1 - MIN_WADE_SPEED));
+  }
+  
+  /**
+   * Depth of flood water over the ground at a position
+   * @private
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {number} Water depth (0 or less when dry)
+   */
+  _getFloodDepth(position) {
+    if (!this.floodWater) return 0;
+    return this.floodWater.level - this.getGroundHeight(position.x, position.z);
+  }
+  
   /**
    * Handle environment interaction (like resource collection)
    * @param {THREE.Vector3} position - Player position
@@ -697,9 +839,10 @@ export default class Primordial {
   
   /**
    * Update flood warning visual effects
+   * @param {number} deltaTime - Simulation time step in milliseconds
    * @private
    */
-  _updateFloodWarning() {
+  _updateFloodWarning(deltaTime) {
     // Gradually change fog color
     if (this.floodWarningData) {
       this.floodWarningData.progress = Math.min(
@@ -717,97 +860,106 @@ export default class Primordial {
         lerpAmount
       );
       
-      // Add rising water effect as flood approaches
-      if (this.floodWarningData.progress > 0.5) {
-        this._updateRisingWater();
-      }
+      this._updateRisingWater(deltaTime);
     }
   }
   
   /**
-   * Create and update rising water effect
+   * Raise the flood water and let it act on the player and floating resources
+   * @param {number} deltaTime - Simulation time step in milliseconds
    * @private
    */
-  _updateRisingWater() {
-    // Create water plane if it doesn't exist
+  _updateRisingWater(deltaTime) {
     if (!this.floodWater) {
-      const waterGeometry = new THREE.PlaneGeometry(100, 100, 32, 32);
-      
-      // Add ripple effect to water
-      const positionAttribute = waterGeometry.getAttribute('position');
-      const vertex = new THREE.Vector3();
-      
-      // Store original positions for animation
-      this.waterPositions = new Float32Array(positionAttribute.array.length);
-      for (let i = 0; i < positionAttribute.array.length; i++) {
-        this.waterPositions[i] = positionAttribute.array[i];
-      }
-      
-      // More visible and dramatic water material
-      const waterMaterial = new THREE.MeshStandardMaterial({
-        color: 0x0055aa,
-        emissive: 0x003366,
-        emissiveIntensity: 0.5,
-        transparent: true,
-        opacity: 0.85,
-        side: THREE.DoubleSide,
-        roughness: 0.2,
-        metalness: 0.8
-      });
-      
-      this.floodWater = new THREE.Mesh(waterGeometry, waterMaterial);
-      this.floodWater.rotation.x = -Math.PI / 2;
-      this.floodWater.position.y = -5; // Start below the ground
-      this.scene.add(this.floodWater);
-      
-      // Add an ambient light to the water to make it glow
-      const waterLight = new THREE.PointLight(0x0088ff, 1.5, 20);
-      waterLight.position.y = 2;
-      this.floodWater.add(waterLight);
+      this.floodWater = new FloodWater({ size: 50, level: FLOOD_START_LEVEL });
+      this.scene.add(this.floodWater.mesh);
     }
     
-    // Gradually raise the water level
-    const timeLeft = this.game.state.timer;
-    const maxHeight = 2.0; // Increased max height for more dramatic effect
+    // Include the part of the current second so the water rises smoothly
+    const timeLeft = Math.max(0, this.game.state.timer - this.game.stageManager.floodTimerElapsed / 1000);
+    const progress = Math.min(1, Math.max(0, (FLOOD_RISE_SECONDS - timeLeft) / FLOOD_RISE_SECONDS));
     
-    if (timeLeft < 15) {
-      const progress = (15 - timeLeft) / 15;
-      this.floodWater.position.y = -5 + (progress * (maxHeight + 5));
-      
-      // Make the water more opaque as it rises
-      this.floodWater.material.opacity = 0.7 + (progress * 0.3);
-      
-      // Add ripple animation to water
-      const positionAttribute = this.floodWater.geometry.getAttribute('position');
-      const time = Date.now() * 0.001;
-      const vertex = new THREE.Vector3();
+    this.floodWater.setLevel(FLOOD_START_LEVEL + progress * (FLOOD_PEAK_LEVEL - FLOOD_START_LEVEL));
+    this.floodWater.setRippleHeight(0.05 + progress * 0.1);
+    this.floodWater.mesh.material.opacity = 0.7 + (progress * 0.2);
+    this.floodWater.update(deltaTime);
+    
+    // Increase fog density as water rises
+    this.scene.fog.density = this.fogDensity * (1 + progress * 0.5);
+    
+    // Add splash particles if not already added
+    if (!this.splashParticles && timeLeft < 8) {
+      this._createSplashParticles();
+    }
+    
+    this._updateSubmergedPlayer();
+    this._updateFloatingResources(deltaTime);
+  }
+  
+  /**
+   * Warn the player once the water closes over them
+   * @private
+   */
+  _updateSubmergedPlayer() {
+    const player = this.game.state.player;
+    if (!player || !player.mesh) return;
+    
+    // The player rests on the ground, so deep enough water covers them
+    const submerged = this._getFloodDepth(player.mesh.position) > SUBMERGE_DEPTH;
+    if (submerged && !this.playerSubmerged) {
+      showDebugMessage.critical('The water is closing over you! Find higher ground');
+    }
+    this.playerSubmerged = submerged;
+  }
+  
+  /**
+   * How far the flood reaches over a spot at its worst
+   * Uses the lowest the ground there gets over a whole wave, so it depends on where the
+   * player stands (on a rise or not) rather than on the wave's phase.
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {number} 0 when the water never reaches it, 1 when it closes over the player
+   */
+  getFloodExposure(position) {
+    const level = this.floodWater ? this.floodWater.level : FLOOD_PEAK_LEVEL;
+    
+    let lowest = Infinity;
+    for (let i = 0; i < WAVE_SAMPLES; i++) {
+      const time = (i / WAVE_SAMPLES) * Math.PI * 2;
+      lowest = Math.min(lowest, this._getWaveHeight(position.x, -position.z, time));
+    }
+    
+    return Math.min(1, Math.max(0, (level - lowest) / SUBMERGE_DEPTH));
+  }
+  
+  /**
+   * Lift resources the water reaches and carry them on the current
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   * @private
+   */
+  _updateFloatingResources(deltaTime) {
+    const drift = CURRENT_SPEED * deltaTime / 1000;
+    
+    this.resources.forEach(resource => {
+      if (resource.collected || !resource.mesh) return;
       
-      for (let i = 0; i < positionAttribute.count; i++) {
-        const i3 = i * 3;
-        // Get original position
-        const x = this.waterPositions[i3];
-        const y = this.waterPositions[i3 + 1];
-        const z = this.waterPositions[i3 + 2];
-        
-        // Add ripple effect - more intense as timer gets lower
-        const distance = Math.sqrt(x * x + y * y);
-        const intensity = Math.min(1, (15 - timeLeft) / 10);
-        const ripple = Math.sin(distance * 1.5 - time * 2) * 0.15 * intensity;
-        
-        // Apply ripple
-        positionAttribute.setZ(i, z + ripple);
-      }
+      const position = resource.mesh.position;
+      if (this._getFloodDepth(position) <= 0) return;
       
-      positionAttribute.needsUpdate = true;
+      // The surge swirls around the basin, pulling slightly outwards
+      const distance = Math.hypot(position.x, position.z) || 1;
+      const dirX = position.x / distance;
+      const dirZ = position.z / distance;
+      position.x += (-dirZ + dirX * 0.3) * drift;
+      position.z += (dirX + dirZ * 0.3) * drift;
       
-      // Increase fog density as water rises
-      this.scene.fog.density = this.config.fogDensity * (1 + progress * 0.5);
+      // Keep them inside the boundary
+      const limit = 23;
+      if (Math.abs(position.x) > limit) position.x = Math.sign(position.x) * limit;
+      if (Math.abs(position.z) > limit) position.z = Math.sign(position.z) * limit;
       
-      // Add splash particles if not already added
-      if (!this.splashParticles && timeLeft < 8) {
-        this._createSplashParticles();
-      }
-    }
+      position.y = this.floodWater.getSurfaceHeight(position.x, position.z) + 0.15;
+      this.resourceIndex.update(resource);
+    });
   }
   
   /**
@@ -815,19 +967,19 @@ export default class Primordial {
    * @private
    */
   _createSplashParticles() {
-    const particleCount = 200;
+    const particleCount = Math.round(200 * this.quality.particleScale);
     const particleGeometry = new THREE.BufferGeometry();
     const positions = new Float32Array(particleCount * 3);
     
     // Create particles at water level
-    const waterY = this.floodWater.position.y;
+    const waterY = this.floodWater.level;
     
     for (let i = 0; i < particleCount; i++) {
       const i3 = i * 3;
-      const radius = 20 * Math.random();
-      const angle = Math.random() * Math.PI * 2;
+      const radius = 20 * this.particleRandom.next();
+      const angle = this.particleRandom.next() * Math.PI * 2;
       positions[i3] = Math.cos(angle) * radius;
-      positions[i3 + 1] = waterY + Math.random() * 0.5;
+      positions[i3 + 1] = waterY + this.particleRandom.next() * 0.5;
       positions[i3 + 2] = Math.sin(angle) * radius;
     }
     
@@ -850,73 +1002,50 @@ export default class Primordial {
    */
   showFloodSurvival() {
     // Create bright flash of light
-    const flash = new THREE.PointLight(0xffffff, 10, 100);
-    flash.position.set(0, 10, 0);
-    this.scene.add(flash);
+    this.lightBudget.flash(new THREE.Vector3(0, 10, 0), 0xffffff, 10, 100, 3000);
     
     // Fade out the flood
+    this.floodWarningActive = false;
     if (this.floodWater) {
+      const floodWater = this.floodWater;
       const startTime = Date.now();
-      const startOpacity = this.floodWater.material.opacity;
+      const startOpacity = floodWater.mesh.material.opacity;
       
       const animateWaterFade = () => {
         const elapsed = Date.now() - startTime;
         if (elapsed < 2000) {
-          this.floodWater.material.opacity = startOpacity * (1 - elapsed / 2000);
+          floodWater.mesh.material.opacity = startOpacity * (1 - elapsed / 2000);
           requestAnimationFrame(animateWaterFade);
-        } else {
-          this.scene.remove(this.floodWater);
+        } else if (this.floodWater === floodWater) {
+          floodWater.dispose();
+          this.floodWater = null;
         }
       };
       
       animateWaterFade();
     }
-    
-    // Fade out the flash
-    const startTime = Date.now();
-    
-    const animateFlash = () => {
-      const elapsed = Date.now() - startTime;
-      if (elapsed < 3000) {
-        flash.intensity = 10 * (1 - elapsed / 3000);
-        requestAnimationFrame(animateFlash);
-      } else {
-        this.scene.remove(flash);
-      }
-    };
-    
-    animateFlash();
   }
   
   /**
    * Show failure animation when player doesn't have enough resources
    */
   showFloodFailure() {
-    // Raise water rapidly
+    // Stop the timed rise and raise water rapidly
+    this.floodWarningActive = false;
     if (!this.floodWater) {
-      const waterGeometry = new THREE.PlaneGeometry(100, 100);
-      const waterMaterial = new THREE.MeshStandardMaterial({
-        color: 0x001133,
-        transparent: true,
-        opacity: 0.8,
-        side: THREE.DoubleSide
-      });
-      
-      this.floodWater = new THREE.Mesh(waterGeometry, waterMaterial);
-      this.floodWater.rotation.x = -Math.PI / 2;
-      this.floodWater.position.y = -2;
-      this.scene.add(this.floodWater);
+      this.floodWater = new FloodWater({ size: 50, level: -2, color: 0x001133 });
+      this.scene.add(this.floodWater.mesh);
     }
     
-    // Rapidly raise water
+    const floodWater = this.floodWater;
     const startTime = Date.now();
-    const startY = this.floodWater.position.y;
+    const startY = floodWater.level;
     const targetY = 10; // Well above player
     
     const animateFlood = () => {
       const elapsed = Date.now() - startTime;
       if (elapsed < 4000) {
-        this.floodWater.position.y = startY + (targetY - startY) * (elapsed / 4000);
+        floodWater.setLevel(startY + (targetY - startY) * (elapsed / 4000));
         requestAnimationFrame(animateFlood);
       }
     };
@@ -945,6 +1074,10 @@ export default class Primordial {
    * Clean up resources when scene is no longer needed
    */
   dispose() {
+    // Cancel pending respawns, they would add to a scene that is gone
+    this.timeouts.forEach(id => clearTimeout(id));
+    this.timeouts.clear();
+    
     // Clean up resources
     this.resources.forEach(resource => {
       resource.dispose();
@@ -967,8 +1100,8 @@ export default class Primordial {
     }
     
     if (this.floodWater) {
-      this.floodWater.geometry.dispose();
-      this.floodWater.material.dispose();
+      this.floodWater.dispose();
+      this.floodWater = null;
     }
     
     if (this.splashParticles) {
@@ -980,6 +1113,10 @@ export default class Primordial {
       boundary.geometry.dispose();
       boundary.material.dispose();
     });
+    
+    this.collision.clear();
+    this.resourceIndex.clear();
+    this.lightBudget.dispose();
   }
   
   /**
@@ -1004,97 +1141,4 @@ export default class Primordial {
     // No villages in primordial stage
     return null;
   }
-  
-  /**
-   * Create an ethereal sound effect for awakening consciousness
-   * @private
-   */
-  _playAwakeningSoundEffect() {
-    try {
-      // Create audio context
-      const AudioContext = window.AudioContext || window.webkitAudioContext;
-      if (!AudioContext) return;
-      
-      const audioCtx = new AudioContext();
-      
-      // Create oscillators for chord
-      const oscillators = [];
-      const gainNodes = [];
-      
-      // Create frequencies for an ethereal chord
-      const frequencies = [196.0, 293.7, 392.0, 493.9]; // G, D, G, B - an open G chord
-      
-      // Create oscillators and connect them
-      frequencies.forEach((freq, i) => {
-        // Create oscillator
-        const oscillator = audioCtx.createOscillator();
-        oscillator.type = i % 2 === 0 ? 'sine' : 'triangle';
-        oscillator.frequency.value = freq;
-        
-        // Create gain node for envelope
-        const gainNode = audioCtx.createGain();
-        gainNode.gain.value = 0;
-        
-        // Connect oscillator to gain node
-        oscillator.connect(gainNode);
-        gainNode.connect(audioCtx.destination);
-        
-        // Store for later use
-        oscillators.push(oscillator);
-        gainNodes.push(gainNode);
-        
-        // Start oscillator
-        oscillator.start();
-        
-        // Fade in
-        gainNode.gain.setValueAtTime(0, audioCtx.currentTime);
-        gainNode.gain.linearRampToValueAtTime(0.1, audioCtx.currentTime + 0.5 + (i * 0.2));
-        
-        // Fade out after delay
-        gainNode.gain.linearRampToValueAtTime(0.1, audioCtx.currentTime + 2.5 + (i * 0.3));
-        gainNode.gain.linearRampToValueAtTime(0, audioCtx.currentTime + 4 + (i * 0.5));
-        
-        // Schedule stop
-        setTimeout(() => {
-          oscillator.stop();
-        }, 6000);
-      });
-      
-      // Add a gentle frequency sweep for mystical effect
-      const sweepOsc = audioCtx.createOscillator();
-      sweepOsc.type = 'sine';
-      sweepOsc.frequency.value = 600;
-      
-      // Create filter for sweep
-      const filter = audioCtx.createBiquadFilter();
-      filter.type = 'lowpass';
-      filter.frequency.value = 800;
-      filter.Q.value = 10;
-      
-      // Connect sweep through filter
-      const sweepGain = audioCtx.createGain();
-      sweepGain.gain.value = 0;
-      
-      sweepOsc.connect(filter);
-      filter.connect(sweepGain);
-      sweepGain.connect(audioCtx.destination);
-      
-      // Sweep the frequency
-      sweepOsc.frequency.setValueAtTime(600, audioCtx.currentTime);
-      sweepOsc.frequency.exponentialRampToValueAtTime(100, audioCtx.currentTime + 3);
-      
-      // Fade in and out
-      sweepGain.gain.setValueAtTime(0, audioCtx.currentTime);
-      sweepGain.gain.linearRampToValueAtTime(0.03, audioCtx.currentTime + 0.3);
-      sweepGain.gain.linearRampToValueAtTime(0, audioCtx.currentTime + 3);
-      
-      // Start and stop sweep
-      sweepOsc.start();
-      setTimeout(() => {
-        sweepOsc.stop();
-      }, 3500);
-    } catch (error) {
-      console.warn('Could not create awakening sound effect:', error);
-    }
-  }
 }
\ No newline at end of file
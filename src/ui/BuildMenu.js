@@ -0,0 +1,149 @@
+import { structureTypes } from '../entities/Structure.js';
+
+/**
+ * Touch-friendly build mode toggle and structure picker for the ordered world
+ */
+export default class BuildMenu {
+  /**
+   * Initialize the build menu
+   * @param {Object} game - Reference to main game instance
+   * @param {Construction} construction - Construction system to drive
+   */
+  constructor(game, construction) {
+    this.game = game;
+    this.construction = construction;
+    this.typeButtons = {};
+    this.lastStatus = null;
+    
+    this._createToggleButton();
+    this._createPanel();
+  }
+  
+  /**
+   * Create the button that enters and leaves build mode
+   * @private
+   */
+  _createToggleButton() {
+    const button = document.createElement('div');
+    button.id = 'build-button';
+    button.style.position = 'absolute';
+    button.style.bottom = '250px';
+    button.style.right = '80px';
+    button.style.width = '80px';
+    button.style.padding = '8px 0';
+    button.style.borderRadius = '20px';
+    button.style.backgroundColor = 'rgba(255, 255, 255, 0.5)';
+    button.style.color = '#333';
+    button.style.fontSize = '16px';
+    button.style.textAlign = 'center';
+    button.style.userSelect = 'none';
+    button.style.cursor = 'pointer';
+    button.style.zIndex = '100';
+    button.innerText = 'Build';
+    
+    button.addEventListener('click', () => {
+      this.construction.toggle();
+      this.update();
+    });
+    
+    document.body.appendChild(button);
+    this.toggleButton = button;
+  }
+  
+  /**
+   * Create the structure picker shown while building
+   * @private
+   */
+  _createPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'build-panel';
+    panel.style.position = 'absolute';
+    panel.style.bottom = '300px';
+    panel.style.right = '20px';
+    panel.style.width = '200px';
+    panel.style.padding = '10px';
+    panel.style.borderRadius = '10px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    panel.style.color = 'white';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '14px';
+    panel.style.zIndex = '100';
+    panel.style.display = 'none';
+    
+    Object.entries(structureTypes).forEach(([type, config]) => {
+      const button = this._createButton(`${config.name} (${config.cost})`, () => {
+        this.construction.selectType(type);
+        this.update();
+      });
+      this.typeButtons[type] = button;
+      panel.appendChild(button);
+    });
+    
+    panel.appendChild(this._createButton('Rotate', () => {
+      this.construction.rotate();
+      this.update();
+    }));
+    
+    // Why the current spot is blocked, if it is
+    this.status = document.createElement('div');
+    this.status.style.marginTop = '6px';
+    this.status.style.minHeight = '18px';
+    this.status.style.color = '#ff8888';
+    panel.appendChild(this.status);
+    
+    document.body.appendChild(panel);
+    this.panel = panel;
+  }
+  
+  /**
+   * Create a panel button
+   * @private
+   * @param {string} text - Button label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLDivElement} Button element
+   */
+  _createButton(text, onClick) {
+    const button = document.createElement('div');
+    button.innerText = text;
+    button.style.padding = '8px';
+    button.style.margin = '4px 0';
+    button.style.borderRadius = '5px';
+    button.style.backgroundColor = '#16213e';
+    button.style.border = '1px solid #304d6d';
+    button.style.textAlign = 'center';
+    button.style.userSelect = 'none';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+  
+  /**
+   * Sync the menu with build mode state
+   */
+  update() {
+    const { active, selectedType, placement } = this.construction;
+    
+    this.toggleButton.innerText = active ? 'Done' : 'Build';
+    this.panel.style.display = active ? 'block' : 'none';
+    if (!active) return;
+    
+    Object.entries(this.typeButtons).forEach(([type, button]) => {
+      button.style.backgroundColor = type === selectedType ? '#304d6d' : '#16213e';
+    });
+    
+    // Only touch the DOM when the message changes
+    const status = placement && !placement.valid ? placement.reason : '';
+    if (status !== this.lastStatus) {
+      this.status.textContent = status;
+      this.lastStatus = status;
+    }
+  }
+  
+  /**
+   * Remove the menu elements
+   */
+  dispose() {
+    this.toggleButton.remove();
+    this.panel.remove();
+  }
+}
@@ -1,8 +1,16 @@
 import nipplejs from 'nipplejs';
 import showDebugMessage from '../utils/DebugHelper.js';
 
+// Horizontal center of the joystick for each side setting
+const JOYSTICK_POSITIONS = {
+  left: '100px',
+  center: '50%',
+  right: 'calc(100% - 100px)'
+};
+
 /**
  * Touch controls for mobile devices using NippleJS
+ * Reports the joystick and action button to the InputManager as the 'touch' and 'mouse' sources.
  */
 export default class Controls {
   /**
@@ -11,13 +19,10 @@ export default class Controls {
    */
   constructor(game) {
     this.game = game;
-    this.direction = { x: 0, y: 0 };
-    this.intensity = 0; // Movement intensity (0-1)
-    this.action = false; // Action button state
-    this.actionHandled = false; // Flag to track if action has been handled
     
     this._setupJoystick();
     this._setupActionButton();
+    this.applyLayout();
   }
   
   /**
@@ -25,12 +30,13 @@ export default class Controls {
    * @private
    */
   _setupJoystick() {
+    const size = this.game.settings.get('joystickSize');
     const options = {
       zone: document.getElementById('joystick-zone') || document.body,
       mode: 'static',
       position: { left: '50%', bottom: '20%' },
       color: 'white',
-      size: 120,
+      size: size,
       lockX: false,
       lockY: false
     };
@@ -41,31 +47,27 @@ export default class Controls {
       joystickZone.id = 'joystick-zone';
       joystickZone.style.position = 'absolute';
       joystickZone.style.bottom = '100px';
-      joystickZone.style.left = '50%';
       joystickZone.style.transform = 'translateX(-50%)';
-      joystickZone.style.width = '120px';
-      joystickZone.style.height = '120px';
       joystickZone.style.zIndex = '100';
       document.body.appendChild(joystickZone);
       options.zone = joystickZone;
     }
     
+    // Size comes from the player's settings (applyLayout() places it)
+    options.zone.style.width = `${size}px`;
+    options.zone.style.height = `${size}px`;
+    
     // Initialize joystick
     this.joystick = nipplejs.create(options);
     
     // Setup event listeners
     this.joystick.on('move', (event, data) => {
-      // Get direction vector
-      this.direction.x = data.vector.x;
-      this.direction.y = data.vector.y;
-      
-      // Get intensity
-      this.intensity = Math.min(data.distance / options.size, 1);
+      const intensity = Math.min(data.distance / options.size, 1);
+      this.game.input.setMove('touch', data.vector.x, data.vector.y, intensity);
     });
     
     this.joystick.on('end', () => {
-      this.direction = { x: 0, y: 0 };
-      this.intensity = 0;
+      this.game.input.setMove('touch', 0, 0, 0);
     });
   }
   
@@ -80,7 +82,6 @@ export default class Controls {
       actionButton.id = 'action-button';
       actionButton.style.position = 'absolute';
       actionButton.style.bottom = '150px';
-      actionButton.style.right = '80px';
       actionButton.style.width = '80px';
       actionButton.style.height = '80px';
       actionButton.style.borderRadius = '50%';
@@ -100,26 +101,26 @@ export default class Controls {
       // Touch events for mobile
       actionButton.addEventListener('touchstart', (e) => {
         e.preventDefault(); // Prevent default to avoid issues on mobile
-        this.action = true;
+        this.game.input.press('touch', ['interact']);
         showDebugMessage("Action button pressed", "#00ffaa");
         actionButton.style.backgroundColor = 'rgba(255, 255, 255, 0.8)';
       });
       
       actionButton.addEventListener('touchend', (e) => {
         e.preventDefault();
-        this.action = false;
+        this.game.input.release('touch', ['interact']);
         actionButton.style.backgroundColor = 'rgba(255, 255, 255, 0.5)';
       });
 
       // Mouse events for desktop
       actionButton.addEventListener('mousedown', () => {
-        this.action = true;
+        this.game.input.press('mouse', ['interact']);
         showDebugMessage("Action button clicked", "#00ffaa");
         actionButton.style.backgroundColor = 'rgba(255, 255, 255, 0.8)';
       });
       
       actionButton.addEventListener('mouseup', () => {
-        this.action = false;
+        this.game.input.release('mouse', ['interact']);
         actionButton.style.backgroundColor = 'rgba(255, 255, 255, 0.5)';
       });
 
@@ -129,30 +130,24 @@ export default class Controls {
   }
   
   /**
-   * Updates player based on control inputs
+   * Move and resize the joystick and action button to match the player's settings
    */
-  update() {
-    if (!this.game || !this.game.state || !this.game.state.player) {
-      return; // Safety check - game or player not ready
+  applyLayout() {
+    // nipplejs fixes the joystick's size when it's created, so rebuild it
+    if (this.joystick && this.joystick.options.size !== this.game.settings.get('joystickSize')) {
+      this.joystick.destroy();
+      this.game.input.setMove('touch', 0, 0, 0);
+      this._setupJoystick();
     }
     
-    // Update player movement
-    this.game.state.player.updateMovement(this.direction, this.intensity);
+    const joystickZone = document.getElementById('joystick-zone');
+    joystickZone.style.left = JOYSTICK_POSITIONS[this.game.settings.get('joystickSide')] || JOYSTICK_POSITIONS.center;
     
-    // Handle action button press - only when action flag changes
-    if (this.action && !this.actionHandled && this.game.state.player.performAction) {
-      this.actionHandled = true; // Mark that we've handled this press
-      showDebugMessage("Performing action", "#ffcc00");
-      try {
-        this.game.state.player.performAction();
-      } catch (err) {
-        console.error("Error performing action:", err);
-        showDebugMessage("Action failed", "#ff5555");
-      }
-      // Don't reset action flag here, let it be controlled by the button release events
-    } else if (!this.action && this.actionHandled) {
-      // Reset the handled flag when button is released
-      this.actionHandled = false;
+    const actionButton = document.getElementById('action-button');
+    if (actionButton) {
+      const onLeft = this.game.settings.get('actionButtonSide') === 'left';
+      actionButton.style.left = onLeft ? '80px' : '';
+      actionButton.style.right = onLeft ? '' : '80px';
     }
   }
   
@@ -179,4 +174,20 @@ export default class Controls {
       }
     }
   }
-} 
\ No newline at end of file
+  
+  /**
+   * Remove the joystick and action button
+   */
+  dispose() {
+    this.joystick.destroy();
+    this.game.input.releaseSource('touch');
+    this.game.input.releaseSource('mouse');
+    
+    ['joystick-zone', 'action-button'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.remove();
+      }
+    });
+  }
+}
@@ -0,0 +1,279 @@
+import { getOpenMenu } from './MenuNavigator.js';
+import { BINDINGS } from '../core/InputManager.js';
+import showDebugMessage from '../utils/DebugHelper.js';
+
+// Stick travel ignored around the center (worn sticks rarely rest at exactly zero)
+const STICK_DEADZONE = 0.2;
+
+// Stick travel that counts as a direction in menus
+const MENU_THRESHOLD = 0.6;
+
+// Holding a direction in a menu moves again after a delay, then repeats
+const MENU_REPEAT_DELAY = 400; // ms
+const MENU_REPEAT_INTERVAL = 150; // ms
+
+/**
+ * Gamepad input through the Gamepad API
+ *
+ * Reports the sticks (left moves, right orbits the camera) and the player's button
+ * bindings to the InputManager. Pads can be plugged in and out at any time; the first
+ * one connected is used. Polls on its own animation frame so menus work before the game
+ * loop starts.
+ */
+export default class GamepadControls {
+  /**
+   * Initialize gamepad input
+   * @param {Object} game - Reference to main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.index = null; // Gamepad in use
+    this.previousButtons = [];
+    this.held = new Set(); // Binding names the pad holds
+    this.frame = null; // Pending poll's animation frame (one loop at most)
+    
+    // Menu navigation key-repeat
+    this.menuDirection = null;
+    this.nextRepeat = 0;
+    
+    this._onConnected = e => this._connect(e.gamepad);
+    this._onDisconnected = e => this._disconnect(e.gamepad);
+    window.addEventListener('gamepadconnected', this._onConnected);
+    window.addEventListener('gamepaddisconnected', this._onDisconnected);
+    
+    // Pads connected before the page loaded (most browsers report them after the first press)
+    this._getPads().forEach(pad => this._connect(pad));
+  }
+  
+  /**
+   * Connected gamepads
+   * @private
+   * @returns {Gamepad[]} Gamepads
+   */
+  _getPads() {
+    if (!navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+  }
+  
+  /**
+   * Start using a newly connected pad if none is in use
+   * @private
+   * @param {Gamepad} pad - Connected gamepad
+   */
+  _connect(pad) {
+    if (this.index !== null) return;
+    
+    this.index = pad.index;
+    this.previousButtons = [];
+    showDebugMessage.info('Gamepad connected');
+    
+    if (this.frame === null) {
+      this._poll();
+    }
+  }
+  
+  /**
+   * Stop using a pad that was unplugged, switching to another if one is left
+   * @private
+   * @param {Gamepad} pad - Disconnected gamepad
+   */
+  _disconnect(pad) {
+    if (pad.index !== this.index) return;
+    
+    this._release();
+    this.index = null;
+    this._stopPolling();
+    showDebugMessage.info('Gamepad disconnected');
+    
+    const other = this._getPads().find(candidate => candidate.index !== pad.index);
+    if (other) {
+      this._connect(other);
+    }
+  }
+  
+  /**
+   * Read the pad once per animation frame
+   * @private
+   */
+  _poll() {
+    this.frame = requestAnimationFrame(() => this._poll());
+    
+    const pad = navigator.getGamepads()[this.index];
+    if (!pad) return;
+    
+    const input = this.game.input;
+    const previous = this.previousButtons;
+    const pressed = pad.buttons.map(button => button.pressed);
+    this.previousButtons = pressed;
+    
+    // Waiting for a new binding: the next button pressed is it
+    if (input.capture) {
+      const index = pressed.findIndex((down, i) => down && !previous[i]);
+      if (index !== -1 && input.capture.device === 'gamepad') {
+        input.finishCapture(index);
+      }
+      return;
+    }
+    
+    const inMenu = getOpenMenu() !== null;
+    this._updateButtons(pressed, inMenu);
+    
+    if (inMenu) {
+      input.setMove('gamepad', 0, 0, 0);
+      input.setLook('gamepad', 0, 0);
+      input.menus.show();
+      
+      const direction = this._getMenuStep(this._getMenuDirection(pad, pressed));
+      if (direction) {
+        input.navigate(direction);
+      }
+    } else {
+      this.menuDirection = null;
+      this._updateStick(pad);
+      this._updateLook(pad);
+    }
+  }
+  
+  /**
+   * Cancel the pending poll
+   * @private
+   */
+  _stopPolling() {
+    if (this.frame === null) return;
+    
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+  }
+  
+  /**
+   * Press and release bindings as their buttons change
+   * @private
+   * @param {boolean[]} pressed - Button states
+   * @param {boolean} inMenu - Whether a menu is open (menus take directions with key-repeat instead)
+   */
+  _updateButtons(pressed, inMenu) {
+    const bindings = this.game.input.bindings.gamepad;
+    const down = [];
+    const up = [];
+    
+    Object.entries(bindings).forEach(([name, buttons]) => {
+      const isMove = BINDINGS[name].action === 'move';
+      const isDown = buttons.some(index => pressed[index]) && !(inMenu && isMove);
+      
+      if (isDown && !this.held.has(name)) {
+        down.push(name);
+        this.held.add(name);
+      } else if (!isDown && this.held.has(name)) {
+        up.push(name);
+        this.held.delete(name);
+      }
+    });
+    
+    if (up.length > 0) {
+      this.game.input.release('gamepad', up);
+    }
+    if (down.length > 0) {
+      this.game.input.press('gamepad', down);
+    }
+  }
+  
+  /**
+   * Report the left stick as movement
+   * @private
+   * @param {Gamepad} pad - Gamepad in use
+   */
+  _updateStick(pad) {
+    const x = pad.axes[0] || 0;
+    const y = pad.axes[1] || 0;
+    const magnitude = Math.hypot(x, y);
+    
+    if (magnitude < STICK_DEADZONE) {
+      this.game.input.setMove('gamepad', 0, 0, 0);
+      return;
+    }
+    
+    // Intensity ramps up from zero at the edge of the deadzone
+    const intensity = Math.min((magnitude - STICK_DEADZONE) / (1 - STICK_DEADZONE), 1);
+    this.game.input.setMove('gamepad', x / magnitude, y / magnitude, intensity);
+  }
+  
+  /**
+   * Report the right stick as camera look
+   * @private
+   * @param {Gamepad} pad - Gamepad in use
+   */
+  _updateLook(pad) {
+    const x = pad.axes[2] || 0;
+    const y = pad.axes[3] || 0;
+    
+    if (Math.hypot(x, y) < STICK_DEADZONE) {
+      this.game.input.setLook('gamepad', 0, 0);
+      return;
+    }
+    
+    this.game.input.setLook('gamepad', x, y);
+  }
+  
+  /**
+   * Direction held on the bound movement buttons or left stick
+   * @private
+   * @param {Gamepad} pad - Gamepad in use
+   * @param {boolean[]} pressed - Button states
+   * @returns {string|null} 'up', 'down', 'left', 'right' or null
+   */
+  _getMenuDirection(pad, pressed) {
+    const bindings = this.game.input.bindings.gamepad;
+    const held = name => bindings[name].some(index => pressed[index]);
+    const x = pad.axes[0] || 0;
+    const y = pad.axes[1] || 0;
+    
+    if (held('moveUp') || y < -MENU_THRESHOLD) return 'up';
+    if (held('moveDown') || y > MENU_THRESHOLD) return 'down';
+    if (held('moveLeft') || x < -MENU_THRESHOLD) return 'left';
+    if (held('moveRight') || x > MENU_THRESHOLD) return 'right';
+    return null;
+  }
+  
+  /**
+   * Turn a held direction into single steps with key-repeat timing
+   * @private
+   * @param {string|null} direction - Direction held this frame
+   * @returns {string|null} Direction to step this frame, if any
+   */
+  _getMenuStep(direction) {
+    const now = performance.now();
+    
+    if (direction !== this.menuDirection) {
+      this.menuDirection = direction;
+      this.nextRepeat = now + MENU_REPEAT_DELAY;
+      return direction;
+    }
+    
+    if (direction && now >= this.nextRepeat) {
+      this.nextRepeat = now + MENU_REPEAT_INTERVAL;
+      return direction;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Let go of everything the pad holds
+   * @private
+   */
+  _release() {
+    this.held.clear();
+    this.menuDirection = null;
+    this.game.input.releaseSource('gamepad');
+  }
+  
+  /**
+   * Stop polling and listening for pads
+   */
+  dispose() {
+    this._stopPolling();
+    this._release();
+    window.removeEventListener('gamepadconnected', this._onConnected);
+    window.removeEventListener('gamepaddisconnected', this._onDisconnected);
+  }
+}
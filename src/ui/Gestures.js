@@ -0,0 +1,351 @@
+import * as THREE from 'three';
+import showDebugMessage from '../utils/DebugHelper.js';
+
+// A touch that ends quickly without moving is a tap
+const TAP_MAX_TIME = 250; // ms
+const TAP_SLOP = 12; // px
+
+// Holding still this long shows what's under the finger
+const LONG_PRESS_TIME = 500; // ms
+
+// A quick, long enough stroke is a swipe
+const SWIPE_MIN_DISTANCE = 60; // px
+const SWIPE_MAX_TIME = 400; // ms
+
+// Taps this close to a small target on screen still pick it
+const TAP_RADIUS = 40; // px
+
+// Camera distance change per pixel of pinch
+const PINCH_ZOOM_SCALE = 0.02;
+
+// Camera orbit per pixel of drag
+const ORBIT_DRAG_SCALE = 0.008; // Radians
+
+/**
+ * Tap, swipe, long-press and pinch gestures on the game canvas
+ *
+ * Taps pick the resource, creature or trigger under the finger and swipes map to the
+ * contextual action; both go through the InputManager like every other input.
+ * Long-presses describe what's under the finger, and pinches zoom the camera.
+ * Drags slower than a swipe, and right or middle mouse drags, orbit the camera.
+ */
+export default class Gestures {
+  /**
+   * Initialize gestures
+   * @param {Object} game - Reference to main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.element = game.renderer.domElement;
+    this.pointers = new Map(); // Pointer id -> {startX, startY, x, y, startTime, orbiting}
+    this.cancelled = false; // Whether the current gesture became a pinch, long-press or orbit
+    this.pinchDistance = null;
+    this.longPressTimer = null;
+    this.raycaster = new THREE.Raycaster();
+    this.screenPosition = new THREE.Vector3();
+    
+    this._onPointerDown = e => this._handlePointerDown(e);
+    this._onPointerMove = e => this._handlePointerMove(e);
+    this._onPointerUp = e => this._handlePointerUp(e);
+    this.element.addEventListener('pointerdown', this._onPointerDown);
+    this.element.addEventListener('pointermove', this._onPointerMove);
+    this.element.addEventListener('pointerup', this._onPointerUp);
+    this.element.addEventListener('pointercancel', this._onPointerUp);
+  }
+  
+  /**
+   * Finger down (or a mouse button)
+   * @private
+   * @param {PointerEvent} e - Pointer event
+   */
+  _handlePointerDown(e) {
+    // The right and middle mouse buttons only orbit the camera
+    const orbitOnly = e.button === 1 || e.button === 2;
+    if (e.button !== 0 && !orbitOnly) return;
+    
+    this.element.setPointerCapture(e.pointerId);
+    this.pointers.set(e.pointerId, {
+      startX: e.clientX,
+      startY: e.clientY,
+      x: e.clientX,
+      y: e.clientY,
+      startTime: performance.now(),
+      orbiting: orbitOnly
+    });
+    
+    if (orbitOnly) return;
+    
+    if (this.pointers.size === 1) {
+      this.cancelled = false;
+      this.longPressTimer = setTimeout(() => {
+        this.longPressTimer = null;
+        this.cancelled = true;
+        this._longPress(e.clientX, e.clientY);
+      }, LONG_PRESS_TIME);
+    } else if (this.pointers.size === 2) {
+      // A second finger turns the gesture into a pinch
+      this._clearLongPress();
+      this.cancelled = true;
+      this.pinchDistance = this._getPinchDistance();
+    }
+  }
+  
+  /**
+   * Finger moved
+   * @private
+   * @param {PointerEvent} e - Pointer event
+   */
+  _handlePointerMove(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return;
+    
+    const dx = e.clientX - pointer.x;
+    const dy = e.clientY - pointer.y;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+    
+    if (this.pointers.size === 2 && this.pinchDistance !== null) {
+      // Spreading the fingers brings the camera closer
+      const distance = this._getPinchDistance();
+      this.game.input.zoom((this.pinchDistance - distance) * PINCH_ZOOM_SCALE);
+      this.pinchDistance = distance;
+    } else if (pointer.orbiting) {
+      // The scene turns with the finger; dragging down looks from higher up
+      this.game.input.orbit(-dx * ORBIT_DRAG_SCALE, dy * ORBIT_DRAG_SCALE);
+    } else if (Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > TAP_SLOP) {
+      this._clearLongPress();
+      
+      // Still moving after a swipe would have ended: it's a drag
+      if (!this.cancelled && this.pointers.size === 1 && performance.now() - pointer.startTime > SWIPE_MAX_TIME) {
+        pointer.orbiting = true;
+        this.cancelled = true;
+      }
+    }
+  }
+  
+  /**
+   * Finger lifted (or the browser took the pointer away)
+   * @private
+   * @param {PointerEvent} e - Pointer event
+   */
+  _handlePointerUp(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return;
+    
+    this.pointers.delete(e.pointerId);
+    this._clearLongPress();
+    if (this.pointers.size < 2) {
+      this.pinchDistance = null;
+    }
+    
+    // Pinches, long-presses and orbits end when the last finger lifts
+    if (pointer.orbiting || this.cancelled || this.pointers.size > 0 || e.type === 'pointercancel') return;
+    
+    const dx = pointer.x - pointer.startX;
+    const dy = pointer.y - pointer.startY;
+    const distance = Math.hypot(dx, dy);
+    const elapsed = performance.now() - pointer.startTime;
+    
+    if (distance < TAP_SLOP && elapsed < TAP_MAX_TIME) {
+      this._tap(pointer.x, pointer.y);
+    } else if (distance > SWIPE_MIN_DISTANCE && elapsed < SWIPE_MAX_TIME) {
+      if (Math.abs(dx) > Math.abs(dy)) {
+        this._swipe(dx > 0 ? 'right' : 'left');
+      } else {
+        this._swipe(dy > 0 ? 'down' : 'up');
+      }
+    }
+  }
+  
+  /**
+   * Interact with whatever was tapped
+   * @private
+   * @param {number} x - Screen x
+   * @param {number} y - Screen y
+   */
+  _tap(x, y) {
+    const target = this._pick(x, y);
+    if (target) {
+      this.game.input.interactWith(target);
+    }
+  }
+  
+  /**
+   * Swipes drive the contextual action; in build mode they steer placement
+   * @private
+   * @param {string} direction - 'up', 'down', 'left' or 'right'
+   */
+  _swipe(direction) {
+    const scene = this.game.stageManager && this.game.stageManager.currentScene;
+    const construction = scene && scene.construction;
+    let names = ['interact']; // Scare or follow creatures, talk to villages
+    
+    // Building: sideways turns the structure, up places it, down leaves build mode
+    if (construction && construction.active) {
+      if (direction === 'left' || direction === 'right') {
+        names = ['rotate'];
+      } else if (direction === 'down') {
+        names = ['cancel'];
+      }
+    }
+    
+    this.game.input.press('gesture', names);
+    this.game.input.release('gesture', names);
+  }
+  
+  /**
+   * Describe whatever is under a long-press
+   * @private
+   * @param {number} x - Screen x
+   * @param {number} y - Screen y
+   */
+  _longPress(x, y) {
+    const target = this._pick(x, y);
+    if (!target) return;
+    
+    const scene = this.game.stageManager.currentScene;
+    let text = null;
+    
+    switch (target.userData.type) {
+      case 'resource': {
+        const resource = scene.resources.find(candidate => candidate.mesh === target);
+        if (resource) {
+          text = `${resource.type.charAt(0).toUpperCase() + resource.type.slice(1)} (worth ${resource.value}) - tap it when close to collect`;
+        }
+        break;
+      }
+        
+      case 'willToLive':
+        text = 'The will to live - tap it when close';
+        break;
+        
+      case 'eventTrigger':
+        text = 'Something to reflect on - tap it when close';
+        break;
+        
+      case 'creature':
+        text = target.userData.kind === 'predator' ?
+          'A predator - swipe near it to scare it off' :
+          'A grazer - swipe near it and it may lead you to food';
+        break;
+    }
+    
+    if (text) {
+      showDebugMessage.info(text);
+    }
+  }
+  
+  /**
+   * Find the interactive object at a screen point
+   * @private
+   * @param {number} x - Screen x
+   * @param {number} y - Screen y
+   * @returns {THREE.Object3D|null} Object with userData.type, or null
+   */
+  _pick(x, y) {
+    const scene = this.game.stageManager && this.game.stageManager.currentScene;
+    if (!scene || !this.game.camera) return null;
+    
+    const targets = this._getTargets(scene);
+    if (targets.length === 0) return null;
+    
+    const rect = this.element.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((x - rect.left) / rect.width) * 2 - 1,
+      -((y - rect.top) / rect.height) * 2 + 1
+    );
+    
+    this.raycaster.setFromCamera(pointer, this.game.camera);
+    const hit = this.raycaster.intersectObjects(targets, true)[0];
+    if (hit) {
+      // Hits land on child meshes and halos; the type is on the root
+      let object = hit.object;
+      while (object && !object.userData.type) {
+        object = object.parent;
+      }
+      if (object) return object;
+    }
+    
+    // Small targets are hard to hit with a finger, so take the nearest one on screen
+    let nearest = null;
+    let nearestDistance = TAP_RADIUS;
+    targets.forEach(target => {
+      target.getWorldPosition(this.screenPosition).project(this.game.camera);
+      if (this.screenPosition.z > 1) return; // Behind the camera
+      
+      const screenX = rect.left + (this.screenPosition.x + 1) / 2 * rect.width;
+      const screenY = rect.top + (1 - this.screenPosition.y) / 2 * rect.height;
+      const distance = Math.hypot(screenX - x, screenY - y);
+      if (distance < nearestDistance) {
+        nearest = target;
+        nearestDistance = distance;
+      }
+    });
+    
+    return nearest;
+  }
+  
+  /**
+   * Objects that can be tapped in the current scene
+   * @private
+   * @param {Object} scene - Current scene
+   * @returns {THREE.Object3D[]} Candidate objects
+   */
+  _getTargets(scene) {
+    const targets = scene.resources
+      .filter(resource => !resource.collected && resource.mesh)
+      .map(resource => resource.mesh);
+    
+    const willToLive = scene.getWillToLiveObject();
+    if (willToLive && !(this.game.state.player && this.game.state.player.willToLive)) {
+      targets.push(willToLive);
+    }
+    
+    if (this.game.eventSystem) {
+      this.game.eventSystem.interactiveObjects
+        .filter(obj => obj && obj.parent && obj.userData.isActive)
+        .forEach(obj => targets.push(obj));
+    }
+    
+    if (scene.creatures) {
+      scene.creatures
+        .filter(creature => creature.mesh)
+        .forEach(creature => targets.push(creature.mesh));
+    }
+    
+    return targets;
+  }
+  
+  /**
+   * Distance between the two fingers of a pinch
+   * @private
+   * @returns {number} Distance in pixels
+   */
+  _getPinchDistance() {
+    const [a, b] = Array.from(this.pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+  
+  /**
+   * Stop waiting for a long-press
+   * @private
+   */
+  _clearLongPress() {
+    if (this.longPressTimer) {
+      clearTimeout(this.longPressTimer);
+      this.longPressTimer = null;
+    }
+  }
+  
+  /**
+   * Stop listening for gestures
+   */
+  dispose() {
+    this._clearLongPress();
+    this.game.input.releaseSource('gesture');
+    this.element.removeEventListener('pointerdown', this._onPointerDown);
+    this.element.removeEventListener('pointermove', this._onPointerMove);
+    this.element.removeEventListener('pointerup', this._onPointerUp);
+    this.element.removeEventListener('pointercancel', this._onPointerUp);
+  }
+}
@@ -1,4 +1,12 @@
 import * as THREE from 'three';
+import { structureTypes } from '../entities/Structure.js';
+
+// Objective shown in the last 30 seconds before each stage's flood
+const FLOOD_HINTS = {
+  primordial: 'Reach high ground before the water rises',
+  prehistoric: 'Get clear of the impact or shelter by a rock',
+  ordered: 'Make sure every village is defended'
+};
 
 /**
  * Heads-up display for game information (timer, resources, etc.)
@@ -16,7 +24,9 @@ export default class Hud {
     this._createTimerDisplay();
     this._createResourceDisplay();
     this._createStageDisplay();
+    this._createStaminaDisplay();
     this._createEvolutionDisplay();
+    this._createSettingsButton();
   }
   
   /**
@@ -134,6 +144,26 @@ export default class Hud {
     this.elements.stage = stageDisplay;
   }
   
+  /**
+   * Creates stamina meter below the stage name
+   * @private
+   */
+  _createStaminaDisplay() {
+    const staminaDisplay = document.createElement('div');
+    staminaDisplay.id = 'stamina-display';
+    staminaDisplay.style.fontSize = '14px';
+    staminaDisplay.style.position = 'absolute';
+    staminaDisplay.style.top = '36px';
+    staminaDisplay.style.left = '0';
+    staminaDisplay.style.width = '120px';
+    staminaDisplay.style.padding = '5px 10px';
+    staminaDisplay.style.borderRadius = '5px';
+    staminaDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.3)';
+    this.elements.container.appendChild(staminaDisplay);
+    
+    this.elements.stamina = staminaDisplay;
+  }
+  
   /**
    * Creates evolution type display
    * @private
@@ -156,6 +186,33 @@ export default class Hud {
     this.elements.evolution = evolutionDisplay;
   }
   
+  /**
+   * Creates the button that opens the pause menu, under the resource counter
+   * @private
+   */
+  _createSettingsButton() {
+    const settingsButton = document.createElement('div');
+    settingsButton.id = 'settings-button';
+    settingsButton.textContent = 'Menu';
+    settingsButton.style.fontSize = '14px';
+    settingsButton.style.position = 'absolute';
+    settingsButton.style.top = '40px';
+    settingsButton.style.right = '0';
+    settingsButton.style.padding = '6px 12px';
+    settingsButton.style.borderRadius = '5px';
+    settingsButton.style.backgroundColor = 'rgba(0, 0, 0, 0.3)';
+    settingsButton.style.cursor = 'pointer';
+    settingsButton.style.userSelect = 'none';
+    settingsButton.style.pointerEvents = 'auto'; // The container lets clicks through
+    
+    settingsButton.addEventListener('click', () => {
+      this.game.settingsMenu.open();
+    });
+    
+    this.elements.container.appendChild(settingsButton);
+    this.elements.settings = settingsButton;
+  }
+  
   /**
    * Updates HUD based on current game state
    */
@@ -163,6 +220,7 @@ export default class Hud {
     this._updateTimer();
     this._updateResources();
     this._updateStage();
+    this._updateStamina();
     this._updateObjectives();
     this._updateInteractionIndicator();
   }
@@ -212,6 +270,34 @@ export default class Hud {
     `;
   }
   
+  /**
+   * Updates stamina meter
+   * @private
+   */
+  _updateStamina() {
+    const player = this.game.state.player;
+    if (!player) {
+      this.elements.stamina.style.display = 'none';
+      return;
+    }
+    
+    this.elements.stamina.style.display = 'block';
+    
+    const percentage = Math.round((player.stamina / player.maxStamina) * 100);
+    
+    // Green when rested, amber when low, red while exhausted
+    let barColor = '#66dd88';
+    if (percentage < 30) barColor = '#ffcc00';
+    if (player.exhausted) barColor = '#ff5533';
+    
+    this.elements.stamina.innerHTML = `
+      ${player.exhausted ? 'Exhausted' : 'Stamina'}
+      <div style="background-color: rgba(0, 0, 0, 0.4); height: 6px; border-radius: 3px; margin-top: 4px; width: 100%;">
+        <div style="background-color: ${barColor}; height: 100%; width: ${percentage}%; border-radius: 3px;"></div>
+      </div>
+    `;
+  }
+  
   /**
    * Updates stage name display
    * @private
@@ -297,6 +383,9 @@ export default class Hud {
       
       // Update directional indicator if will-to-live exists
       this._updateWillToLiveIndicator();
+    } else if (this.game.stageManager.floodTimerActive && this.game.state.timer <= 30 && FLOOD_HINTS[stage]) {
+      // Where the player stands matters more than supplies once the flood is close
+      this.showObjective(FLOOD_HINTS[stage]);
     } else if (this.game.state.resources < this.game.state.resourceGoal) {
       // Show objective to collect resources
       const resourceName = stage === 'primordial' ? 'Energy' : 
@@ -491,6 +580,20 @@ export default class Hud {
   _updateInteractionIndicator() {
     if (!this.game.state.player) return;
     
+    // Build mode replaces the usual prompts with the placement result
+    const construction = this.game.stageManager?.currentScene?.construction;
+    if (construction && construction.active && construction.placement) {
+      const { placement } = construction;
+      const config = structureTypes[placement.type];
+      
+      this.elements.interaction.textContent = placement.valid ?
+        `Press SPACE or click Action to Place ${config.name} (${config.cost} supplies)` :
+        placement.reason;
+      this.elements.interaction.style.color = placement.valid ? '#00ff88' : '#ff5555';
+      this.elements.interaction.style.opacity = '1';
+      return;
+    }
+    
     // Check if player has something to interact with
     const interactable = this.game.state.player._getInteractable?.();
     
@@ -517,6 +620,15 @@ export default class Hud {
         case 'environment':
           actionText = 'Interact with Environment';
           color = '#ffcc00';
+          
+          // Creatures get their own prompts
+          if (interactable.target.type === 'creature') {
+            actionText = interactable.target.kind === 'predator' ? 'Scare Off Predator' : 'Follow Grazer';
+            color = interactable.target.kind === 'predator' ? '#ff5533' : '#aadd66';
+          } else if (interactable.target.canShelter) {
+            actionText = `Build Shelter (${interactable.target.shelterCost} materials)`;
+            color = '#ff9955';
+          }
           break;
         case 'village':
           actionText = 'Interact with Village';
@@ -533,4 +645,15 @@ export default class Hud {
       this.elements.interaction.style.opacity = '0';
     }
   }
-} 
\ No newline at end of file
+  
+  /**
+   * Remove the HUD from the page
+   */
+  dispose() {
+    ['container', 'objective', 'interaction'].forEach(name => {
+      if (this.elements[name]) {
+        this.elements[name].remove();
+      }
+    });
+  }
+}
@@ -0,0 +1,152 @@
+// Full-screen menus that can be driven without a pointer, and what counts as an item in them
+export const MENU_IDS = ['settings-menu', 'event-modal', 'village-dialogue', 'evolution-selection', 'continue-prompt', 'completion-screen'];
+const MENU_ITEMS = 'button, input[type="range"], [data-nav]';
+
+// Outline around the highlighted menu item
+const FOCUS_OUTLINE = '3px solid #88ccff';
+
+/**
+ * Topmost open menu, if any
+ * @returns {HTMLElement|null} Menu container
+ */
+export function getOpenMenu() {
+  let top = null;
+  
+  MENU_IDS.forEach(id => {
+    const menu = document.getElementById(id);
+    if (menu && (!top || Number(menu.style.zIndex) >= Number(top.style.zIndex))) {
+      top = menu;
+    }
+  });
+  
+  return top;
+}
+
+/**
+ * Moves a highlight through the open menu's items for keyboard and gamepad players
+ */
+export default class MenuNavigator {
+  /**
+   * Initialize menu navigation
+   */
+  constructor() {
+    this.menu = null;
+    this.focusIndex = 0;
+    this.focused = null;
+    this.highlighting = false; // Whether the highlight is showing in the current menu
+  }
+  
+  /**
+   * Show the highlight in the open menu
+   */
+  show() {
+    const items = this._sync();
+    if (!items) return;
+    
+    this.highlighting = true;
+    this._setFocus(items[this.focusIndex]);
+  }
+  
+  /**
+   * Move the highlight, or step the highlighted slider for left and right
+   * The first step in a menu only shows the highlight.
+   * @param {string} direction - 'up', 'down', 'left' or 'right'
+   */
+  step(direction) {
+    const items = this._sync();
+    if (!items) return;
+    
+    if (this.highlighting) {
+      const item = items[this.focusIndex];
+      const forward = direction === 'down' || direction === 'right';
+      
+      // Sliders take left and right; everything else is one list in page order
+      if (item.type === 'range' && (direction === 'left' || direction === 'right')) {
+        if (forward) {
+          item.stepUp();
+        } else {
+          item.stepDown();
+        }
+        item.dispatchEvent(new Event('input'));
+        item.dispatchEvent(new Event('change'));
+      } else {
+        this.focusIndex = (this.focusIndex + (forward ? 1 : -1) + items.length) % items.length;
+      }
+    }
+    
+    this.highlighting = true;
+    this._setFocus(items[this.focusIndex]);
+  }
+  
+  /**
+   * Pick the highlighted item (the first press in a menu only shows the highlight)
+   */
+  activate() {
+    const items = this._sync();
+    if (!items) return;
+    
+    if (!this.highlighting) {
+      this.show();
+      return;
+    }
+    
+    items[this.focusIndex].click();
+  }
+  
+  /**
+   * Drop the highlight
+   */
+  clear() {
+    if (this.focused) {
+      this.focused.style.outline = '';
+    }
+    
+    this.menu = null;
+    this.focusIndex = 0;
+    this.focused = null;
+    this.highlighting = false;
+  }
+  
+  /**
+   * Follow the open menu and collect its items
+   * @private
+   * @returns {HTMLElement[]|null} Visible items, or null if there's nothing to navigate
+   */
+  _sync() {
+    const menu = getOpenMenu();
+    
+    // A different menu starts at its first item
+    if (menu !== this.menu) {
+      this.clear();
+      this.menu = menu;
+    }
+    if (!menu) return null;
+    
+    // Menus re-render in place (e.g. the pause menu after a choice), so track the position
+    const items = Array.from(menu.querySelectorAll(MENU_ITEMS)).filter(item => item.offsetParent !== null);
+    if (items.length === 0) return null;
+    
+    this.focusIndex = Math.min(this.focusIndex, items.length - 1);
+    if (this.highlighting) {
+      this._setFocus(items[this.focusIndex]);
+    }
+    return items;
+  }
+  
+  /**
+   * Highlight a menu item
+   * @private
+   * @param {HTMLElement} item - Item to highlight
+   */
+  _setFocus(item) {
+    if (item === this.focused) return;
+    
+    if (this.focused) {
+      this.focused.style.outline = '';
+    }
+    
+    item.style.outline = FOCUS_OUTLINE;
+    item.scrollIntoView({ block: 'nearest' });
+    this.focused = item;
+  }
+}
@@ -0,0 +1,348 @@
+import { TIER_ORDER } from '../core/Quality.js';
+import { BINDINGS, formatKey, formatButton } from '../core/InputManager.js';
+
+// Percentage label for multiplier and volume sliders
+const formatPercent = value => `${Math.round(value * 100)}%`;
+
+/**
+ * Pause menu with the player's settings, opened from the HUD or the pause binding (Escape, Start)
+ * Changes apply as soon as they're made and are stored by Settings.
+ */
+export default class SettingsMenu {
+  /**
+   * Initialize settings menu
+   * @param {Object} game - Reference to main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.container = null;
+    this.pausedGame = false; // Whether opening the menu is what paused the game
+  }
+  
+  /**
+   * Whether the menu is currently showing
+   * @returns {boolean} Whether the menu is open
+   */
+  isOpen() {
+    return this.container !== null;
+  }
+  
+  /**
+   * Open the menu if it's closed, close it otherwise
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+  
+  /**
+   * Open the menu and pause the game
+   */
+  open() {
+    if (this.isOpen()) return;
+    
+    // Events and dialogues may already hold the game paused; leave resuming those to them
+    this.pausedGame = !this.game.paused;
+    if (this.pausedGame) {
+      this.game.pause();
+    }
+    
+    this.container = document.createElement('div');
+    this.container.id = 'settings-menu';
+    this.container.style.position = 'absolute';
+    this.container.style.top = '0';
+    this.container.style.left = '0';
+    this.container.style.width = '100%';
+    this.container.style.height = '100%';
+    this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    this.container.style.display = 'flex';
+    this.container.style.justifyContent = 'center';
+    this.container.style.alignItems = 'center';
+    this.container.style.zIndex = '600'; // Above event and village dialogues
+    document.body.appendChild(this.container);
+    
+    this._render();
+  }
+  
+  /**
+   * Close the menu and resume the game if the menu paused it
+   */
+  close() {
+    if (!this.isOpen()) return;
+    
+    // Stop waiting for a new binding
+    if (this.game.input.capture) {
+      this.game.input.finishCapture(null);
+    }
+    
+    document.body.removeChild(this.container);
+    this.container = null;
+    
+    if (this.pausedGame) {
+      this.game.resume();
+    }
+  }
+  
+  /**
+   * Rebuild the menu card from the current settings
+   * @private
+   */
+  _render() {
+    const quality = this.game.quality;
+    this.container.innerHTML = '';
+    
+    const card = document.createElement('div');
+    card.style.width = '80%';
+    card.style.maxWidth = '500px';
+    card.style.maxHeight = '90%';
+    card.style.overflowY = 'auto';
+    card.style.backgroundColor = '#1a1a2e';
+    card.style.borderRadius = '10px';
+    card.style.padding = '20px';
+    card.style.color = 'white';
+    card.style.fontFamily = 'Arial, sans-serif';
+    card.style.boxShadow = '0 0 20px rgba(0, 100, 200, 0.5)';
+    this.container.appendChild(card);
+    
+    const title = document.createElement('h2');
+    title.textContent = 'Paused';
+    title.style.marginTop = '0';
+    title.style.color = '#88ccff';
+    card.appendChild(title);
+    
+    this._addHeading(card, 'Controls');
+    this._addChoice(card, 'Joystick', 'joystickSide', [['left', 'Left'], ['center', 'Center'], ['right', 'Right']]);
+    this._addSlider(card, 'Joystick size', 'joystickSize', 80, 160, 10, value => `${value}px`);
+    this._addChoice(card, 'Action button', 'actionButtonSide', [['left', 'Left'], ['right', 'Right']]);
+    
+    // Pick a binding, then press the new key or button (Escape cancels)
+    this._addHeading(card, 'Bindings');
+    const columns = this._createRow(card, '');
+    ['Keyboard', 'Gamepad'].forEach(text => {
+      const column = document.createElement('span');
+      column.textContent = text;
+      column.style.flex = '1';
+      column.style.marginLeft = '4px';
+      column.style.textAlign = 'center';
+      column.style.color = '#aaccff';
+      columns.appendChild(column);
+    });
+    Object.entries(BINDINGS).forEach(([name, binding]) => this._addBinding(card, binding.label, name));
+    
+    this._addHeading(card, 'Camera');
+    this._addSlider(card, 'Distance', 'cameraDistance', 0.6, 1.6, 0.1, formatPercent);
+    this._addSlider(card, 'Height', 'cameraHeight', 0.6, 1.6, 0.1, formatPercent);
+    
+    this._addHeading(card, 'Audio');
+    this._addChoice(card, 'Sound', 'muted', [[false, 'On'], [true, 'Off']]);
+    this._addSlider(card, 'Master volume', 'masterVolume', 0, 1, 0.05, formatPercent);
+    this._addSlider(card, 'Effects volume', 'effectsVolume', 0, 1, 0.05, formatPercent);
+    
+    // Auto shows the tier it's currently running at
+    this._addHeading(card, 'Graphics');
+    this._addChoice(card, 'Quality', 'quality', [
+      ['auto', `Auto (${quality.tier})`],
+      ...TIER_ORDER.map(tier => [tier, tier.charAt(0).toUpperCase() + tier.slice(1)])
+    ]);
+    
+    this._addHeading(card, 'Accessibility');
+    this._addChoice(card, 'Reduced motion', 'reducedMotion', [[false, 'Off'], [true, 'On']]);
+    this._addChoice(card, 'Messages', 'messages', [['all', 'All'], ['normal', 'Normal'], ['important', 'Important']]);
+    
+    card.appendChild(this._createButton('Resume', () => this.close()));
+    card.appendChild(this._createButton('Reset to defaults', () => {
+      this.game.settings.reset();
+      this._render();
+    }));
+  }
+  
+  /**
+   * Add a section heading
+   * @private
+   * @param {HTMLElement} card - Menu card
+   * @param {string} text - Heading text
+   */
+  _addHeading(card, text) {
+    const heading = document.createElement('h3');
+    heading.textContent = text;
+    heading.style.margin = '16px 0 6px';
+    heading.style.fontSize = '16px';
+    heading.style.color = '#aaccff';
+    card.appendChild(heading);
+  }
+  
+  /**
+   * Add a row of buttons that pick one value for a setting
+   * @private
+   * @param {HTMLElement} card - Menu card
+   * @param {string} label - Row label
+   * @param {string} key - Setting name
+   * @param {Array} choices - [value, label] pairs
+   */
+  _addChoice(card, label, key, choices) {
+    const row = this._createRow(card, label);
+    const current = this.game.settings.get(key);
+    
+    choices.forEach(([value, text]) => {
+      const button = document.createElement('div');
+      button.textContent = text;
+      button.style.flex = '1';
+      button.style.padding = '6px 4px';
+      button.style.marginLeft = '4px';
+      button.style.borderRadius = '5px';
+      button.style.border = '1px solid #304d6d';
+      button.style.backgroundColor = value === current ? '#304d6d' : '#16213e';
+      button.style.fontSize = '14px';
+      button.style.textAlign = 'center';
+      button.style.userSelect = 'none';
+      button.style.cursor = 'pointer';
+      button.dataset.nav = 'true'; // Selectable with a gamepad
+      
+      button.addEventListener('click', () => {
+        this.game.settings.set(key, value);
+        this._render();
+      });
+      
+      row.appendChild(button);
+    });
+  }
+  
+  /**
+   * Add a row showing a binding's keys and buttons; picking one waits for the new input
+   * @private
+   * @param {HTMLElement} card - Menu card
+   * @param {string} label - Row label
+   * @param {string} name - Binding name (see BINDINGS in InputManager.js)
+   */
+  _addBinding(card, label, name) {
+    const row = this._createRow(card, label);
+    const input = this.game.input;
+    
+    [['keyboard', formatKey, 'Press a key'], ['gamepad', formatButton, 'Press a button']].forEach(([device, format, prompt]) => {
+      const capturing = input.capture && input.capture.device === device && input.capture.name === name;
+      const bound = input.getBindings(device)[name];
+      
+      const button = document.createElement('div');
+      button.textContent = capturing ? prompt : (bound.map(format).join(' / ') || 'None');
+      button.style.flex = '1';
+      button.style.padding = '6px 4px';
+      button.style.marginLeft = '4px';
+      button.style.borderRadius = '5px';
+      button.style.border = '1px solid #304d6d';
+      button.style.backgroundColor = capturing ? '#304d6d' : '#16213e';
+      button.style.fontSize = '14px';
+      button.style.textAlign = 'center';
+      button.style.userSelect = 'none';
+      button.style.cursor = 'pointer';
+      button.dataset.nav = 'true'; // Selectable with a gamepad
+      
+      button.addEventListener('click', () => {
+        input.captureBinding(device, name, () => this._render());
+        this._render();
+      });
+      
+      row.appendChild(button);
+    });
+  }
+  
+  /**
+   * Add a slider for a numeric setting
+   * @private
+   * @param {HTMLElement} card - Menu card
+   * @param {string} label - Row label
+   * @param {string} key - Setting name
+   * @param {number} min - Smallest value
+   * @param {number} max - Largest value
+   * @param {number} step - Slider step
+   * @param {Function} format - (value) => label shown next to the slider
+   */
+  _addSlider(card, label, key, min, max, step, format) {
+    const row = this._createRow(card, label);
+    
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = String(min);
+    slider.max = String(max);
+    slider.step = String(step);
+    slider.value = String(this.game.settings.get(key));
+    slider.style.flex = '1';
+    row.appendChild(slider);
+    
+    const valueLabel = document.createElement('span');
+    valueLabel.textContent = format(this.game.settings.get(key));
+    valueLabel.style.width = '50px';
+    valueLabel.style.marginLeft = '8px';
+    valueLabel.style.fontSize = '14px';
+    valueLabel.style.textAlign = 'right';
+    row.appendChild(valueLabel);
+    
+    // Label follows the drag; the setting (and anything rebuilt for it) only changes on release
+    slider.addEventListener('input', () => {
+      valueLabel.textContent = format(Number(slider.value));
+    });
+    
+    slider.addEventListener('change', () => {
+      this.game.settings.set(key, Number(slider.value));
+    });
+  }
+  
+  /**
+   * Add a labelled row to the card
+   * @private
+   * @param {HTMLElement} card - Menu card
+   * @param {string} label - Row label
+   * @returns {HTMLDivElement} Row to add controls to
+   */
+  _createRow(card, label) {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.margin = '6px 0';
+    row.style.fontSize = '14px';
+    
+    const labelEl = document.createElement('span');
+    labelEl.textContent = label;
+    labelEl.style.width = '120px';
+    labelEl.style.flexShrink = '0';
+    row.appendChild(labelEl);
+    
+    card.appendChild(row);
+    return row;
+  }
+  
+  /**
+   * Create a menu button styled like event choices
+   * @private
+   * @param {string} text - Button label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} Button element
+   */
+  _createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.display = 'block';
+    button.style.width = '100%';
+    button.style.padding = '12px';
+    button.style.margin = '10px 0';
+    button.style.backgroundColor = '#16213e';
+    button.style.color = 'white';
+    button.style.border = '1px solid #304d6d';
+    button.style.borderRadius = '5px';
+    button.style.fontSize = '16px';
+    button.style.cursor = 'pointer';
+    
+    button.addEventListener('mouseover', () => {
+      button.style.backgroundColor = '#304d6d';
+    });
+    
+    button.addEventListener('mouseout', () => {
+      button.style.backgroundColor = '#16213e';
+    });
+    
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
@@ -0,0 +1,185 @@
+import { checkConditions, applyEffects } from '../core/EventRules.js';
+import dialogue from '../assets/data/villages/dialogue.json';
+
+/**
+ * Dialogue modal for talking with a village in the ordered world
+ * Greetings and options come from src/assets/data/villages/dialogue.json and use
+ * the same conditions/effects as events, evaluated against the village being visited.
+ */
+export default class VillageDialogue {
+  /**
+   * Initialize village dialogue
+   * @param {Object} game - Reference to main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.village = null;
+    this.container = null;
+    this.lastMessage = '';
+  }
+  
+  /**
+   * Whether the dialogue is currently showing
+   * @returns {boolean} Whether the dialogue is open
+   */
+  isOpen() {
+    return this.container !== null;
+  }
+  
+  /**
+   * Open the dialogue for a village and pause the game
+   * @param {Village} village - Village being visited
+   * @returns {boolean} Whether the dialogue opened
+   */
+  open(village) {
+    // Don't stack on top of an event or another menu
+    if (this.isOpen() || this.game.paused) return false;
+    
+    this.village = village;
+    this.lastMessage = '';
+    this.game.pause();
+    
+    this.container = document.createElement('div');
+    this.container.id = 'village-dialogue';
+    this.container.style.position = 'absolute';
+    this.container.style.top = '0';
+    this.container.style.left = '0';
+    this.container.style.width = '100%';
+    this.container.style.height = '100%';
+    this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    this.container.style.display = 'flex';
+    this.container.style.justifyContent = 'center';
+    this.container.style.alignItems = 'center';
+    this.container.style.zIndex = '500';
+    document.body.appendChild(this.container);
+    
+    this._render();
+    return true;
+  }
+  
+  /**
+   * Close the dialogue and resume the game
+   */
+  close() {
+    if (!this.isOpen()) return;
+    
+    document.body.removeChild(this.container);
+    this.container = null;
+    this.village = null;
+    
+    this.game.resume();
+  }
+  
+  /**
+   * Rebuild the dialogue card from current village state
+   * @private
+   */
+  _render() {
+    const village = this.village;
+    const events = this.game.eventSystem;
+    this.container.innerHTML = '';
+    
+    const card = document.createElement('div');
+    card.style.width = '80%';
+    card.style.maxWidth = '500px';
+    card.style.backgroundColor = '#1a1a2e';
+    card.style.borderRadius = '10px';
+    card.style.padding = '20px';
+    card.style.color = 'white';
+    card.style.fontFamily = 'Arial, sans-serif';
+    card.style.boxShadow = '0 0 20px rgba(0, 100, 200, 0.5)';
+    this.container.appendChild(card);
+    
+    const title = document.createElement('h2');
+    title.textContent = `Village ${village.id + 1}`;
+    title.style.marginTop = '0';
+    title.style.color = '#88ccff';
+    card.appendChild(title);
+    
+    // Village stats
+    const stats = document.createElement('div');
+    stats.textContent = `Population ${village.population} · Stores ${Math.floor(village.resources)} · ` +
+      `Defense ${Math.floor(village.defense)} · Trust ${Math.round(village.trust * 100)}%`;
+    stats.style.fontSize = '14px';
+    stats.style.color = '#aaccff';
+    card.appendChild(stats);
+    
+    // First greeting whose conditions pass
+    const greeting = dialogue.greetings.find(entry => checkConditions(entry.conditions, events));
+    const greetingText = document.createElement('p');
+    greetingText.textContent = greeting ? greeting.text : '';
+    greetingText.style.fontSize = '16px';
+    greetingText.style.lineHeight = '1.5';
+    card.appendChild(greetingText);
+    
+    // Result of the last option picked
+    if (this.lastMessage) {
+      const message = document.createElement('p');
+      message.textContent = this.lastMessage;
+      message.style.fontSize = '15px';
+      message.style.color = '#aaccff';
+      card.appendChild(message);
+    }
+    
+    const options = dialogue.options.filter(option => checkConditions(option.conditions, events));
+    options.forEach(option => {
+      card.appendChild(this._createButton(option.text, () => this._choose(option)));
+    });
+    
+    card.appendChild(this._createButton('Leave', () => this.close()));
+  }
+  
+  /**
+   * Apply a dialogue option and refresh the card
+   * @private
+   * @param {Object} option - Dialogue option definition
+   */
+  _choose(option) {
+    this.lastMessage = applyEffects(option.effects, this.game.eventSystem).join(' ');
+    this._render();
+  }
+  
+  /**
+   * Create a dialogue button styled like event choices
+   * @private
+   * @param {string} text - Button label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} Button element
+   */
+  _createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.display = 'block';
+    button.style.width = '100%';
+    button.style.padding = '12px';
+    button.style.margin = '10px 0';
+    button.style.backgroundColor = '#16213e';
+    button.style.color = 'white';
+    button.style.border = '1px solid #304d6d';
+    button.style.borderRadius = '5px';
+    button.style.fontSize = '16px';
+    button.style.cursor = 'pointer';
+    
+    button.addEventListener('mouseover', () => {
+      button.style.backgroundColor = '#304d6d';
+    });
+    
+    button.addEventListener('mouseout', () => {
+      button.style.backgroundColor = '#16213e';
+    });
+    
+    button.addEventListener('click', onClick);
+    return button;
+  }
+  
+  /**
+   * Remove the dialogue if it is still open (leaves pause state to the caller)
+   */
+  dispose() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.village = null;
+  }
+}
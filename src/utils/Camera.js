@@ -1,7 +1,26 @@
 import * as THREE from 'three';
 
+// Lowest and highest the camera can orbit (radians above the horizon)
+const MIN_ELEVATION = 0.15;
+const MAX_ELEVATION = 1.35;
+
+// Clearance kept between the camera and anything that blocks the view
+const OCCLUSION_MARGIN = 0.4;
+
+// The camera never gets pulled closer than this to what it looks at
+const MIN_OCCLUDED_DISTANCE = 0.8;
+
+// Catch up quickly when something gets in the way, so the camera doesn't clip into it
+const OCCLUDED_LERP = 0.5;
+
+// Framing used when a shot doesn't give one: the player's own view
+const FOLLOW_FRAMING = { yaw: 0, pitch: 0, distance: 1 };
+
 /**
  * Manages a third-person camera that follows the player entity
+ *
+ * The player can orbit the camera around the target; the scene's colliders with a top
+ * pull it in when they'd block the view. Scripted shots take over for cinematics.
  */
 export default class CameraController {
   /**
@@ -23,39 +42,224 @@ export default class CameraController {
       maxDistance: options.maxDistance || 10
     };
     
+    // Player preferences (see setPreferences())
+    this.distanceScale = 1;
+    this.heightScale = 1;
+    this.reducedMotion = false;
+    
+    // Orbit around the target (0, 0 is straight behind at the configured height)
+    this.yaw = 0;   // Radians, counter-clockwise seen from above
+    this.pitch = 0; // Radians above the configured elevation
+    
+    // Colliders that block the view (see configureForStage())
+    this.collision = null;
+    
+    // Scripted shot in progress (see playShot())
+    this.shot = null;
+    
     // Set initial offset
-    this.offset = new THREE.Vector3(
-      0,
-      this.config.height,
-      this.config.distance
-    );
+    this.offset = new THREE.Vector3();
+    this._updateOffset();
     
     // Create a dummy object to track position slightly ahead of target
     this.lookAtTarget = new THREE.Object3D();
+    this.idealPosition = new THREE.Vector3();
   }
   
   /**
    * Updates camera position based on target movement
+   * @param {number} deltaTime - Frame time in milliseconds (advances scripted shots)
    */
-  update() {
+  update(deltaTime = 1000 / 60) {
     if (!this.target || !this.target.position) return;
     
+    if (this.shot) {
+      this._updateShot(deltaTime);
+      return;
+    }
+    
     // Position lookAt point slightly ahead of target
     this.lookAtTarget.position.copy(this.target.position);
-    this.lookAtTarget.position.y += this.config.height * 0.5;
+    this.lookAtTarget.position.y += this.lookHeight;
     
-    // Calculate ideal camera position
-    const idealPosition = new THREE.Vector3();
-    idealPosition.copy(this.target.position);
-    idealPosition.add(this.offset);
+    // Calculate ideal camera position, in front of anything blocking the view
+    this.idealPosition.copy(this.target.position).add(this.offset);
+    const occluded = this._avoidOcclusion(this.lookAtTarget.position, this.idealPosition);
     
     // Smoothly interpolate current camera position toward ideal position
-    this.camera.position.lerp(idealPosition, this.config.lerp);
+    this.camera.position.lerp(this.idealPosition, occluded ? OCCLUDED_LERP : this.config.lerp);
     
     // Make camera look at target
     this.camera.lookAt(this.lookAtTarget.position);
   }
   
+  /**
+   * Nudge the camera for a rumble (skipped when the player asked for reduced motion)
+   * @param {number} intensity - Largest offset on each axis
+   */
+  shake(intensity) {
+    if (this.reducedMotion) return;
+    
+    this.camera.position.x += (Math.random() - 0.5) * intensity;
+    this.camera.position.y += (Math.random() - 0.5) * intensity;
+    this.camera.position.z += (Math.random() - 0.5) * intensity;
+  }
+  
+  /**
+   * Swing the camera around the target
+   * @param {number} deltaYaw - Radians around the target (positive is counter-clockwise from above)
+   * @param {number} deltaPitch - Radians up (positive) or down
+   */
+  orbit(deltaYaw, deltaPitch) {
+    this.yaw = (this.yaw + deltaYaw) % (Math.PI * 2);
+    
+    // Keep the total elevation between the horizon and overhead
+    const elevation = this._getElevation();
+    this.pitch = THREE.MathUtils.clamp(
+      this.pitch + deltaPitch,
+      MIN_ELEVATION - elevation,
+      MAX_ELEVATION - elevation
+    );
+    
+    this._updateOffset();
+  }
+  
+  /**
+   * Play a scripted shot, then ease back to following the player
+   * Framings are {yaw, pitch, distance} relative to the player's view: yaw and pitch add
+   * to the orbit and distance multiplies the follow distance. A new shot replaces the
+   * current one. With reduced motion the camera holds the final framing instead of moving.
+   * @param {Object} shot - Shot description
+   * @param {Object} shot.from - Framing at the start
+   * @param {Object} shot.to - Framing at the end (defaults to the player's view)
+   * @param {number} shot.duration - Length in milliseconds
+   * @param {THREE.Vector3} shot.focus - Point to frame (defaults to the player)
+   */
+  playShot({ from, to = FOLLOW_FRAMING, duration, focus = null }) {
+    this.shot = {
+      from: { ...FOLLOW_FRAMING, ...from },
+      to: { ...FOLLOW_FRAMING, ...to },
+      duration,
+      focus: focus ? focus.clone() : null,
+      elapsed: 0
+    };
+  }
+  
+  /**
+   * Whether a scripted shot is playing
+   * @returns {boolean} Whether the camera is in a shot
+   */
+  isPlayingShot() {
+    return this.shot !== null;
+  }
+  
+  /**
+   * Advance the scripted shot
+   * @private
+   * @param {number} deltaTime - Frame time in milliseconds
+   */
+  _updateShot(deltaTime) {
+    const shot = this.shot;
+    shot.elapsed += deltaTime;
+    
+    const t = Math.min(shot.elapsed / shot.duration, 1);
+    const eased = this.reducedMotion ? 1 : t * t * (3 - 2 * t);
+    const framing = {
+      yaw: THREE.MathUtils.lerp(shot.from.yaw, shot.to.yaw, eased),
+      pitch: THREE.MathUtils.lerp(shot.from.pitch, shot.to.pitch, eased),
+      distance: THREE.MathUtils.lerp(shot.from.distance, shot.to.distance, eased)
+    };
+    
+    const focus = shot.focus || this.target.position;
+    this.lookAtTarget.position.copy(focus);
+    this.lookAtTarget.position.y += this.lookHeight;
+    
+    this._getFramingOffset(framing, this.idealPosition).add(focus);
+    this._avoidOcclusion(this.lookAtTarget.position, this.idealPosition);
+    
+    this.camera.position.copy(this.idealPosition);
+    this.camera.lookAt(this.lookAtTarget.position);
+    
+    // Following picks up from wherever the shot ended
+    if (t >= 1) {
+      this.shot = null;
+    }
+  }
+  
+  /**
+   * Pull a camera position in front of the first collider blocking the view
+   * @private
+   * @param {THREE.Vector3} from - Point the camera looks at
+   * @param {THREE.Vector3} position - Camera position (modified in place)
+   * @returns {boolean} Whether the view was blocked
+   */
+  _avoidOcclusion(from, position) {
+    if (!this.collision) return false;
+    
+    const block = this.collision.getSightBlock(from, position, OCCLUSION_MARGIN);
+    if (block === null) return false;
+    
+    const distance = from.distanceTo(position);
+    const fraction = Math.max(block, Math.min(MIN_OCCLUDED_DISTANCE / distance, 1));
+    position.sub(from).multiplyScalar(fraction).add(from);
+    return true;
+  }
+  
+  /**
+   * Apply the player's camera preferences
+   * @param {Object} preferences - {distanceScale, heightScale, reducedMotion}
+   *   the scales multiply the follow distance and height
+   */
+  setPreferences({ distanceScale = 1, heightScale = 1, reducedMotion = false }) {
+    this.distanceScale = distanceScale;
+    this.heightScale = heightScale;
+    this.reducedMotion = reducedMotion;
+    this._updateOffset();
+  }
+  
+  /**
+   * Elevation of the configured follow position, before the player's orbit
+   * @private
+   * @returns {number} Radians above the horizon
+   */
+  _getElevation() {
+    return Math.atan2(this.config.height * this.heightScale, this.config.distance * this.distanceScale);
+  }
+  
+  /**
+   * Camera offset from the focus for a framing
+   * @private
+   * @param {Object} framing - {yaw, pitch, distance} relative to the player's view
+   * @param {THREE.Vector3} target - Vector to write the offset to
+   * @returns {THREE.Vector3} The offset
+   */
+  _getFramingOffset(framing, target) {
+    const height = this.config.height * this.heightScale;
+    const distance = this.config.distance * this.distanceScale;
+    const radius = Math.hypot(height, distance) * framing.distance;
+    const yaw = this.yaw + framing.yaw;
+    const elevation = THREE.MathUtils.clamp(
+      this._getElevation() + this.pitch + framing.pitch,
+      MIN_ELEVATION,
+      MAX_ELEVATION
+    );
+    
+    return target.set(
+      Math.sin(yaw) * Math.cos(elevation) * radius,
+      Math.sin(elevation) * radius,
+      Math.cos(yaw) * Math.cos(elevation) * radius
+    );
+  }
+  
+  /**
+   * Recompute the follow offset from the config, preferences and orbit
+   * @private
+   */
+  _updateOffset() {
+    this._getFramingOffset(FOLLOW_FRAMING, this.offset);
+    this.lookHeight = this.config.height * this.heightScale * 0.5;
+  }
+  
   /**
    * Adjust camera distance (zoom)
    * @param {number} delta - Amount to change distance
@@ -67,14 +271,16 @@ export default class CameraController {
       this.config.maxDistance
     );
     
-    this.offset.z = this.config.distance;
+    this._updateOffset();
   }
   
   /**
    * Set the stage-specific camera parameters
+   * The orbit resets to behind the player.
    * @param {string} stage - Current game stage
+   * @param {Collision} collision - The stage's collision layer (its colliders with a top block the view)
    */
-  configureForStage(stage) {
+  configureForStage(stage, collision = null) {
     switch(stage) {
       case 'primordial':
         // Close camera, limited visibility
@@ -82,14 +288,14 @@ export default class CameraController {
         this.config.height = 1.5;
         this.config.maxDistance = 5;
         break;
-        
+      
       case 'prehistoric':
         // Medium distance, better visibility
         this.config.distance = 5;
         this.config.height = 3;
         this.config.maxDistance = 8;
         break;
-        
+      
       case 'ordered':
         // Far view to show village environment
         this.config.distance = 7;
@@ -98,7 +304,9 @@ export default class CameraController {
         break;
     }
     
-    this.offset.y = this.config.height;
-    this.offset.z = this.config.distance;
+    this.collision = collision;
+    this.yaw = 0;
+    this.pitch = 0;
+    this._updateOffset();
   }
-} 
\ No newline at end of file
+}   
\ No newline at end of file
@@ -20,6 +20,17 @@ let isShowingMessage = false;
 const recentMessages = new Map();
 const MESSAGE_THROTTLE_TIME = 3000; // Only show similar messages once every 3 seconds
 
+// Lowest priority shown at each verbosity setting (custom-colored debug messages are priority 5)
+export const MESSAGE_VERBOSITY = {
+  all: Infinity,
+  normal: MESSAGE_CATEGORIES.INFO.priority,
+  important: MESSAGE_CATEGORIES.ACHIEVEMENT.priority
+};
+
+// Player preferences, set through configureMessages()
+let maxPriority = MESSAGE_VERBOSITY.all;
+let slideOut = true;
+
 /**
  * Show a feedback message to the player
  * @param {string} message - Message text to display
@@ -46,6 +57,11 @@ const showDebugMessage = (message, colorOrCategory = 'INFO', options = {}) => {
     category = 'CUSTOM';
   }
   
+  // Filtered out by the player's verbosity setting
+  if (priority > maxPriority) {
+    return;
+  }
+  
   // Check if this is a duplicate message or similar to recent ones
   const similarKey = `${category}:${message}`;
   if (recentMessages.has(similarKey)) {
@@ -168,7 +184,9 @@ const processMessageQueue = () => {
   // Fade out after specified duration
   setTimeout(() => {
     messageEl.style.opacity = '0';
-    messageEl.style.transform += ' translateY(-20px)';
+    if (slideOut) {
+      messageEl.style.transform += ' translateY(-20px)';
+    }
   }, duration);
   
   // Remove after animation and process next message
@@ -180,6 +198,16 @@ const processMessageQueue = () => {
   }, duration + 300);
 };
 
+/**
+ * Apply the player's message preferences
+ * @param {Object} options - {verbosity, reducedMotion}
+ *   verbosity is a MESSAGE_VERBOSITY key; with reducedMotion messages fade without sliding
+ */
+export const configureMessages = ({ verbosity = 'all', reducedMotion = false }) => {
+  maxPriority = MESSAGE_VERBOSITY[verbosity] || MESSAGE_VERBOSITY.all;
+  slideOut = !reducedMotion;
+};
+
 /**
  * Convenience methods for common message types
  */
@@ -0,0 +1,103 @@
+import * as THREE from 'three';
+
+// Resolution of the shared halo texture
+const TEXTURE_SIZE = 64;
+
+// Shared by every halo, so glows cost one draw call each and no lights
+let glowTexture = null;
+const glowMaterials = new Map(); // "color:opacity" -> material
+
+/**
+ * Get the soft round halo texture
+ * @returns {THREE.Texture} Radial falloff texture
+ */
+function getTexture() {
+  if (!glowTexture) {
+    const canvas = document.createElement('canvas');
+    canvas.width = TEXTURE_SIZE;
+    canvas.height = TEXTURE_SIZE;
+    
+    const context = canvas.getContext('2d');
+    const center = TEXTURE_SIZE / 2;
+    const gradient = context.createRadialGradient(center, center, 0, center, center, center);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.25, 'rgba(255, 255, 255, 0.6)');
+    gradient.addColorStop(0.6, 'rgba(255, 255, 255, 0.15)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+    
+    glowTexture = new THREE.CanvasTexture(canvas);
+  }
+  return glowTexture;
+}
+
+/**
+ * Get the shared additive material for a halo color
+ * @param {number} color - Halo color
+ * @param {number} opacity - Halo strength at its center
+ * @returns {THREE.SpriteMaterial} Material
+ */
+function getMaterial(color, opacity) {
+  const key = `${color}:${opacity}`;
+  if (!glowMaterials.has(key)) {
+    glowMaterials.set(key, new THREE.SpriteMaterial({
+      map: getTexture(),
+      color: color,
+      opacity: opacity,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    }));
+  }
+  return glowMaterials.get(key);
+}
+
+/**
+ * Create an additive halo that stands in for a point light's glow
+ * Materials are shared, so brighten or pulse a halo with setGlowStrength() rather than
+ * by changing its material.
+ * @param {number} color - Halo color
+ * @param {number} size - Halo diameter in the parent's units
+ * @param {number} opacity - Halo strength at its center
+ * @returns {THREE.Sprite} Halo sprite
+ */
+export function createGlowSprite(color, size, opacity = 0.6) {
+  const sprite = new THREE.Sprite(getMaterial(color, opacity));
+  sprite.scale.setScalar(size);
+  sprite.userData.glowSize = size;
+  return sprite;
+}
+
+/**
+ * Swap a halo's color (e.g. when a pooled mesh is reused)
+ * @param {THREE.Sprite} sprite - Halo from createGlowSprite()
+ * @param {number} color - New halo color
+ * @param {number} opacity - Halo strength at its center
+ */
+export function setGlowColor(sprite, color, opacity = 0.6) {
+  sprite.material = getMaterial(color, opacity);
+}
+
+/**
+ * Grow or shrink a halo relative to its created size
+ * @param {THREE.Sprite} sprite - Halo from createGlowSprite()
+ * @param {number} strength - 1 = created size
+ */
+export function setGlowStrength(sprite, strength) {
+  sprite.scale.setScalar(sprite.userData.glowSize * strength);
+}
+
+/**
+ * Free the shared halo texture and materials
+ * Only call once no halos are in use (e.g. when restarting the game).
+ */
+export function disposeGlowAssets() {
+  glowMaterials.forEach(material => material.dispose());
+  glowMaterials.clear();
+  
+  if (glowTexture) {
+    glowTexture.dispose();
+    glowTexture = null;
+  }
+}
@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+
+// Sideways offset used to estimate slopes (world units)
+const NORMAL_SAMPLE_OFFSET = 0.25;
+
+/**
+ * Samples ground height and slope from a scene's terrain mesh
+ *
+ * The terrain is a PlaneGeometry laid flat (rotated -90° about x), so plane x is world x,
+ * plane y is world -z and the vertex z is the height. Heights are read from the live
+ * position attribute, so deformed terrain is always sampled as it is drawn. Terrain that
+ * moves in the vertex shader passes the same displacement as a function.
+ */
+export default class Heightfield {
+  /**
+   * Initialize a heightfield
+   * @param {THREE.Mesh} mesh - Terrain mesh built from a PlaneGeometry
+   * @param {Function} displace - Optional (planeX, planeY) => height the vertex shader adds
+   */
+  constructor(mesh, displace = null) {
+    const { width, height, widthSegments, heightSegments } = mesh.geometry.parameters;
+    
+    this.mesh = mesh;
+    this.displace = displace;
+    this.width = width;
+    this.depth = height;
+    this.columns = widthSegments;
+    this.rows = heightSegments;
+    this.cellWidth = width / widthSegments;
+    this.cellDepth = height / heightSegments;
+  }
+  
+  /**
+   * Terrain height at a world position (matches the rendered triangles)
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @returns {number} Ground height in world units
+   */
+  getHeight(x, z) {
+    const positions = this.mesh.geometry.getAttribute('position');
+    
+    // Grid coordinates: columns run along +x, rows run from the plane's top edge (world -z)
+    const gridX = THREE.MathUtils.clamp((x - this.mesh.position.x + this.width / 2) / this.cellWidth, 0, this.columns);
+    const gridZ = THREE.MathUtils.clamp((z - this.mesh.position.z + this.depth / 2) / this.cellDepth, 0, this.rows);
+    
+    const column = Math.min(Math.floor(gridX), this.columns - 1);
+    const row = Math.min(Math.floor(gridZ), this.rows - 1);
+    const fx = gridX - column;
+    const fz = gridZ - row;
+    
+    // Corner heights, in PlaneGeometry's vertex order
+    const stride = this.columns + 1;
+    const a = positions.getZ(row * stride + column);
+    const b = positions.getZ((row + 1) * stride + column);
+    const c = positions.getZ((row + 1) * stride + column + 1);
+    const d = positions.getZ(row * stride + column + 1);
+    
+    // Each cell is split into triangles (a, b, d) and (b, c, d)
+    const local = fx + fz <= 1 ?
+      a + (d - a) * fx + (b - a) * fz :
+      c + (b - c) * (1 - fx) + (d - c) * (1 - fz);
+    
+    const offset = this.displace ? this.displace(x - this.mesh.position.x, this.mesh.position.z - z) : 0;
+    return local + offset + this.mesh.position.y;
+  }
+  
+  /**
+   * Terrain surface normal at a world position
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @param {THREE.Vector3} target - Vector to write the result to
+   * @returns {THREE.Vector3} Unit normal
+   */
+  getNormal(x, z, target = new THREE.Vector3()) {
+    const offset = NORMAL_SAMPLE_OFFSET;
+    const slopeX = this.getHeight(x + offset, z) - this.getHeight(x - offset, z);
+    const slopeZ = this.getHeight(x, z + offset) - this.getHeight(x, z - offset);
+    
+    return target.set(-slopeX, offset * 2, -slopeZ).normalize();
+  }
+}
+
+/**
+ * Tilt an object to lie on a slope while keeping its heading
+ * Switches the object to 'YXZ' rotation order so rotation.y stays its heading.
+ * @param {THREE.Object3D} object - Object to tilt
+ * @param {THREE.Vector3} normal - Ground normal under the object
+ * @param {number} amount - How far to lean into the slope (0 = upright, 1 = flush)
+ */
+export function alignToGround(object, normal, amount = 1) {
+  object.rotation.order = 'YXZ';
+  
+  // Express the normal in the object's heading frame
+  const heading = object.rotation.y;
+  const cos = Math.cos(heading);
+  const sin = Math.sin(heading);
+  const localX = normal.x * cos - normal.z * sin;
+  const localZ = normal.x * sin + normal.z * cos;
+  
+  object.rotation.x = Math.atan2(localZ, normal.y) * amount;
+  object.rotation.z = -Math.asin(THREE.MathUtils.clamp(localX, -1, 1)) * amount;
+}
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+
+// Phase offset between neighbouring instances, so props don't sway in lockstep
+const SWAY_PHASE_STEP = 0.2;
+
+// Scratch objects for composing instance matrices
+const quaternion = new THREE.Quaternion();
+const euler = new THREE.Euler();
+const hiddenMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+
+/**
+ * Batches a scene's props into one InstancedMesh per prop type
+ *
+ * Scene generators define each prop type once (shared geometry and material), add
+ * instances with their own transform and color, then build() uploads every type as a
+ * single draw call. Types can sway in the vertex shader, so animating them costs no CPU.
+ */
+export default class InstancedScenery {
+  /**
+   * Initialize an empty scenery batch
+   */
+  constructor() {
+    this.types = new Map(); // name -> {geometry, material, depthMaterial, options, instances, mesh}
+    
+    // Shared with the compiled shaders so updates need no recompilation
+    this.uniforms = {
+      swayTime: { value: 0 }
+    };
+  }
+  
+  /**
+   * Register a prop type
+   * Geometry and material are owned by the batch from here on and freed by dispose().
+   * @param {string} name - Prop type name
+   * @param {THREE.BufferGeometry} geometry - Shared geometry (local y up, base at y = 0 for swaying props)
+   * @param {THREE.Material} material - Shared material (instance colors multiply its color)
+   * @param {Object} options - {castShadow, receiveShadow, sway: {amount, speed}}
+   *   sway.amount is how far the top of a unit-tall prop leans, sway.speed is in radians per second
+   */
+  define(name, geometry, material, options = {}) {
+    const depthMaterial = options.sway ? this._addSway(material, options.sway) : null;
+    this.types.set(name, { geometry, material, depthMaterial, options, instances: [], mesh: null });
+  }
+  
+  /**
+   * Add an instance of a prop type (before build())
+   * @param {string} name - Prop type name
+   * @param {Object} transform - {position, rotation, scale, color}
+   *   position is a Vector3 or {x, y, z}, rotation is Euler angles {x, y, z}, scale is a
+   *   number or {x, y, z}, color is a hex color or THREE.Color
+   * @returns {number} Instance index (for setVisible())
+   */
+  add(name, { position, rotation = {}, scale = 1, color = null }) {
+    const type = this.types.get(name);
+    const size = typeof scale === 'number' ? { x: scale, y: scale, z: scale } : scale;
+    
+    euler.set(rotation.x || 0, rotation.y || 0, rotation.z || 0);
+    quaternion.setFromEuler(euler);
+    
+    type.instances.push({
+      matrix: new THREE.Matrix4().compose(
+        new THREE.Vector3(position.x, position.y, position.z),
+        quaternion,
+        new THREE.Vector3(size.x, size.y, size.z)
+      ),
+      color: color !== null ? new THREE.Color(color) : null
+    });
+    
+    return type.instances.length - 1;
+  }
+  
+  /**
+   * Create the instanced meshes and add them to a scene
+   * @param {THREE.Scene} scene - Scene to add the batches to
+   */
+  build(scene) {
+    this.types.forEach(type => {
+      if (type.instances.length === 0) return;
+      
+      const mesh = new THREE.InstancedMesh(type.geometry, type.material, type.instances.length);
+      type.instances.forEach((instance, index) => {
+        mesh.setMatrixAt(index, instance.matrix);
+        if (instance.color) {
+          mesh.setColorAt(index, instance.color);
+        }
+      });
+      
+      mesh.castShadow = !!type.options.castShadow;
+      mesh.receiveShadow = !!type.options.receiveShadow;
+      if (type.depthMaterial) {
+        mesh.customDepthMaterial = type.depthMaterial;
+      }
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) {
+        mesh.instanceColor.needsUpdate = true;
+      }
+      
+      type.mesh = mesh;
+      scene.add(mesh);
+    });
+  }
+  
+  /**
+   * Show or hide a single instance
+   * @param {string} name - Prop type name
+   * @param {number} index - Instance index from add()
+   * @param {boolean} visible - Whether the instance is drawn
+   */
+  setVisible(name, index, visible) {
+    const type = this.types.get(name);
+    if (!type || !type.mesh) return;
+    
+    type.mesh.setMatrixAt(index, visible ? type.instances[index].matrix : hiddenMatrix);
+    type.mesh.instanceMatrix.needsUpdate = true;
+  }
+  
+  /**
+   * Advance the sway animation
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   */
+  update(deltaTime) {
+    this.uniforms.swayTime.value += deltaTime / 1000;
+  }
+  
+  /**
+   * Lean instances back and forth in the vertex shader (shadows sway with them)
+   * @private
+   * @param {THREE.Material} material - Material to patch
+   * @param {Object} sway - {amount, speed}
+   * @returns {THREE.MeshDepthMaterial} Matching shadow material
+   */
+  _addSway(material, { amount = 0.05, speed = 1 }) {
+    const patch = shader => {
+      shader.uniforms.swayTime = this.uniforms.swayTime;
+      shader.vertexShader = 'uniform float swayTime;\n' +
+        shader.vertexShader.replace(
+          '#include <begin_vertex>',
+          '#include <begin_vertex>\n' +
+          `float swayPhase = float(gl_InstanceID) * ${SWAY_PHASE_STEP.toFixed(2)} + swayTime * ${speed.toFixed(2)};\n` +
+          `transformed.x += sin(swayPhase) * ${amount.toFixed(3)} * position.y;\n` +
+          `transformed.z += cos(swayPhase) * ${amount.toFixed(3)} * position.y;`
+        );
+    };
+    
+    material.onBeforeCompile = patch;
+    
+    const depthMaterial = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking });
+    depthMaterial.onBeforeCompile = patch;
+    return depthMaterial;
+  }
+  
+  /**
+   * Remove the batches from their scene and free their geometries and materials
+   */
+  dispose() {
+    this.types.forEach(type => {
+      if (type.mesh) {
+        if (type.mesh.parent) {
+          type.mesh.parent.remove(type.mesh);
+        }
+        type.mesh.dispose();
+      }
+      
+      type.geometry.dispose();
+      type.material.dispose();
+      if (type.depthMaterial) {
+        type.depthMaterial.dispose();
+      }
+    });
+    this.types.clear();
+  }
+}
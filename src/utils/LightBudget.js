@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+
+// Lights lent out unless a scene asks for a different number
+const DEFAULT_MAX_LIGHTS = 2;
+
+// Flashes outrank steady glows so they always get a light
+const FLASH_PRIORITY = 10;
+
+/**
+ * Fixed set of point lights shared by the effects in a scene that light their surroundings
+ *
+ * Adding or removing lights makes three.js recompile every lit material, and each light
+ * adds fragment shader cost on phones. Instead a scene keeps a constant number of lights
+ * and lends them each step to the highest-priority requests nearest the player; spare
+ * lights stay in the scene at zero intensity. Small glows (resources) use additive
+ * halos from Glow.js and never ask for a light.
+ */
+export default class LightBudget {
+  /**
+   * Initialize light budget
+   * @param {THREE.Scene} scene - Scene to add the shared lights to
+   * @param {number} maxLights - Number of real lights available (scenes fit it under the
+   *   quality tier's pointLights cap along with their fixed lights)
+   */
+  constructor(scene, maxLights = DEFAULT_MAX_LIGHTS) {
+    this.scene = scene;
+    this.requests = new Set();
+    this.lights = [];
+    
+    for (let i = 0; i < maxLights; i++) {
+      const light = new THREE.PointLight(0xffffff, 0, 1);
+      this.lights.push(light);
+      scene.add(light);
+    }
+  }
+  
+  /**
+   * Ask for a light
+   * The returned request can be changed at any time (e.g. to pulse its intensity).
+   * @param {Object} options - {position, color, intensity, distance, priority}
+   *   position is read live, so pass the glowing object's own position vector
+   * @returns {Object} Request (pass to release())
+   */
+  request({ position, color = 0xffffff, intensity = 1, distance = 0, priority = 0 }) {
+    const request = { position, color: new THREE.Color(color), intensity, distance, priority };
+    this.requests.add(request);
+    return request;
+  }
+  
+  /**
+   * Give a light back
+   * @param {Object} request - Request from request() or flash()
+   */
+  release(request) {
+    this.requests.delete(request);
+  }
+  
+  /**
+   * Briefly light up a spot; the flash fades out and releases itself
+   * @param {THREE.Vector3} position - Where to flash
+   * @param {number} color - Light color
+   * @param {number} intensity - Peak intensity
+   * @param {number} distance - Light range
+   * @param {number} duration - Fade time in milliseconds
+   * @returns {Object} Request
+   */
+  flash(position, color, intensity, distance, duration = 1000) {
+    const request = this.request({ position: position.clone(), color, intensity, distance, priority: FLASH_PRIORITY });
+    request.fade = { peak: intensity, duration, elapsed: 0 };
+    return request;
+  }
+  
+  /**
+   * Fade flashes and hand the lights to the most important requests
+   * @param {number} deltaTime - Simulation time step in milliseconds
+   * @param {THREE.Vector3} focus - Point that matters most (usually the player)
+   */
+  update(deltaTime, focus) {
+    const ranked = [];
+    
+    this.requests.forEach(request => {
+      if (request.fade) {
+        request.fade.elapsed += deltaTime;
+        const progress = request.fade.elapsed / request.fade.duration;
+        if (progress >= 1) {
+          this.requests.delete(request);
+          return;
+        }
+        request.intensity = request.fade.peak * (1 - progress);
+      }
+      
+      if (request.intensity <= 0) return;
+      
+      const distance = focus ? request.position.distanceToSquared(focus) : 0;
+      ranked.push({ request, distance });
+    });
+    
+    // Highest priority first, then closest to the focus
+    ranked.sort((a, b) => (b.request.priority - a.request.priority) || (a.distance - b.distance));
+    
+    this.lights.forEach((light, index) => {
+      const entry = ranked[index];
+      if (!entry) {
+        light.intensity = 0;
+        return;
+      }
+      
+      light.position.copy(entry.request.position);
+      light.color.copy(entry.request.color);
+      light.intensity = entry.request.intensity;
+      light.distance = entry.request.distance;
+    });
+  }
+  
+  /**
+   * Remove the shared lights and drop all requests
+   */
+  dispose() {
+    this.lights.forEach(light => {
+      this.scene.remove(light);
+      light.dispose();
+    });
+    this.lights = [];
+    this.requests.clear();
+  }
+}
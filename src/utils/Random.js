@@ -0,0 +1,136 @@
+/**
+ * Seeded pseudo-random number generation so runs can be reproduced from a seed string.
+ *
+ * World generation and event rolls draw from SeededRandom streams owned by Game.
+ * Per-frame cosmetic jitter (camera shake) intentionally stays on Math.random so
+ * that it never advances a gameplay stream.
+ */
+
+/**
+ * Hash a seed string into a 32-bit integer (xmur3 string hash)
+ * @param {string} str - Seed string
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashSeed(str) {
+  let h = 1779033703 ^ str.length;
+  
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^= h >>> 16) >>> 0;
+}
+
+/**
+ * Create a short, human-shareable random seed
+ * @returns {string} Seed string (e.g. "k3f9q2")
+ */
+export function createRandomSeed() {
+  return Math.floor(Math.random() * 0xffffffff).toString(36);
+}
+
+/**
+ * Create the seed shared by everyone playing today
+ * @param {Date} date - Date to build the seed for
+ * @returns {string} Daily seed (e.g. "daily-2025-03-14")
+ */
+export function createDailySeed(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `daily-${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Deterministic random stream (mulberry32)
+ */
+export default class SeededRandom {
+  /**
+   * Initialize random stream
+   * @param {string} seed - Seed string
+   */
+  constructor(seed) {
+    this.seed = String(seed);
+    this.state = hashSeed(this.seed);
+  }
+  
+  /**
+   * Next random float, drop-in replacement for Math.random()
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  /**
+   * Random float in a range
+   * @param {number} min - Minimum (inclusive)
+   * @param {number} max - Maximum (exclusive)
+   * @returns {number} Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+  
+  /**
+   * Random integer in a range
+   * @param {number} min - Minimum (inclusive)
+   * @param {number} max - Maximum (exclusive)
+   * @returns {number} Integer in [min, max)
+   */
+  int(min, max) {
+    return Math.floor(this.range(min, max));
+  }
+  
+  /**
+   * Roll against a probability
+   * @param {number} probability - Chance of success (0-1)
+   * @returns {boolean} Whether the roll succeeded
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+  
+  /**
+   * Pick a random element from an array
+   * @param {Array} array - Array to pick from
+   * @returns {*} Random element (undefined if array is empty)
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+  
+  /**
+   * Create an independent stream derived from this seed.
+   * Forks don't advance this stream, so adding rolls in one system
+   * doesn't change what another system generates.
+   * @param {string} label - Stream name (e.g. "stage:primordial")
+   * @returns {SeededRandom} Derived random stream
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}:${label}`);
+  }
+  
+  /**
+   * Get stream position for saving
+   * @returns {number} Internal state
+   */
+  getState() {
+    return this.state;
+  }
+  
+  /**
+   * Restore stream position from a save
+   * @param {number} state - Internal state from getState()
+   */
+  setState(state) {
+    if (typeof state === 'number') {
+      this.state = state >>> 0;
+    }
+  }
+}
@@ -2,20 +2,21 @@ import * as THREE from 'three';
 
 /**
  * Sets up the ThreeJS renderer with optimizations for mobile devices
+ * @param {Object} quality - Starting quality tier settings (see QUALITY_TIERS)
  * @returns {THREE.WebGLRenderer} Configured WebGL renderer
  */
-export function setupRenderer() {
+export function setupRenderer(quality) {
   const renderer = new THREE.WebGLRenderer({ 
-    antialias: true,
+    antialias: quality.antialias, // Can't be changed once the context exists
     powerPreference: 'high-performance',
     precision: 'mediump'
   });
   
   renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Limits pixel ratio for performance
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality.pixelRatio)); // Limits pixel ratio for performance
   renderer.outputColorSpace = THREE.SRGBColorSpace;
-  renderer.shadowMap.enabled = true;
-  renderer.shadowMap.type = THREE.PCFSoftShadowMap; // Softer shadows
+  renderer.shadowMap.enabled = quality.shadows;
+  renderer.shadowMap.type = quality.shadowType;
   
   document.body.appendChild(renderer.domElement);
   
@@ -0,0 +1,144 @@
+/**
+ * Uniform grid on the ground plane (x/z) for finding nearby items without scanning them all
+ * Items are stored in every cell their bounds overlap.
+ */
+export default class SpatialHash {
+  /**
+   * Initialize spatial hash
+   * @param {number} cellSize - Width of a grid cell in world units
+   */
+  constructor(cellSize = 4) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "cellX,cellZ" -> Set of items
+    this.itemKeys = new Map(); // item -> cell keys it occupies
+  }
+  
+  /**
+   * Get cell keys covered by bounds
+   * @private
+   * @param {number} minX - Minimum x
+   * @param {number} minZ - Minimum z
+   * @param {number} maxX - Maximum x
+   * @param {number} maxZ - Maximum z
+   * @returns {Array<string>} Cell keys
+   */
+  _getKeys(minX, minZ, maxX, maxZ) {
+    const keys = [];
+    const startX = Math.floor(minX / this.cellSize);
+    const startZ = Math.floor(minZ / this.cellSize);
+    const endX = Math.floor(maxX / this.cellSize);
+    const endZ = Math.floor(maxZ / this.cellSize);
+    
+    for (let cellX = startX; cellX <= endX; cellX++) {
+      for (let cellZ = startZ; cellZ <= endZ; cellZ++) {
+        keys.push(`${cellX},${cellZ}`);
+      }
+    }
+    
+    return keys;
+  }
+  
+  /**
+   * Get the key of the cell containing a point
+   * @param {number} x - World x position
+   * @param {number} z - World z position
+   * @returns {string} Cell key
+   */
+  getCellKey(x, z) {
+    return `${Math.floor(x / this.cellSize)},${Math.floor(z / this.cellSize)}`;
+  }
+  
+  /**
+   * Add an item covering a rectangle
+   * @param {*} item - Item to store
+   * @param {number} minX - Minimum x
+   * @param {number} minZ - Minimum z
+   * @param {number} maxX - Maximum x
+   * @param {number} maxZ - Maximum z
+   */
+  insert(item, minX, minZ, maxX, maxZ) {
+    if (this.itemKeys.has(item)) {
+      this.remove(item);
+    }
+    
+    const keys = this._getKeys(minX, minZ, maxX, maxZ);
+    keys.forEach(key => {
+      if (!this.cells.has(key)) {
+        this.cells.set(key, new Set());
+      }
+      this.cells.get(key).add(item);
+    });
+    
+    this.itemKeys.set(item, keys);
+  }
+  
+  /**
+   * Add an item covering a circle
+   * @param {*} item - Item to store
+   * @param {number} x - Center x
+   * @param {number} z - Center z
+   * @param {number} radius - Radius
+   */
+  insertCircle(item, x, z, radius) {
+    this.insert(item, x - radius, z - radius, x + radius, z + radius);
+  }
+  
+  /**
+   * Remove an item
+   * @param {*} item - Item to remove
+   */
+  remove(item) {
+    const keys = this.itemKeys.get(item);
+    if (!keys) return;
+    
+    keys.forEach(key => {
+      const cell = this.cells.get(key);
+      cell.delete(item);
+      if (cell.size === 0) {
+        this.cells.delete(key);
+      }
+    });
+    
+    this.itemKeys.delete(item);
+  }
+  
+  /**
+   * Find items whose cells overlap a rectangle (may include items just outside it)
+   * @param {number} minX - Minimum x
+   * @param {number} minZ - Minimum z
+   * @param {number} maxX - Maximum x
+   * @param {number} maxZ - Maximum z
+   * @returns {Set} Candidate items
+   */
+  query(minX, minZ, maxX, maxZ) {
+    const results = new Set();
+    
+    this._getKeys(minX, minZ, maxX, maxZ).forEach(key => {
+      const cell = this.cells.get(key);
+      if (cell) {
+        cell.forEach(item => results.add(item));
+      }
+    });
+    
+    return results;
+  }
+  
+  /**
+   * Find items whose cells overlap a circle (may include items just outside it)
+   * @param {number} x - Center x
+   * @param {number} z - Center z
+   * @param {number} radius - Radius
+   * @returns {Set} Candidate items
+   */
+  queryCircle(x, z, radius) {
+    return this.query(x - radius, z - radius, x + radius, z + radius);
+  }
+  
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.cells.clear();
+    this.itemKeys.clear();
+  }
+}
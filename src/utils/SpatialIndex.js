@@ -0,0 +1,125 @@
+import SpatialHash from './SpatialHash.js';
+
+/**
+ * Proximity index for entities that scenes query by distance (resources, creatures,
+ * rocks, trees, event triggers)
+ *
+ * Entities are stored by a live position reference, so moving entities only need
+ * update() calls, which re-bucket them when they cross into another cell.
+ * Distances are measured on the ground plane to each entity's edge.
+ */
+export default class SpatialIndex {
+  /**
+   * Initialize spatial index
+   * @param {number} cellSize - Grid cell size in world units (about the usual query radius)
+   */
+  constructor(cellSize = 4) {
+    this.hash = new SpatialHash(cellSize);
+    this.entries = new Map(); // item -> {position, radius, key}
+    this.maxRadius = 0; // Widest entity, so queries reach entities centered just outside
+  }
+  
+  /**
+   * Register an entity
+   * @param {*} item - Entity to store
+   * @param {Object} position - Live position ({x, z}, e.g. mesh.position)
+   * @param {number} radius - Entity footprint radius (distances are measured to its edge)
+   */
+  add(item, position, radius = 0) {
+    const key = this.hash.getCellKey(position.x, position.z);
+    this.entries.set(item, { position, radius, key });
+    this.hash.insert(item, position.x, position.z, position.x, position.z);
+    this.maxRadius = Math.max(this.maxRadius, radius);
+  }
+  
+  /**
+   * Unregister an entity
+   * @param {*} item - Entity to remove
+   */
+  remove(item) {
+    this.entries.delete(item);
+    this.hash.remove(item);
+  }
+  
+  /**
+   * Re-bucket an entity after it moved
+   * @param {*} item - Entity to update
+   */
+  update(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return;
+    
+    const { x, z } = entry.position;
+    const key = this.hash.getCellKey(x, z);
+    if (key === entry.key) return;
+    
+    entry.key = key;
+    this.hash.insert(item, x, z, x, z);
+  }
+  
+  /**
+   * Find entities within a radius, closest first
+   * @param {Object} position - Query center ({x, z})
+   * @param {number} radius - Search radius
+   * @param {Function} filter - Optional (item) => whether to include it
+   * @returns {Array} Matching entities sorted by distance
+   */
+  findNearby(position, radius, filter = null) {
+    const matches = [];
+    
+    this.hash.queryCircle(position.x, position.z, radius + this.maxRadius).forEach(item => {
+      if (filter && !filter(item)) return;
+      
+      const distance = this.getDistance(item, position);
+      if (distance < radius) {
+        matches.push({ item, distance });
+      }
+    });
+    
+    return matches.sort((a, b) => a.distance - b.distance).map(match => match.item);
+  }
+  
+  /**
+   * Find the closest entity within a radius
+   * @param {Object} position - Query center ({x, z})
+   * @param {number} radius - Search radius
+   * @param {Function} filter - Optional (item) => whether to consider it
+   * @returns {*|null} Closest entity or null if none is in range
+   */
+  findNearest(position, radius, filter = null) {
+    let nearest = null;
+    let nearestDistance = radius;
+    
+    this.hash.queryCircle(position.x, position.z, radius + this.maxRadius).forEach(item => {
+      if (filter && !filter(item)) return;
+      
+      const distance = this.getDistance(item, position);
+      if (distance < nearestDistance) {
+        nearest = item;
+        nearestDistance = distance;
+      }
+    });
+    
+    return nearest;
+  }
+  
+  /**
+   * Ground-plane distance from a position to an entity's edge
+   * @param {*} item - Indexed entity
+   * @param {Object} position - Position ({x, z})
+   * @returns {number} Distance (negative when inside the entity's footprint)
+   */
+  getDistance(item, position) {
+    const entry = this.entries.get(item);
+    return Math.hypot(entry.position.x - position.x, entry.position.z - position.z) - entry.radius;
+  }
+  
+  /**
+   * Remove all entities
+   */
+  clear() {
+    this.hash.clear();
+    this.entries.clear();
+    this.maxRadius = 0;
+  }
+}